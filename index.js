@@ -1,20 +1,40 @@
 require('dotenv').config();
-const { Client, GatewayIntentBits, EmbedBuilder } = require('discord.js');
-const axios = require('axios');
-const fs = require('fs');
-const path = require('path');
-
-// 한국 서버 정보 (이모지 포함)
-const KOREAN_SERVERS = [
-    { id: 2075, name: '카벙클', emoji: '' },
-    { id: 2076, name: '초코보', emoji: '' },
-    { id: 2077, name: '모그리', emoji: '' },
-    { id: 2078, name: '톤베리', emoji: '' },
-    { id: 2080, name: '펜리르', emoji: '' }
-];
-
-// 한국어 아이템 데이터베이스 (메모리에 로드)
-let koreanItemDB = new Map(); // name -> { id, name, icon }
+const { Client, GatewayIntentBits, EmbedBuilder, MessageFlags } = require('discord.js');
+const {
+    loadKoreanItemDB,
+    getItemCount,
+    searchKoreanItem,
+    findItemByName,
+    getItemById,
+    findItemById,
+    isMarketable,
+    getCategoryName,
+} = require('./src/items');
+const { getAllKoreanServerPrices } = require('./src/universalis');
+const { formatAge } = require('./src/cache');
+const { consumeCooldown, cooldownMessage } = require('./src/cooldown');
+const { createListingsButtonRow, attachListingsButton } = require('./src/listings-view');
+const { handleAlertCommand, startAlertScheduler } = require('./src/alerts');
+const { handleWatchlistCommand, handleWatchDashboardCommand } = require('./src/watchlist');
+const { handleRetainerCommand, startRetainerScheduler } = require('./src/retainers');
+const { handleHistoryCommand } = require('./src/history');
+const { loadRecipeDB, handleCraftCostCommand } = require('./src/recipes');
+const { handleShoppingCommand } = require('./src/shopping');
+const { handleMateriaCommand, handleDyeCommand } = require('./src/category-prices');
+const { handleArbitrageCommand } = require('./src/arbitrage');
+const { handleGatheringCommand } = require('./src/gathering');
+const { handleDigestCommand, startDigestScheduler } = require('./src/digest');
+const { isStaleUpload, handleMarketStatusCommand } = require('./src/freshness');
+const {
+    getGuildSettings,
+    isChannelAllowed,
+    applyServerSettings,
+    handleSettingsCommand,
+} = require('./src/guild-settings');
+const { handleCompareCommand } = require('./src/compare');
+const { watchItemDB, startItemDBUpdateScheduler } = require('./src/item-db-reload');
+const { startMarketStream } = require('./src/market-stream');
+const { handleAdminCommand } = require('./src/admin');
 
 const client = new Client({
     intents: [
@@ -24,311 +44,257 @@ const client = new Client({
     ],
 });
 
+// 시세 결과 Embed 문구 (서버 설정의 언어에 따라 선택)
+const RESULT_TEXT = {
+    ko: {
+        perDay: '개/일',
+        units: '개',
+        gil: '길',
+        fetchFailed: '⚠️ 조회 실패',
+        minNQ: 'NQ 최저 판매가',
+        minHQ: 'HQ 최저 판매가',
+        noListings: '매물 없음',
+        listed: '등록',
+        averageSale: '평균 거래가',
+        saleVelocity: '판매 속도',
+        recentSales: '최근 거래가',
+        average: '평균',
+        median: '중앙값',
+        unitsForSale: '등록 수량',
+        recommended: '추천 판매가 (언더컷)',
+        recentTradeMin: '(서버 통합) 최근 거래 최저가',
+        marketStats: '📊 (서버 통합) 시장 통계',
+        noData: '한국 서버에 등록된 시세 정보가 없습니다.',
+        suggestions: '다른 아이템을 찾으셨나요?',
+        stale: age => `⚠️ Universalis가 응답하지 않아 ${age} 저장된 데이터를 표시합니다`,
+        fetchedAt: age => `🕒 ${age} 조회한 데이터`,
+        uploadedAt: age => `🕒 ${age} 업데이트`,
+        staleUpload: age => `⚠️ ${age} 업데이트 (오래된 데이터라 ⭐ 최저가 표시에서 제외)`,
+        noUpload: '⚠️ 업데이트 기록 없음',
+        live: '⚡ 실시간 데이터 (Universalis WebSocket)',
+        itemInfo: 'ℹ️ 아이템 정보',
+        category: '분류',
+        itemLevel: '아이템 레벨',
+        stackSize: '최대 겹치기',
+        vendorPrice: 'NPC 상점가',
+        vendorSellPrice: 'NPC 매각가',
+        untradable: '⚠️ 거래할 수 없는 아이템이라 장터 시세가 없습니다.',
+        unmarketable: '⚠️ 장터에 등록할 수 없는 아이템입니다. (다른 플레이어와 직접 거래는 가능)',
+    },
+    en: {
+        perDay: '/day',
+        units: '',
+        gil: 'gil',
+        fetchFailed: '⚠️ Failed to fetch',
+        minNQ: 'Lowest NQ',
+        minHQ: 'Lowest HQ',
+        noListings: 'No listings',
+        listed: 'Listed',
+        averageSale: 'Avg. sale',
+        saleVelocity: 'Sale velocity',
+        recentSales: 'Recent sales',
+        average: 'avg.',
+        median: 'median',
+        unitsForSale: 'Units for sale',
+        recommended: 'Suggested price (undercut)',
+        recentTradeMin: '(All worlds) Lowest recent sale',
+        marketStats: '📊 (All worlds) Market stats',
+        noData: 'No market data on the Korean worlds.',
+        suggestions: 'Did you mean:',
+        stale: age => `⚠️ Universalis is not responding; showing data saved ${age}`,
+        fetchedAt: age => `🕒 Fetched ${age}`,
+        uploadedAt: age => `🕒 Updated ${age}`,
+        staleUpload: age => `⚠️ Updated ${age} (outdated, not considered for ⭐ lowest)`,
+        noUpload: '⚠️ No upload record',
+        live: '⚡ Live data (Universalis WebSocket)',
+        itemInfo: 'ℹ️ Item info',
+        category: 'Category',
+        itemLevel: 'Item level',
+        stackSize: 'Stack size',
+        vendorPrice: 'Vendor price',
+        vendorSellPrice: 'Sells to vendor for',
+        untradable: '⚠️ This item is untradable, so it has no market board prices.',
+        unmarketable: '⚠️ This item cannot be sold on the market board (player trade only).',
+    },
+};
+
 /**
- * 한국어 아이템 DB 로드
- * data/items_ko.json 파일에서 로드
- * 
- * 파일 형식:
- * [
- *   { "id": 17534, "name": "염료: 순백색", "icon": "/i/025000/025847.png" },
- *   ...
- * ]
- * 
- * 이 파일은 https://github.com/Ra-Workspace/ffxiv-datamining-ko 의
- * csv/Item.csv를 파싱해서 만들어야 함
+ * 판매 속도 표시 (하루 판매 수량)
  */
-function loadKoreanItemDB() {
-    const dbPath = path.join(__dirname, 'data', 'items_ko.json');
-    
-    if (!fs.existsSync(dbPath)) {
-        console.warn('⚠️ 한국어 아이템 DB 파일이 없습니다: data/items_ko.json');
-        console.warn('   한국어 검색 기능이 비활성화됩니다.');
-        console.warn('   DB 생성 방법: npm run update-db');
-        return;
-    }
-    
-    try {
-        const data = JSON.parse(fs.readFileSync(dbPath, 'utf-8'));
-        for (const item of data) {
-            // 이름으로 검색할 수 있도록 Map에 저장
-            koreanItemDB.set(item.name.toLowerCase(), item);
-        }
-        console.log(`✅ 한국어 아이템 DB 로드 완료: ${koreanItemDB.size}개 아이템`);
-    } catch (error) {
-        console.error('한국어 아이템 DB 로드 실패:', error.message);
-    }
+function formatVelocity(velocity, text = RESULT_TEXT.ko) {
+    return `${velocity < 10 ? velocity.toFixed(1) : Math.round(velocity).toLocaleString()}${text.perDay}`;
 }
 
 /**
- * 한국어 아이템 이름으로 검색
- * 부분 일치 검색 지원
- * 
- * 우선순위:
- * 1. 정확히 일치
- * 2. 검색어로 끝나는 것 (짧은 이름 > 낮은 ID)
- * 3. 검색어로 시작하는 것 (짧은 이름 > 낮은 ID)
- * 4. 검색어를 포함하는 것 (짧은 이름 > 낮은 ID)
- * 
- * @returns {{ item: object|null, suggestions: object[] }}
+ * 서버별 등록 수량 / 판매 속도 한 줄 요약
  */
-function searchKoreanItem(query) {
-    const queryLower = query.toLowerCase();
-
-    // 1. 정확히 일치하는 것 먼저 확인
-    let exactMatch = null;
-    if (koreanItemDB.has(queryLower)) {
-        exactMatch = koreanItemDB.get(queryLower);
+function formatServerMarketStats(r, text = RESULT_TEXT.ko) {
+    const parts = [];
+    if (r.unitsForSale > 0) {
+        parts.push(`📦 ${text.listed} ${r.unitsForSale.toLocaleString()}${text.units}`);
     }
-
-    const endsWithMatches = [];   // 검색어로 끝나는 것
-    const startsWithMatches = []; // 검색어로 시작하는 것
-    const containsMatches = [];   // 검색어를 포함하는 것
-
-    for (const [name, item] of koreanItemDB) {
-        // 정확히 일치한 아이템은 suggestions에서 제외
-        if (exactMatch && item.id === exactMatch.id) {
-            continue;
-        }
-
-        if (name.endsWith(queryLower)) {
-            endsWithMatches.push(item);
-        } else if (name.startsWith(queryLower)) {
-            startsWithMatches.push(item);
-        } else if (name.includes(queryLower)) {
-            containsMatches.push(item);
-        }
+    if (r.saleVelocity > 0) {
+        parts.push(`🔄 ${formatVelocity(r.saleVelocity, text)}`);
     }
-
-    // 정렬 함수: 이름 길이순, 같으면 ID 낮은 순
-    const sortFn = (a, b) => {
-        if (a.name.length !== b.name.length) {
-            return a.name.length - b.name.length;
-        }
-        return a.id - b.id;
-    };
-
-    endsWithMatches.sort(sortFn);
-    startsWithMatches.sort(sortFn);
-    containsMatches.sort(sortFn);
-
-    // 모든 매치 합치기 (우선순위 순서대로)
-    const allMatches = [...endsWithMatches, ...startsWithMatches, ...containsMatches];
-
-    // 정확히 일치한 것이 있으면 그것을 메인으로, 나머지를 추천으로
-    if (exactMatch) {
-        return {
-            item: exactMatch,
-            suggestions: allMatches.slice(0, 10)
-        };
+    if (r.averageSalePrice) {
+        parts.push(`${text.averageSale} ${r.averageSalePrice.toLocaleString()} ${text.gil}`);
     }
-
-    // 정확히 일치한 것이 없으면 첫 번째 매치를 메인으로
-    if (allMatches.length === 0) {
-        return { item: null, suggestions: [] };
-    }
-
-    const item = allMatches[0];
-    const suggestions = allMatches.slice(1, 11);
-
-    return { item, suggestions };
+    return parts.length > 0 ? `${parts.join(' · ')}` : '';
 }
 
 /**
- * XIVAPI를 통해 영어 아이템 이름으로 검색 (fallback)
+ * 서버별 Universalis 업로드 시각 (오래됐으면 경고 표시)
  */
-async function searchItemByNameEN(itemName) {
-    try {
-        const url = `https://xivapi.com/api/search?sheets=Item&query=Name~"${encodeURIComponent(itemName)}"&fields=Name,Icon&limit=10`;
-        const response = await axios.get(url, { timeout: 10000 });
-        
-        if (response.data.results && response.data.results.length > 0) {
-            const result = response.data.results[0];
-            return { 
-                id: result.row_id, 
-                name: result.fields.Name,
-                icon: result.fields.Icon?.path_hr1 || null
-            };
-        }
-        return null;
-    } catch (error) {
-        console.error('XIVAPI 검색 오류:', error.message);
-        return null;
+function formatServerUploadAge(r, now, text = RESULT_TEXT.ko, language = 'ko') {
+    if (!r.lastUploadTime) {
+        return r.hasData ? text.noUpload : '';
     }
+    const age = formatAge(r.lastUploadTime, now, language);
+    return isStaleUpload(r.lastUploadTime, now) ? text.staleUpload(age) : text.uploadedAt(age);
 }
 
 /**
- * Universalis API를 통해 특정 서버의 아이템 시세 조회
+ * 서버 통합 시장 통계
  */
-async function getMarketData(serverId, itemId) {
-    try {
-        // entries=5로 최근 거래 내역도 가져옴
-        const url = `https://universalis.app/api/v2/${serverId}/${itemId}?entries=5`;
-        const response = await axios.get(url, { timeout: 10000 });
-        return response.data;
-    } catch (error) {
-        if (error.response?.status === 404) {
-            return { hasData: false, listings: [], recentHistory: [] };
-        }
-        throw error;
+function formatDcMarketStats(data, text = RESULT_TEXT.ko, quality = 'all') {
+    const lines = [];
+
+    if (data.saleVelocity !== null && data.saleVelocity !== undefined) {
+        lines.push(`${text.saleVelocity}: ${formatVelocity(data.saleVelocity, text)}`);
+    }
+    if (data.averageSalePrice || data.medianSalePrice) {
+        const parts = [];
+        if (data.averageSalePrice) parts.push(`${text.average} ${data.averageSalePrice.toLocaleString()} ${text.gil}`);
+        if (data.medianSalePrice) parts.push(`${text.median} ${data.medianSalePrice.toLocaleString()} ${text.gil}`);
+        lines.push(`${text.recentSales}: ${parts.join(' | ')}`);
     }
+    if (data.unitsForSale > 0) {
+        lines.push(`${text.unitsForSale}: ${data.unitsForSale.toLocaleString()}${text.units}`);
+    }
+    const recommendedNQ = quality !== 'HQ' ? data.recommendedPriceNQ : null;
+    const recommendedHQ = quality !== 'NQ' ? data.recommendedPriceHQ : null;
+    if (recommendedNQ || recommendedHQ) {
+        const parts = [];
+        if (recommendedNQ) parts.push(`NQ ${recommendedNQ.toLocaleString()} ${text.gil}`);
+        if (recommendedHQ) parts.push(`HQ ${recommendedHQ.toLocaleString()} ${text.gil}`);
+        lines.push(`${text.recommended}: ${parts.join(' | ')}`);
+    }
+
+    return lines.join('\n');
 }
 
+// 아이템 이름 언어 표시 순서
+const NAME_LANGUAGES = ['ko', 'en', 'ja'];
+
 /**
- * 모든 한국 서버의 시세를 한번에 조회 (Korea 데이터센터 사용)
+ * 제목에 쓰지 않은 다른 언어 이름 (예: "EN Pure White Dye · JA 染料:ピュアホワイト")
  */
-async function getAllKoreanServerPrices(itemId) {
-    try {
-        // Korea 데이터센터로 한번에 조회
-        const url = `https://universalis.app/api/v2/Korea/${itemId}?entries=10`;
-        const response = await axios.get(url, { timeout: 15000 });
-        const data = response.data;
-        
-        const results = [];
-        
-        // 서버별로 최저가 계산
-        for (const server of KOREAN_SERVERS) {
-            const serverListings = (data.listings || []).filter(l => l.worldID === server.id);
-            
-            let minPriceNQ = null;
-            let minPriceHQ = null;
-            let listingCount = serverListings.length;
-            
-            if (serverListings.length > 0) {
-                const nqListings = serverListings.filter(l => !l.hq);
-                const hqListings = serverListings.filter(l => l.hq);
-                
-                if (nqListings.length > 0) {
-                    minPriceNQ = Math.min(...nqListings.map(l => l.pricePerUnit));
-                }
-                if (hqListings.length > 0) {
-                    minPriceHQ = Math.min(...hqListings.map(l => l.pricePerUnit));
-                }
-            }
-            
-            // 서버별 업데이트 시간
-            const worldUploadTime = data.worldUploadTimes?.[server.id] || null;
-            
-            results.push({
-                server: server.name,
-                serverId: server.id,
-                emoji: server.emoji,
-                hasData: listingCount > 0,
-                listingCount,
-                minPriceNQ,
-                minPriceHQ,
-                lastUploadTime: worldUploadTime
-            });
-        }
-        
-        // 전체 서버 최근 거래 내역에서 최저가
-        let recentTradeMinNQ = null;
-        let recentTradeMinHQ = null;
-        
-        if (data.recentHistory && data.recentHistory.length > 0) {
-            const nqHistory = data.recentHistory.filter(h => !h.hq);
-            const hqHistory = data.recentHistory.filter(h => h.hq);
-            
-            if (nqHistory.length > 0) {
-                recentTradeMinNQ = Math.min(...nqHistory.map(h => h.pricePerUnit));
-            }
-            if (hqHistory.length > 0) {
-                recentTradeMinHQ = Math.min(...hqHistory.map(h => h.pricePerUnit));
-            }
-        }
-        
-        return {
-            servers: results,
-            recentTradeMinNQ,
-            recentTradeMinHQ,
-            dcName: data.dcName || 'Korea'
-        };
-        
-    } catch (error) {
-        // 데이터센터 조회 실패시 개별 서버 조회로 fallback
-        console.error('Korea DC 조회 실패, 개별 서버 조회 시도:', error.message);
-        return await getAllKoreanServerPricesFallback(itemId);
-    }
+function formatOtherNames(names, title) {
+    return NAME_LANGUAGES
+        .filter(language => names[language] && names[language] !== title)
+        .map(language => `${language.toUpperCase()} ${names[language]}`)
+        .join(' · ');
 }
 
 /**
- * 개별 서버 조회 (fallback)
+ * 아이템 정보 (분류, 아이템 레벨, 최대 겹치기, NPC 가격)
+ * 메타데이터가 없는 아이템은 빈 문자열
  */
-async function getAllKoreanServerPricesFallback(itemId) {
-    const results = [];
-    
-    for (const server of KOREAN_SERVERS) {
-        try {
-            const data = await getMarketData(server.id, itemId);
-            
-            let minPriceNQ = null;
-            let minPriceHQ = null;
-            let listingCount = 0;
-            
-            if (data.listings && data.listings.length > 0) {
-                listingCount = data.listings.length;
-                
-                const nqListings = data.listings.filter(l => !l.hq);
-                const hqListings = data.listings.filter(l => l.hq);
-                
-                if (nqListings.length > 0) {
-                    minPriceNQ = Math.min(...nqListings.map(l => l.pricePerUnit));
-                }
-                if (hqListings.length > 0) {
-                    minPriceHQ = Math.min(...hqListings.map(l => l.pricePerUnit));
-                }
-            }
-            
-            results.push({
-                server: server.name,
-                serverId: server.id,
-                emoji: server.emoji,
-                hasData: data.hasData,
-                listingCount,
-                minPriceNQ,
-                minPriceHQ,
-                lastUploadTime: data.lastUploadTime
-            });
-        } catch (error) {
-            results.push({
-                server: server.name,
-                serverId: server.id,
-                emoji: server.emoji,
-                error: error.message
-            });
-        }
-    }
-    
-    return {
-        servers: results,
-        recentTradeMinNQ: null,
-        recentTradeMinHQ: null,
-        dcName: 'Korea'
-    };
+function formatItemInfo(item, text = RESULT_TEXT.ko) {
+    if (!item) return '';
+
+    const lines = [];
+    const summary = [];
+    const category = getCategoryName(item);
+    if (category) summary.push(`${text.category}: ${category}`);
+    if (item.itemLevel > 0) summary.push(`${text.itemLevel} ${item.itemLevel}`);
+    if (item.stackSize > 1) summary.push(`${text.stackSize} ${item.stackSize.toLocaleString()}${text.units}`);
+    if (summary.length > 0) lines.push(summary.join(' · '));
+
+    const prices = [];
+    if (item.vendorPrice > 0) prices.push(`${text.vendorPrice} ${item.vendorPrice.toLocaleString()} ${text.gil}`);
+    if (item.vendorSellPrice > 0) prices.push(`${text.vendorSellPrice} ${item.vendorSellPrice.toLocaleString()} ${text.gil}`);
+    if (prices.length > 0) lines.push(prices.join(' · '));
+
+    return lines.join('\n');
 }
 
 /**
- * 결과를 Discord Embed로 포맷팅 (스크린샷 형식)
+ * 제목(설정 언어의 이름)과 다른 언어 이름을 붙인 기본 Embed
  */
-function createResultEmbed(itemName, itemId, data, iconUrl = null, suggestions = []) {
-    const { servers, recentTradeMinNQ, recentTradeMinHQ } = data;
+function createItemEmbed(itemName, item, iconUrl, settings) {
+    const names = item?.names || {};
+    const title = names[settings.language] || itemName;
 
     const embed = new EmbedBuilder()
         .setColor(0xADD8E6) // 하늘색
-        .setTitle(`${itemName}`)
+        .setTitle(`${title}`)
         .setTimestamp();
 
+    // 나머지 언어 이름은 제목 위에 작게 표시
+    const otherNames = formatOtherNames(names, title);
+    if (otherNames) {
+        embed.setAuthor({ name: otherNames });
+    }
+
     // 아이콘 썸네일 추가
     if (iconUrl) {
         embed.setThumbnail(iconUrl);
     }
+
+    return embed;
+}
+
+/**
+ * 장터에서 거래할 수 없는 아이템 안내 Embed (시세 조회 없이)
+ */
+function createUnmarketableEmbed(itemName, item, iconUrl, settings) {
+    const text = RESULT_TEXT[settings.language] || RESULT_TEXT.ko;
+    const embed = createItemEmbed(itemName, item, iconUrl, settings)
+        .setColor(0xFFA500)
+        .setDescription(item.untradable ? text.untradable : text.unmarketable);
+
+    const info = formatItemInfo(item, text);
+    if (info) {
+        embed.addFields({ name: text.itemInfo, value: info });
+    }
+    return embed;
+}
+
+/**
+ * 결과를 Discord Embed로 포맷팅 (스크린샷 형식)
+ *
+ * @param {object} [settings] getGuildSettings 결과 (표시할 서버, 홈 서버, 품질 필터, 언어)
+ */
+function createResultEmbed(itemName, itemId, data, iconUrl = null, suggestions = [], settings = getGuildSettings(null)) {
+    const text = RESULT_TEXT[settings.language] || RESULT_TEXT.ko;
+    const showNQ = settings.quality !== 'HQ';
+    const showHQ = settings.quality !== 'NQ';
+
+    // 표시할 서버만, 홈 서버를 맨 위로
+    const servers = applyServerSettings(data.servers, settings);
+    const recentTradeMinNQ = showNQ ? data.recentTradeMinNQ : null;
+    const recentTradeMinHQ = showHQ ? data.recentTradeMinHQ : null;
+
+    const item = getItemById(itemId);
+    const embed = createItemEmbed(itemName, item, iconUrl, settings);
     
     // NQ 데이터가 있는 서버들
-    const serversWithNQ = servers.filter(r => !r.error && r.minPriceNQ !== null);
-    const serversWithHQ = servers.filter(r => !r.error && r.minPriceHQ !== null);
+    const serversWithNQ = showNQ ? servers.filter(r => !r.error && r.minPriceNQ !== null) : [];
+    const serversWithHQ = showHQ ? servers.filter(r => !r.error && r.minPriceHQ !== null) : [];
+
+    // ⭐ 최저가는 최근에 업데이트된 서버 중에서 (모두 오래됐으면 전체 중에서)
+    const now = Date.now();
+    const freshOrAll = list => {
+        const fresh = list.filter(r => !isStaleUpload(r.lastUploadTime, now));
+        return fresh.length > 0 ? fresh : list;
+    };
+    const starCandidatesNQ = freshOrAll(serversWithNQ);
+    const starCandidatesHQ = freshOrAll(serversWithHQ);
     
     // 전체 NQ 최저가 찾기
     let overallMinNQ = null;
-    for (const r of serversWithNQ) {
+    for (const r of starCandidatesNQ) {
         if (overallMinNQ === null || r.minPriceNQ < overallMinNQ) {
             overallMinNQ = r.minPriceNQ;
         }
@@ -336,7 +302,7 @@ function createResultEmbed(itemName, itemId, data, iconUrl = null, suggestions =
     
     // 전체 HQ 최저가 찾기
     let overallMinHQ = null;
-    for (const r of serversWithHQ) {
+    for (const r of starCandidatesHQ) {
         if (overallMinHQ === null || r.minPriceHQ < overallMinHQ) {
             overallMinHQ = r.minPriceHQ;
         }
@@ -346,29 +312,46 @@ function createResultEmbed(itemName, itemId, data, iconUrl = null, suggestions =
     let priceText = '';
     for (let i = 0; i < servers.length; i++) {
         const r = servers[i];
+        const isHome = r.server === settings.homeWorld;
+        const serverLabel = `${isHome ? '🏠 ' : r.emoji}**${r.server}**`;
         
         if (r.error) {
-            priceText += `${r.emoji} **${r.server}**: ⚠️ 조회 실패`;
+            priceText += `${serverLabel}: ${text.fetchFailed}`;
         } else {
+            const minNQ = showNQ ? r.minPriceNQ : null;
+            const minHQ = showHQ ? r.minPriceHQ : null;
+
             // 이 서버가 최저가인지 표시
-            const isMinNQ = r.minPriceNQ === overallMinNQ && overallMinNQ !== null;
-            const isMinHQ = r.minPriceHQ === overallMinHQ && overallMinHQ !== null;
+            const isMinNQ = starCandidatesNQ.includes(r) && minNQ === overallMinNQ && overallMinNQ !== null;
+            const isMinHQ = starCandidatesHQ.includes(r) && minHQ === overallMinHQ && overallMinHQ !== null;
             
-            priceText += `${r.emoji} **${r.server}**\n`;
+            priceText += `${serverLabel}\n`;
             
             // 가격 정보
-            if (r.minPriceNQ !== null || r.minPriceHQ !== null) {
-                if (r.minPriceNQ !== null) {
-                    priceText += `${isMinNQ ? '⭐ ' : ''}NQ 최저 판매가: ${r.minPriceNQ.toLocaleString()} 길`;
+            if (minNQ !== null || minHQ !== null) {
+                if (minNQ !== null) {
+                    priceText += `${isMinNQ ? '⭐ ' : ''}${text.minNQ}: ${minNQ.toLocaleString()} ${text.gil}`;
                 }
-                if (r.minPriceHQ !== null) {
-                    if (r.minPriceNQ !== null) {
+                if (minHQ !== null) {
+                    if (minNQ !== null) {
                         priceText += '\n';  // NQ가 있을 때만 줄바꿈
                     }
-                    priceText += `${isMinHQ ? '⭐ ' : ''}HQ 최저 판매가: ${r.minPriceHQ.toLocaleString()} 길`;
+                    priceText += `${isMinHQ ? '⭐ ' : ''}${text.minHQ}: ${minHQ.toLocaleString()} ${text.gil}`;
                 }
             } else {
-                priceText += `매물 없음`;
+                priceText += text.noListings;
+            }
+            
+            // 등록 수량 / 판매 속도
+            const marketStats = formatServerMarketStats(r, text);
+            if (marketStats) {
+                priceText += `\n${marketStats}`;
+            }
+
+            // 이 서버의 데이터가 얼마나 최근 것인지
+            const uploadAge = formatServerUploadAge(r, now, text, settings.language);
+            if (uploadAge) {
+                priceText += `\n${uploadAge}`;
             }
         }
         
@@ -385,83 +368,335 @@ function createResultEmbed(itemName, itemId, data, iconUrl = null, suggestions =
     // 구분선 + 서버 통합 최근 거래 최저가
     if (recentTradeMinNQ !== null || recentTradeMinHQ !== null) {
         let recentText = '\n‧˚₊‧ ┈┈┈┈ ⟡ ┈┈┈┈ ‧₊˚⊹\n\n';
-        recentText += '**(서버 통합) 최근 거래 최저가**\n';
+        recentText += `**${text.recentTradeMin}**\n`;
         
         if (recentTradeMinNQ !== null) {
-            recentText += `NQ: ${recentTradeMinNQ.toLocaleString()} 길`;
+            recentText += `NQ: ${recentTradeMinNQ.toLocaleString()} ${text.gil}`;
         }
         if (recentTradeMinHQ !== null) {
             if (recentTradeMinNQ !== null) recentText += ' | ';
-            recentText += `HQ: ${recentTradeMinHQ.toLocaleString()} 길`;
+            recentText += `HQ: ${recentTradeMinHQ.toLocaleString()} ${text.gil}`;
         }
         
         embed.addFields({ name: '\u200B', value: recentText });
     }
     
+    // 서버 통합 시장 통계 (판매 속도, 평균/중앙 거래가, 등록 수량, 추천 판매가)
+    const marketText = formatDcMarketStats(data, text, settings.quality);
+    if (marketText) {
+        embed.addFields({ name: text.marketStats, value: marketText });
+    }
+    
+    // 아이템 정보 (분류, 아이템 레벨, NPC 가격)
+    const itemInfo = formatItemInfo(item, text);
+    if (itemInfo) {
+        embed.addFields({ name: text.itemInfo, value: itemInfo });
+    }
+    
     // 데이터가 전혀 없는 경우
     if (serversWithNQ.length === 0 && serversWithHQ.length === 0) {
         embed.setColor(0xFF0000);
-        embed.setDescription('한국 서버에 등록된 시세 정보가 없습니다.');
+        embed.setDescription(text.noData);
     }
 
-    // 추천 검색어 추가 (시세 정보 유무와 관계없이 표시)
+    // 푸터: 추천 검색어 (시세 정보 유무와 관계없이 표시) + 데이터 조회 시각
+    const footerLines = [];
     if (suggestions.length > 0) {
         const suggestionList = suggestions
             .slice(0, 5)
             .map(s => s.name)
             .join('\n');
-        embed.setFooter({ text: `다른 아이템을 찾으셨나요?\n${suggestionList}` });
+        footerLines.push(`${text.suggestions}\n${suggestionList}`);
+    }
+    if (data.fetchedAt) {
+        const age = formatAge(data.fetchedAt, Date.now(), settings.language);
+        footerLines.push(data.live ? text.live : data.stale ? text.stale(age) : text.fetchedAt(age));
+    }
+    if (footerLines.length > 0) {
+        embed.setFooter({ text: footerLines.join('\n\n') });
     }
 
     return embed;
 }
 
+
+/**
+ * 도움말 Embed
+ */
+function createHelpEmbed() {
+    return new EmbedBuilder()
+        .setColor(0xADD8E6)
+        .setTitle('📖 파판14 시세 봇 사용법')
+        .setDescription('한국 서버(카벙클, 초코보, 모그리, 톤베리, 펜리르)의 장터 시세를 조회합니다.')
+        .addFields(
+            { name: '/시세 [아이템]', value: '아이템 이름(한국어/영어/일본어)으로 검색 (입력하는 동안 자동완성)\n예: `/시세 아이템:염료: 순백색`' },
+            { name: '/시세id [아이템id]', value: '아이템 ID로 직접 검색\n예: `/시세id 아이템id:17534`' },
+            { name: '/도움', value: '이 도움말 표시' },
+            { name: '!시세비교 [아이템] [데이터센터...]', value: '다른 데이터센터/지역(Mana, Elemental, Chaos, 일본 등)의 NQ/HQ 최저가를 한국 서버와 비교\n예: `!시세비교 염료: 순백색 Mana Chaos`' },
+            { name: '!시세기록 [아이템] [기간]', value: '최근 판매 기록 통계와 일별 평균가 차트 (기간 기본 7일, 최대 30일)\n예: `!시세기록 염료: 순백색 14일`' },
+            { name: '!제작비 [아이템] [전체]', value: '재료를 전부 사서 만들 때의 비용과 완성품 최저가 비교\n예: `!제작비 염료: 순백색` (`전체`를 붙이면 중간 재료까지 펼침)' },
+            { name: '!마테리아 [등급] / !염료', value: '등급별 마테리아 또는 염료 전체의 서버별 최저가를 비싼 순으로 한 번에 보기\n예: `!마테리아 12`, `!마테리아 XI`, `!염료`' },
+            { name: '!차익 [카테고리] [최소이익]', value: '한 서버에서 사서 다른 서버에 되팔 때 수수료 5%를 빼고 남는 아이템을 판매 속도 순으로 검색 (백그라운드, 끝나면 결과를 올림)\n예: `!차익 염료 3000` (최소이익 기본 1,000 길)' },
+            { name: '!채집추천 [광부|원예가] [최대레벨]', value: '채집 아이템을 하루에 팔 수 있는 길(수수료 뺀 판매가 × 판매 속도) 순으로 추천\n예: `!채집추천 광부`, `!채집추천 원예가 50`' },
+            { name: '!장보기', value: '여러 줄로 `아이템 x수량`을 입력하면 총액과 서버별 구매 경로 계산 (최대 30개)\n예: `!장보기` 다음 줄에 `불의 수정 x500`' },
+            { name: '!알림 추가 [아이템] [가격] [NQ|HQ] [서버]', value: '목표가 이하 매물이 올라오면 DM으로 알림\n예: `!알림 추가 염료: 순백색 5000 모그리`\n`!알림 목록`, `!알림 삭제 [번호]`' },
+            { name: '!관심 추가 [아이템]', value: '자주 보는 아이템을 관심 목록에 모아 두고 `!관심시세`로 한 번에 시세 확인 (지난 확인 대비 변동 표시)\n`!관심 목록`, `!관심 삭제 [번호]`, 서버 공용 목록은 `!관심 공용 추가 [아이템]`, `!관심시세 공용`' },
+            { name: '!리테이너 등록 [리테이너이름] [서버]', value: '등록한 아이템에 내 리테이너보다 싼 매물이 올라오면 DM으로 알림\n예: `!리테이너 등록 모모 모그리` → `!리테이너 추가 염료: 순백색`\n`!리테이너 목록`, `!리테이너 제외 [아이템]`, `!리테이너 삭제 [리테이너이름]`' },
+            { name: '!시세상태', value: '한국 서버별로 서버 공용 관심 목록과 마테리아/염료 시세가 얼마나 최근에 갱신됐는지 확인 (업로더 플러그인 사용자가 그 서버 장터를 열어야 갱신)' },
+            { name: '!시세요약 채널 [#채널] / !시세요약 시간 [HH:MM]', value: '서버 관리자용: 매일 정해진 시각(한국 시간)에 가격 변동, 판매량 급증, 서버별 데이터 갱신 상태를 요약해서 올림\n`!시세요약 지금`으로 바로 올리기, `!시세요약 끄기`' },
+            { name: '!시세설정', value: '서버 관리자용: 홈 서버, 표시할 서버, 품질 필터, 접두사, 명령어 채널, 언어 설정\n`!시세설정 도움`으로 자세한 사용법 확인' },
+            { name: '기존 명령어', value: '`!시세`, `!시세id`, `!시세도움`도 당분간 계속 사용할 수 있습니다.' }
+        )
+        .setFooter({ text: 'Powered by Universalis API' });
+}
+
+// 슬래시 커맨드 자동완성 최대 개수 (Discord 제한)
+const AUTOCOMPLETE_LIMIT = 25;
+
+/**
+ * 매물이 하나라도 있으면 "매물 보기" 버튼 행 반환
+ */
+function createResultComponents(data) {
+    return data.servers.some(r => !r.error && r.listingCount > 0) ? [createListingsButtonRow()] : [];
+}
+
+/**
+ * 시세 결과 메시지 내용
+ * 장터에서 거래할 수 없는 아이템은 Universalis를 조회하지 않고 안내만 표시
+ *
+ * @returns {Promise<{ embeds: EmbedBuilder[], components: ActionRowBuilder[] }>}
+ */
+async function createPriceReply(itemId, itemName, iconUrl, suggestions, settings) {
+    const item = getItemById(itemId);
+    if (item && !isMarketable(item)) {
+        return { embeds: [createUnmarketableEmbed(itemName, item, iconUrl, settings)], components: [] };
+    }
+
+    const data = await getAllKoreanServerPrices(itemId);
+    return {
+        embeds: [createResultEmbed(itemName, itemId, data, iconUrl, suggestions, settings)],
+        components: createResultComponents(data)
+    };
+}
+
+/**
+ * 쿨다운 중이면 안내 메시지를 보내고 true 반환
+ *
+ * @param {string} userId
+ * @param {'market'|'bulk'} kind
+ * @param {(content: string) => Promise<any>} reply
+ */
+async function replyIfOnCooldown(userId, kind, reply) {
+    const remaining = consumeCooldown(userId, kind);
+    if (remaining > 0) {
+        await reply(cooldownMessage(remaining));
+        return true;
+    }
+    return false;
+}
+
+/**
+ * /시세 아이템 이름 자동완성
+ * searchKoreanItem의 우선순위 그대로 최대 25개까지 제안
+ */
+async function handleAutocomplete(interaction) {
+    const focused = interaction.options.getFocused().trim();
+
+    let choices = [];
+    if (focused && getItemCount() > 0) {
+        const { item, suggestions } = searchKoreanItem(focused, AUTOCOMPLETE_LIMIT - 1);
+        const matches = item ? [item, ...suggestions] : [];
+
+        // Discord 선택지 name/value는 최대 100자
+        // 영어/일본어로 검색한 경우에도 알아볼 수 있도록 영어 이름을 함께 표시
+        choices = matches
+            .slice(0, AUTOCOMPLETE_LIMIT)
+            .filter(match => match.name.length <= 100)
+            .map(match => {
+                const english = match.names?.en;
+                const label = english && english !== match.name ? `${match.name} (${english})` : match.name;
+                return { name: label.length <= 100 ? label : match.name, value: match.name };
+            });
+    }
+
+    try {
+        await interaction.respond(choices);
+    } catch (error) {
+        // 사용자가 계속 입력하면 이전 자동완성 요청은 만료될 수 있음
+        console.error('자동완성 응답 오류:', error.message);
+    }
+}
+
+/**
+ * 서버 접두사로 시작하는 메시지를 기본 접두사(!) 형태로 변환
+ * 명령어가 아니면 null
+ */
+function toCommandText(content, prefix) {
+    if (content.startsWith(prefix)) {
+        return `!${content.slice(prefix.length)}`;
+    }
+    if (content === '!시세설정' || content.startsWith('!시세설정 ')) {
+        return content;
+    }
+    return null;
+}
+
 // 봇 시작 시 한국어 DB 로드
 client.once('ready', () => {
     console.log(`${client.user.tag} 로그인 성공!`);
     loadKoreanItemDB();
+    loadRecipeDB();
+    watchItemDB();
+    startMarketStream();
+    startAlertScheduler(client);
+    startRetainerScheduler(client);
+    startItemDBUpdateScheduler(client);
+    startDigestScheduler(client);
 });
 
-// 메시지 이벤트 핸들러
-client.on('messageCreate', async (message) => {
+/**
+ * 슬래시 커맨드 / 자동완성 처리
+ * @param {import('discord.js').Interaction} interaction
+ */
+async function handleInteraction(interaction) {
+    if (interaction.isAutocomplete()) {
+        if (interaction.commandName === '시세') {
+            await handleAutocomplete(interaction);
+        }
+        return;
+    }
+
+    if (!interaction.isChatInputCommand()) return;
+
+    const settings = getGuildSettings(interaction.guildId);
+    if (!isChannelAllowed(settings, interaction.channelId)) {
+        return interaction.reply({ content: '이 채널에서는 시세 봇 명령어를 사용할 수 없습니다.', flags: MessageFlags.Ephemeral });
+    }
+
+    // 시세 조회 커맨드 쿨다운 (안내는 본인에게만 보이게)
+    if (interaction.commandName === '시세' || interaction.commandName === '시세id') {
+        const ephemeralReply = (content) => interaction.reply({ content, flags: MessageFlags.Ephemeral });
+        if (await replyIfOnCooldown(interaction.user.id, 'market', ephemeralReply)) {
+            return;
+        }
+    }
+
+    // /시세 [아이템]
+    if (interaction.commandName === '시세') {
+        const itemName = interaction.options.getString('아이템', true).trim();
+        await interaction.deferReply();
+
+        try {
+            const { item, iconUrl, suggestions } = await findItemByName(itemName);
+
+            if (!item) {
+                return interaction.editReply(`**${itemName}**을(를) 찾을 수 없습니다.`);
+            }
+
+            // 자동완성에서 고른 경우(정확히 일치)에는 추천 목록을 생략
+            const isExactMatch = item.name.toLowerCase() === itemName.toLowerCase();
+            const result = await createPriceReply(item.id, item.name, iconUrl, isExactMatch ? [] : suggestions, settings);
+
+            const reply = await interaction.editReply(result);
+            if (result.components.length > 0) {
+                attachListingsButton(reply, item.id, item.name);
+            }
+        } catch (error) {
+            console.error('시세 조회 오류:', error);
+            await interaction.editReply(`오류가 발생했습니다: ${error.message}`);
+        }
+        return;
+    }
+
+    // /시세id [아이템id]
+    if (interaction.commandName === '시세id') {
+        const itemId = interaction.options.getInteger('아이템id', true);
+        await interaction.deferReply();
+
+        try {
+            const { itemName, iconUrl } = findItemById(itemId);
+            const result = await createPriceReply(itemId, itemName, iconUrl, [], settings);
+
+            const reply = await interaction.editReply(result);
+            if (result.components.length > 0) {
+                attachListingsButton(reply, itemId, itemName);
+            }
+        } catch (error) {
+            console.error('시세 조회 오류:', error);
+            await interaction.editReply(`오류가 발생했습니다: ${error.message}`);
+        }
+        return;
+    }
+
+    // /도움
+    if (interaction.commandName === '도움') {
+        return interaction.reply({ embeds: [createHelpEmbed()] });
+    }
+}
+
+/**
+ * 접두사 명령어 처리 (기존 접두사 명령어, 슬래시 커맨드 전환 기간 동안 유지)
+ * @param {import('discord.js').Message} message
+ */
+async function handleMessage(message) {
     if (message.author.bot) return;
+
+    // 서버 설정의 접두사를 기본 접두사(!)로 바꿔서 처리 (!시세설정은 접두사와 관계없이 항상 사용 가능)
+    const settings = getGuildSettings(message.guildId);
+    const content = toCommandText(message.content, settings.prefix);
+    if (content === null) return;
+
+    // !시세설정 [항목] [값] 명령어 (명령어 채널 제한과 관계없이 사용 가능)
+    if (content === '!시세설정' || content.startsWith('!시세설정 ')) {
+        try {
+            await handleSettingsCommand(message, content.slice(5).trim());
+        } catch (error) {
+            console.error('설정 명령어 오류:', error);
+            await message.reply(`오류가 발생했습니다: ${error.message}`);
+        }
+        return;
+    }
+
+    // !시세관리 명령어 (봇 소유자 전용, 채널 제한과 관계없이 사용 가능)
+    if (content === '!시세관리' || content.startsWith('!시세관리 ')) {
+        try {
+            await handleAdminCommand(message, content.slice(5).trim());
+        } catch (error) {
+            console.error('관리 명령어 오류:', error);
+            await message.reply(`오류가 발생했습니다: ${error.message}`);
+        }
+        return;
+    }
+
+    // !시세요약 [채널|시간|끄기|지금] 명령어 (서버 관리자용, 채널 제한과 관계없이 사용 가능)
+    if (content === '!시세요약' || content.startsWith('!시세요약 ')) {
+        try {
+            await handleDigestCommand(message, content.slice(5).trim());
+        } catch (error) {
+            console.error('시세 요약 명령어 오류:', error);
+            await message.reply(`오류가 발생했습니다: ${error.message}`);
+        }
+        return;
+    }
+
+    if (!isChannelAllowed(settings, message.channelId)) return;
     
-    // !시세 [아이템이름] 명령어 (한국어/영어 둘 다 지원)
-    if (message.content.startsWith('!시세 ')) {
-        const itemName = message.content.slice(4).trim();
+    // !시세 [아이템이름] 명령어 (한국어/영어/일본어 지원)
+    if (content.startsWith('!시세 ')) {
+        const itemName = content.slice(4).trim();
         
         if (!itemName) {
-            return message.reply('아이템 이름을 입력해주세요.\n예: `!시세 염료: 순백색` 또는 `!시세 Pure White`');
+            return message.reply('아이템 이름을 입력해주세요.\n예: `!시세 염료: 순백색` 또는 `!시세 Pure White Dye`');
+        }
+        
+        if (await replyIfOnCooldown(message.author.id, 'market', (content) => message.reply(content))) {
+            return;
         }
         
         const searchMsg = await message.reply(`🔍 **${itemName}** 검색 중...`);
         
         try {
-            let item = null;
-            let iconUrl = null;
-            let suggestions = [];
-            
-            // 1. 한국어 DB에서 먼저 검색
-            if (koreanItemDB.size > 0) {
-                const result = searchKoreanItem(itemName);
-                item = result.item;
-                suggestions = result.suggestions;
-                
-                if (item && item.icon) {
-                    iconUrl = `https://xivapi.com${item.icon}`;
-                }
-            }
-            
-            // 2. 한국어 DB에 없으면 XIVAPI로 영어 검색
-            if (!item) {
-                const enItem = await searchItemByNameEN(itemName);
-                if (enItem) {
-                    item = enItem;
-                    if (enItem.icon) {
-                        iconUrl = `https://xivapi.com${enItem.icon}`;
-                    }
-                }
-            }
+            const { item, iconUrl, suggestions } = await findItemByName(itemName);
             
             if (!item) {
                 return searchMsg.edit(`**${itemName}**을(를) 찾을 수 없습니다.\n\n`);
@@ -469,13 +704,13 @@ client.on('messageCreate', async (message) => {
             
             await searchMsg.edit(`🔍 **${item.name}** 시세 조회 중...`);
             
-            // 3. 모든 한국 서버 시세 조회
-            const data = await getAllKoreanServerPrices(item.id);
+            // 모든 한국 서버 시세 조회 후 결과 임베드 생성 및 전송 (suggestions도 함께 전달)
+            const result = await createPriceReply(item.id, item.name, iconUrl, suggestions, settings);
 
-            // 4. 결과 임베드 생성 및 전송 (suggestions도 함께 전달)
-            const embed = createResultEmbed(item.name, item.id, data, iconUrl, suggestions);
-
-            await searchMsg.edit({ content: null, embeds: [embed] });
+            await searchMsg.edit({ content: null, ...result });
+            if (result.components.length > 0) {
+                attachListingsButton(searchMsg, item.id, item.name);
+            }
             
         } catch (error) {
             console.error('시세 조회 오류:', error);
@@ -484,55 +719,186 @@ client.on('messageCreate', async (message) => {
     }
     
     // !시세id [아이템ID] 명령어 - ID로 직접 검색
-    if (message.content.startsWith('!시세id ')) {
-        const itemIdStr = message.content.slice(7).trim();
+    if (content.startsWith('!시세id ')) {
+        const itemIdStr = content.slice(6).trim();
         const itemId = parseInt(itemIdStr, 10);
         
         if (isNaN(itemId) || itemId <= 0) {
             return message.reply('올바른 아이템 ID를 입력해주세요. 예: `!시세id 17534`');
         }
         
+        if (await replyIfOnCooldown(message.author.id, 'market', (content) => message.reply(content))) {
+            return;
+        }
+        
         const searchMsg = await message.reply(`🔍 아이템 ID **${itemId}** 시세 조회 중...`);
         
         try {
             // 한국어 DB에서 아이템 이름 찾기
-            let itemName = `아이템 #${itemId}`;
-            let iconUrl = null;
+            const { itemName, iconUrl } = findItemById(itemId);
             
-            for (const [name, item] of koreanItemDB) {
-                if (item.id === itemId) {
-                    itemName = item.name;
-                    if (item.icon) {
-                        iconUrl = `https://xivapi.com${item.icon}`;
-                    }
-                    break;
-                }
+            const result = await createPriceReply(itemId, itemName, iconUrl, [], settings);
+
+            await searchMsg.edit({ content: null, ...result });
+            if (result.components.length > 0) {
+                attachListingsButton(searchMsg, itemId, itemName);
             }
-            
-            const data = await getAllKoreanServerPrices(itemId);
-            const embed = createResultEmbed(itemName, itemId, data, iconUrl);
-            await searchMsg.edit({ content: null, embeds: [embed] });
         } catch (error) {
             console.error('시세 조회 오류:', error);
             await searchMsg.edit(`오류가 발생했습니다: ${error.message}`);
         }
     }
     
+    // !시세비교 [아이템] [데이터센터...] 명령어
+    if (content === '!시세비교' || content.startsWith('!시세비교 ')) {
+        const hasArgs = content.slice(5).trim().length > 0;
+        if (hasArgs && await replyIfOnCooldown(message.author.id, 'bulk', (content) => message.reply(content))) {
+            return;
+        }
+        return handleCompareCommand(message, content.slice(5).trim(), settings);
+    }
+    
+    // !시세기록 [아이템] [기간] 명령어
+    if (content === '!시세기록' || content.startsWith('!시세기록 ')) {
+        // 사용법 안내(인자 없음)는 쿨다운에 포함하지 않음
+        const hasArgs = content.slice(5).trim().length > 0;
+        if (hasArgs && await replyIfOnCooldown(message.author.id, 'market', (content) => message.reply(content))) {
+            return;
+        }
+        return handleHistoryCommand(message, content.slice(5).trim());
+    }
+    
+    // !제작비 [아이템] [전체] 명령어
+    if (content === '!제작비' || content.startsWith('!제작비 ')) {
+        const hasArgs = content.slice(4).trim().length > 0;
+        if (hasArgs && await replyIfOnCooldown(message.author.id, 'bulk', (content) => message.reply(content))) {
+            return;
+        }
+        return handleCraftCostCommand(message, content.slice(4).trim());
+    }
+    
+    // !마테리아 [등급] 명령어
+    if (content === '!마테리아' || content.startsWith('!마테리아 ')) {
+        if (await replyIfOnCooldown(message.author.id, 'bulk', (content) => message.reply(content))) {
+            return;
+        }
+        return handleMateriaCommand(message, content.slice(5).trim(), settings);
+    }
+    
+    // !염료 명령어
+    if (content === '!염료') {
+        if (await replyIfOnCooldown(message.author.id, 'bulk', (content) => message.reply(content))) {
+            return;
+        }
+        return handleDyeCommand(message, settings);
+    }
+    
+    // !차익 [카테고리] [최소이익] 명령어
+    if (content === '!차익' || content.startsWith('!차익 ')) {
+        if (await replyIfOnCooldown(message.author.id, 'bulk', (content) => message.reply(content))) {
+            return;
+        }
+        try {
+            await handleArbitrageCommand(message, content.slice(3).trim(), settings);
+        } catch (error) {
+            console.error('차익 검색 명령어 오류:', error);
+            await message.reply(`오류가 발생했습니다: ${error.message}`);
+        }
+        return;
+    }
+    
+    // !채집추천 [채집직업] [최대레벨] 명령어
+    if (content === '!채집추천' || content.startsWith('!채집추천 ')) {
+        const hasArgs = content.slice(5).trim().length > 0;
+        if (hasArgs && await replyIfOnCooldown(message.author.id, 'bulk', (content) => message.reply(content))) {
+            return;
+        }
+        return handleGatheringCommand(message, content.slice(5).trim());
+    }
+    
+    // !시세상태 명령어 (서버별 데이터 갱신 상태)
+    if (content === '!시세상태') {
+        if (await replyIfOnCooldown(message.author.id, 'bulk', (content) => message.reply(content))) {
+            return;
+        }
+        return handleMarketStatusCommand(message);
+    }
+    
+    // !장보기 (여러 줄 목록) 명령어
+    if (content === '!장보기' || /^!장보기\s/.test(content)) {
+        const hasArgs = content.slice(4).trim().length > 0;
+        if (hasArgs && await replyIfOnCooldown(message.author.id, 'bulk', (content) => message.reply(content))) {
+            return;
+        }
+        return handleShoppingCommand(message, content.slice(4));
+    }
+    
+    // !알림 추가/목록/삭제 명령어
+    if (content === '!알림' || content.startsWith('!알림 ')) {
+        try {
+            await handleAlertCommand(message, content.slice(3).trim());
+        } catch (error) {
+            console.error('알림 명령어 오류:', error);
+            await message.reply(`오류가 발생했습니다: ${error.message}`);
+        }
+        return;
+    }
+    
+    // !관심 추가/삭제/목록 명령어
+    if (content === '!관심' || content.startsWith('!관심 ')) {
+        try {
+            await handleWatchlistCommand(message, content.slice(3).trim());
+        } catch (error) {
+            console.error('관심 목록 명령어 오류:', error);
+            await message.reply(`오류가 발생했습니다: ${error.message}`);
+        }
+        return;
+    }
+    
+    // !관심시세 [공용] 명령어
+    if (content === '!관심시세' || content.startsWith('!관심시세 ')) {
+        if (await replyIfOnCooldown(message.author.id, 'bulk', (content) => message.reply(content))) {
+            return;
+        }
+        try {
+            await handleWatchDashboardCommand(message, content.slice(5).trim(), settings);
+        } catch (error) {
+            console.error('관심 시세 오류:', error);
+            await message.reply(`오류가 발생했습니다: ${error.message}`);
+        }
+        return;
+    }
+    
+    // !리테이너 등록/추가/제외/목록/삭제 명령어
+    if (content === '!리테이너' || content.startsWith('!리테이너 ')) {
+        try {
+            await handleRetainerCommand(message, content.slice(5).trim());
+        } catch (error) {
+            console.error('리테이너 명령어 오류:', error);
+            await message.reply(`오류가 발생했습니다: ${error.message}`);
+        }
+        return;
+    }
+    
     // !시세도움 명령어
-    if (message.content === '!시세도움' || message.content === '!시세help') {
-        const helpEmbed = new EmbedBuilder()
-            .setColor(0xADD8E6)
-            .setTitle('📖 파판14 시세 봇 사용법')
-            .setDescription('한국 서버(카벙클, 초코보, 모그리, 톤베리, 펜리르)의 장터 시세를 조회합니다.')
-            .addFields(
-                { name: '!시세 [아이템이름]', value: '아이템 이름으로 검색\n예: `!시세 염료: 순백색`' },
-                { name: '!시세id [아이템ID]', value: '아이템 ID로 직접 검색\n예: `!시세id 17534`' },
-                { name: '!시세도움', value: '이 도움말 표시' }
-            )
-            .setFooter({ text: 'Powered by Universalis API' });
-        
-        return message.reply({ embeds: [helpEmbed] });
+    if (content === '!시세도움' || content === '!시세help') {
+        return message.reply({ embeds: [createHelpEmbed()] });
     }
-});
+}
+
+client.on('interactionCreate', handleInteraction);
+client.on('messageCreate', handleMessage);
+
+// 직접 실행할 때만 로그인 (테스트에서는 require 해서 핸들러만 사용)
+if (require.main === module) {
+    client.login(process.env.DISCORD_TOKEN);
+}
 
-client.login(process.env.DISCORD_TOKEN);
+module.exports = {
+    client,
+    createResultEmbed,
+    createPriceReply,
+    toCommandText,
+    handleInteraction,
+    handleMessage,
+};
@@ -0,0 +1,47 @@
+/**
+ * 슬래시 커맨드 등록 스크립트
+ *
+ * src/slash-commands.js 에 정의된 커맨드를 Discord에 등록합니다.
+ *
+ * 필요한 환경 변수 (.env):
+ *   DISCORD_TOKEN      봇 토큰
+ *   DISCORD_CLIENT_ID  애플리케이션 ID
+ *   DISCORD_GUILD_ID   (선택) 지정하면 해당 서버에만 즉시 등록,
+ *                      없으면 전역 등록 (반영까지 최대 1시간)
+ *
+ * 사용법: npm run register-commands
+ */
+
+require('dotenv').config();
+const { REST, Routes } = require('discord.js');
+const { commands } = require('../src/slash-commands');
+
+async function main() {
+    const token = process.env.DISCORD_TOKEN;
+    const clientId = process.env.DISCORD_CLIENT_ID;
+    const guildId = process.env.DISCORD_GUILD_ID;
+
+    if (!token || !clientId) {
+        console.error('❌ DISCORD_TOKEN, DISCORD_CLIENT_ID 환경 변수가 필요합니다.');
+        process.exit(1);
+    }
+
+    const rest = new REST({ version: '10' }).setToken(token);
+    const route = guildId
+        ? Routes.applicationGuildCommands(clientId, guildId)
+        : Routes.applicationCommands(clientId);
+
+    try {
+        console.log(`슬래시 커맨드 ${commands.length}개 등록 중... (${guildId ? `서버 ${guildId}` : '전역'})`);
+        const data = await rest.put(route, { body: commands });
+        console.log(`✅ 완료! ${data.length}개 커맨드가 등록되었습니다.`);
+        for (const command of data) {
+            console.log(`   /${command.name}`);
+        }
+    } catch (error) {
+        console.error('❌ 오류:', error.message);
+        process.exit(1);
+    }
+}
+
+main();
@@ -1,228 +1,78 @@
 /**
- * 한국어 아이템 DB 업데이트 스크립트
- * 
- * GitHub의 ffxiv-datamining-ko 레포에서 Item.csv를 다운받아
- * 봇에서 사용할 수 있는 JSON 형식으로 변환합니다.
- * 
- * 사용법: node scripts/update-item-db.js
+ * 아이템 DB 업데이트 스크립트
+ *
+ * 한국어(ffxiv-datamining-ko), 영어/일본어 Item.csv와 분류/레시피/마테리아/채집 CSV를 읽어
+ * data/items.json, data/item-categories.json, data/item-groups.json, data/recipes_ko.json 을 만듭니다.
+ * 생성 과정은 src/item-db-builder.js 참고.
+ *
+ * 각 소스는 URL 또는 로컬 CSV 경로로 바꿀 수 있습니다.
+ *   --ko=<경로|URL> --en=... --ja=... --ui-category=... --search-category=... --recipe=... --materia=...
+ *   --gathering-item=... --gathering-point=... --gathering-level=...
+ * (환경 변수 ITEM_CSV_URL_KO, ITEM_CSV_URL_EN, ITEM_CSV_URL_JA, ITEM_UI_CATEGORY_CSV_URL,
+ *  ITEM_SEARCH_CATEGORY_CSV_URL, RECIPE_CSV_URL, MATERIA_CSV_URL, GATHERING_ITEM_CSV_URL,
+ *  GATHERING_POINT_BASE_CSV_URL, GATHERING_LEVEL_CSV_URL 로도 지정 가능)
+ *
+ * --dry-run 을 주면 파일을 쓰지 않고 검사와 변경 요약만 출력합니다.
+ *
+ * 사용법: npm run update-db [-- --dry-run --ko=./Item.csv ...]
+ *   (봇 실행 중이면 저장된 파일을 자동으로 다시 불러옵니다, src/item-db-reload.js 참고)
  */
 
-const https = require('https');
-const fs = require('fs');
-const path = require('path');
+const { SOURCES, OUTPUT_PATHS, buildItemDB, formatDiffSummary } = require('../src/item-db-builder');
 
-const CSV_URL = 'https://raw.githubusercontent.com/Ra-Workspace/ffxiv-datamining-ko/master/csv/Item.csv';
-const OUTPUT_PATH = path.join(__dirname, '..', 'data', 'items_ko.json');
+function parseArgs(argv) {
+    const options = { sources: {}, dryRun: false };
 
-function downloadFile(url) {
-    return new Promise((resolve, reject) => {
-        https.get(url, (res) => {
-            if (res.statusCode === 301 || res.statusCode === 302) {
-                // 리다이렉트 처리
-                return downloadFile(res.headers.location).then(resolve).catch(reject);
-            }
-            
-            if (res.statusCode !== 200) {
-                reject(new Error(`HTTP ${res.statusCode}`));
-                return;
-            }
-            
-            let data = '';
-            res.setEncoding('utf8');
-            res.on('data', chunk => data += chunk);
-            res.on('end', () => resolve(data));
-            res.on('error', reject);
-        }).on('error', reject);
-    });
-}
-
-function parseCSV(csvText) {
-    // 멀티라인 셀을 고려한 줄 분리
-    const lines = splitCSVLines(csvText);
-    const items = [];
-    
-    // CSV 구조 (스크린샷 기준):
-    // Row 1: key, 0, 1, 2, ... (컬럼 번호)
-    // Row 2: #, Singular, Adjective, ... Description, Name, Icon (컬럼 이름)
-    // Row 3: int32, str, sbyte, ... str, str, Image (타입)
-    // Row 4+: 데이터
-    
-    if (lines.length < 4) {
-        throw new Error('CSV 파일 형식이 올바르지 않습니다.');
-    }
-    
-    // 컬럼 이름에서 인덱스 찾기 (Row 2)
-    const columnNames = parseCSVLine(lines[1]);
-    
-    let nameIndex = -1;
-    let iconIndex = -1;
-    
-    for (let i = 0; i < columnNames.length; i++) {
-        const col = columnNames[i].trim();
-        if (col === 'Name') {
-            nameIndex = i;
-        }
-        if (col === 'Icon') {
-            iconIndex = i;
-        }
-    }
-    
-    // 못 찾으면 기본값 (스크린샷 기준: Name=10, Icon=11)
-    if (nameIndex === -1) nameIndex = 10;
-    if (iconIndex === -1) iconIndex = 11;
-    
-    console.log(`Name 컬럼 인덱스: ${nameIndex}, Icon 컬럼 인덱스: ${iconIndex}`);
-    
-    // 데이터 파싱 (4번째 줄부터, 인덱스 3)
-    let errorCount = 0;
-    let lastSuccessId = 0;
-    
-    for (let i = 3; i < lines.length; i++) {
-        const line = lines[i].trim();
-        if (!line) continue;
-        
-        try {
-            const cols = parseCSVLine(line);
-            
-            if (cols.length < Math.max(nameIndex, iconIndex) + 1) {
-                // 컬럼 수가 부족하면 스킵
-                errorCount++;
-                continue;
-            }
-            
-            const id = parseInt(cols[0], 10);
-            const name = cols[nameIndex] || '';
-            const iconId = cols[iconIndex] || '';
-            
-            // 유효한 아이템만 추가 (이름이 있고, ID가 유효한 경우)
-            if (id > 0 && name && name.trim()) {
-                const item = {
-                    id: id,
-                    name: name.trim()
-                };
-                
-                // 아이콘 경로 생성
-                if (iconId && iconId !== '0' && !isNaN(parseInt(iconId))) {
-                    const iconNum = parseInt(iconId, 10);
-                    const paddedId = iconNum.toString().padStart(6, '0');
-                    const folder = paddedId.substring(0, 3) + '000';
-                    item.icon = `/i/${folder}/${paddedId}.png`;
-                }
-                
-                items.push(item);
-                lastSuccessId = id;
-            }
-        } catch (e) {
-            errorCount++;
-            // 디버깅용: 에러 발생 위치 출력
-            if (errorCount <= 5) {
-                console.warn(`경고: 줄 ${i + 1} 파싱 실패 - ${e.message}`);
-            }
+    for (const arg of argv) {
+        const match = arg.match(/^--([\w-]+)(?:=(.*))?$/);
+        if (!match) {
+            throw new Error(`알 수 없는 인자: ${arg}`);
         }
-    }
-    
-    if (errorCount > 0) {
-        console.log(`파싱 중 ${errorCount}개 줄 스킵됨`);
-    }
-    console.log(`마지막 성공 ID: ${lastSuccessId}`);
-    
-    return items;
-}
+        const [, key, value] = match;
 
-function parseCSVLine(line) {
-    const result = [];
-    let current = '';
-    let inQuotes = false;
-    
-    for (let i = 0; i < line.length; i++) {
-        const char = line[i];
-        
-        if (char === '"') {
-            if (inQuotes && line[i + 1] === '"') {
-                current += '"';
-                i++;
-            } else {
-                inQuotes = !inQuotes;
-            }
-        } else if (char === ',' && !inQuotes) {
-            result.push(current);
-            current = '';
+        if (key === 'dry-run') {
+            options.dryRun = true;
+        } else if (SOURCES[key] && value) {
+            options.sources[key] = value;
         } else {
-            current += char;
+            throw new Error(`알 수 없는 옵션: --${key} (사용 가능: --dry-run, ${Object.keys(SOURCES).map(k => `--${k}=`).join(', ')})`);
         }
     }
-    
-    result.push(current);
-    return result;
-}
 
-/**
- * CSV 텍스트를 줄 단위로 분리 (멀티라인 셀 처리)
- */
-function splitCSVLines(csvText) {
-    const lines = [];
-    let currentLine = '';
-    let inQuotes = false;
-    
-    for (let i = 0; i < csvText.length; i++) {
-        const char = csvText[i];
-        
-        if (char === '"') {
-            inQuotes = !inQuotes;
-            currentLine += char;
-        } else if ((char === '\n' || char === '\r') && !inQuotes) {
-            if (currentLine.trim()) {
-                lines.push(currentLine);
-            }
-            currentLine = '';
-            // \r\n 처리
-            if (char === '\r' && csvText[i + 1] === '\n') {
-                i++;
-            }
-        } else {
-            currentLine += char;
-        }
-    }
-    
-    if (currentLine.trim()) {
-        lines.push(currentLine);
-    }
-    
-    return lines;
+    return options;
 }
 
 async function main() {
-    console.log('한국어 아이템 DB 업데이트 시작...');
-    console.log(`소스: ${CSV_URL}`);
-    
+    console.log('아이템 DB 업데이트 시작...');
+
     try {
-        // CSV 다운로드
-        console.log('CSV 다운로드 중...');
-        const csvText = await downloadFile(CSV_URL);
-        console.log(`다운로드 완료: ${csvText.length} bytes`);
-        
-        // CSV 파싱
-        console.log('CSV 파싱 중...');
-        const items = parseCSV(csvText);
-        console.log(`파싱 완료: ${items.length}개 아이템`);
-        
-        // JSON 저장
-        console.log(`저장 중: ${OUTPUT_PATH}`);
-        fs.writeFileSync(OUTPUT_PATH, JSON.stringify(items, null, 2), 'utf-8');
-        
-        console.log('✅ 완료!');
-        console.log(`   총 ${items.length}개 아이템이 저장되었습니다.`);
-        
-        // 샘플 출력
-        console.log('\n샘플 데이터:');
-        for (let i = 0; i < Math.min(5, items.length); i++) {
-            console.log(`   ${items[i].id}: ${items[i].name}`);
+        const options = parseArgs(process.argv.slice(2));
+        const { items, recipes, categories, groups, diff, written } = await buildItemDB(options);
+
+        console.log(`\n총 ${items.length}개 아이템, 레시피 ${recipes.length}개`);
+        console.log(`   장터 거래 가능: ${items.filter(item => item.searchCategory > 0 && !item.untradable).length}개`);
+        for (const language of ['ko', 'en', 'ja']) {
+            const count = items.filter(item => item.names[language]).length;
+            if (count > 0) {
+                console.log(`   ${language}: ${count}개 이름`);
+            }
+        }
+        console.log(`   분류 ${Object.keys(categories.ui).length}개, 장터 분류 ${Object.keys(categories.search).length}개`);
+        console.log(`   마테리아 ${Object.values(groups.materia).flat().length}개 (${Object.keys(groups.materia).length}등급), 염료 ${groups.dyes.length}개`);
+        console.log(`   채집 아이템: 광부 ${groups.gathering.miner?.length ?? 0}개, 원예가 ${groups.gathering.botanist?.length ?? 0}개`);
+
+        console.log('\n이전 DB 대비 변경:');
+        console.log(formatDiffSummary(diff));
+
+        if (written) {
+            console.log(`\n✅ 저장 완료: ${Object.values(OUTPUT_PATHS).join(', ')}`);
+        } else {
+            console.log('\n(--dry-run: 파일을 저장하지 않았습니다)');
         }
-        
     } catch (error) {
         console.error('❌ 오류:', error.message);
         process.exit(1);
     }
 }
 
-main();
\ No newline at end of file
+main();
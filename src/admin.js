@@ -0,0 +1,78 @@
+/**
+ * 봇 관리 명령어 (봇 소유자 전용)
+ *
+ * !시세관리 db리로드   data/ 의 아이템/레시피 DB 파일 다시 불러오기
+ * !시세관리 db업데이트 봇 안에서 DB를 새로 만들고 다시 불러오기
+ *
+ * 소유자는 BOT_OWNER_IDS (쉼표로 구분한 사용자 ID) 환경 변수로 지정하고,
+ * 없으면 Discord 애플리케이션 소유자(팀이면 팀 멤버)를 사용합니다.
+ */
+
+const { reloadItemDatabases, formatCountDelta, runItemDBUpdate, createUpdateReportEmbed } = require('./item-db-reload');
+
+const USAGE_TEXT = [
+    '**봇 관리 명령어 (소유자 전용)**',
+    '`!시세관리 db리로드` - 아이템/레시피 DB 파일 다시 불러오기',
+    '`!시세관리 db업데이트` - 아이템 DB를 새로 만들고 다시 불러오기',
+].join('\n');
+
+/**
+ * 봇 소유자인지
+ */
+async function isBotOwner(client, userId) {
+    const ownerIds = (process.env.BOT_OWNER_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+    if (ownerIds.length > 0) {
+        return ownerIds.includes(userId);
+    }
+
+    const application = await client.application.fetch();
+    const owner = application.owner;
+    if (!owner) return false;
+    // 팀 소유 애플리케이션이면 팀 멤버 전원
+    if (owner.members) {
+        return owner.members.has(userId);
+    }
+    return owner.id === userId;
+}
+
+/**
+ * !시세관리 명령어 처리
+ * @param {import('discord.js').Message} message
+ * @param {string} argsText "!시세관리" 뒤의 문자열
+ */
+async function handleAdminCommand(message, argsText) {
+    if (!await isBotOwner(message.client, message.author.id)) {
+        return message.reply('봇 소유자만 사용할 수 있는 명령어입니다.');
+    }
+
+    const subcommand = argsText.split(/\s+/)[0];
+
+    switch (subcommand) {
+        case 'db리로드': {
+            try {
+                const { previousCount, count, recipeCount } = reloadItemDatabases();
+                const recipeText = recipeCount !== null ? `, 레시피 ${recipeCount.toLocaleString()}개` : '';
+                return message.reply(`✅ 아이템 DB를 다시 불러왔습니다: 아이템 ${formatCountDelta(previousCount, count)}${recipeText}`);
+            } catch (error) {
+                return message.reply(`❌ 다시 불러오지 못했습니다 (기존 DB 유지): ${error.message}`);
+            }
+        }
+        case 'db업데이트': {
+            const progressMsg = await message.reply('📦 아이템 DB 업데이트 중... (CSV 다운로드에 시간이 걸릴 수 있습니다)');
+            try {
+                const result = await runItemDBUpdate();
+                return progressMsg.edit({ content: null, embeds: [createUpdateReportEmbed(result)] });
+            } catch (error) {
+                console.error('아이템 DB 업데이트 실패:', error);
+                return progressMsg.edit({ content: null, embeds: [createUpdateReportEmbed(null, error)] });
+            }
+        }
+        default:
+            return message.reply(USAGE_TEXT);
+    }
+}
+
+module.exports = {
+    isBotOwner,
+    handleAdminCommand,
+};
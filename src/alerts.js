@@ -0,0 +1,357 @@
+/**
+ * 가격 알림 구독
+ *
+ * !알림 추가 <아이템> <가격> [NQ|HQ] [서버] [DM|채널]
+ * !알림 목록
+ * !알림 삭제 <번호>
+ *
+ * 구독 정보는 data/alerts.json 에 저장되고, 일정 주기로 Korea DC 시세를 확인해서
+ * 목표가 이하 매물이 있으면 DM(또는 명령어를 입력한 채널)으로 알려줍니다.
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const { findItemByName, isMarketable } = require('./items');
+const { KOREAN_SERVERS, getAllKoreanServerPrices } = require('./universalis');
+const { dataPath, loadJSON, saveJSON } = require('./json-store');
+
+const ALERTS_PATH = dataPath('alerts.json');
+
+// 사용자당 최대 알림 개수
+const MAX_ALERTS_PER_USER = 10;
+
+// 시세 확인 주기 (기본 5분, ALERT_CHECK_INTERVAL_MINUTES 로 변경 가능)
+const ALERT_CHECK_INTERVAL_MS = (parseInt(process.env.ALERT_CHECK_INTERVAL_MINUTES, 10) || 5) * 60 * 1000;
+
+// 아이템별 조회 사이 대기 시간 (Universalis 부하 방지)
+const ALERT_REQUEST_DELAY_MS = 1000;
+
+const USAGE_TEXT = [
+    '**가격 알림 사용법**',
+    '`!알림 추가 <아이템> <가격> [NQ|HQ] [서버] [DM|채널]`',
+    '예: `!알림 추가 염료: 순백색 5000 모그리`',
+    '`!알림 목록` - 내 알림 목록',
+    '`!알림 삭제 <번호>` - 목록의 번호로 알림 삭제',
+].join('\n');
+
+// { nextId, alerts: [{ id, userId, guildId, channelId, itemId, itemName, targetPrice, quality, server, notify, createdAt, lastNotified }] }
+let store = null;
+
+function getStore() {
+    if (!store) {
+        store = loadJSON(ALERTS_PATH, { nextId: 1, alerts: [] });
+    }
+    return store;
+}
+
+function saveStore() {
+    try {
+        saveJSON(ALERTS_PATH, getStore());
+    } catch (error) {
+        console.error('알림 저장 실패:', error.message);
+    }
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * 사용자의 알림 목록 (등록 순)
+ */
+function getUserAlerts(userId) {
+    return getStore().alerts
+        .filter(alert => alert.userId === userId)
+        .sort((a, b) => a.id - b.id);
+}
+
+/**
+ * "5,000" / "5000길" 형식의 가격 파싱
+ */
+function parsePrice(text) {
+    const normalized = text.replace(/,/g, '').replace(/길$/, '');
+    if (!/^\d+$/.test(normalized)) {
+        return null;
+    }
+    const price = parseInt(normalized, 10);
+    return price > 0 ? price : null;
+}
+
+/**
+ * !알림 추가 인자 파싱
+ * 아이템 이름에 공백이 들어갈 수 있으므로 뒤에서부터 옵션 → 가격 순으로 떼어냄
+ *
+ * @returns {{ itemName: string, targetPrice: number, quality: string|null, server: string|null, notify: string }|null}
+ */
+function parseAddArgs(tokens) {
+    const rest = [...tokens];
+    let quality = null;
+    let server = null;
+    let notify = 'dm';
+
+    while (rest.length > 0) {
+        const token = rest[rest.length - 1];
+        const upper = token.toUpperCase();
+
+        if (!quality && (upper === 'NQ' || upper === 'HQ')) {
+            quality = upper;
+        } else if (!server && KOREAN_SERVERS.some(s => s.name === token)) {
+            server = token;
+        } else if (upper === 'DM') {
+            notify = 'dm';
+        } else if (token === '채널') {
+            notify = 'channel';
+        } else {
+            break;
+        }
+        rest.pop();
+    }
+
+    if (rest.length < 2) {
+        return null;
+    }
+
+    const targetPrice = parsePrice(rest.pop());
+    if (targetPrice === null) {
+        return null;
+    }
+
+    return { itemName: rest.join(' '), targetPrice, quality, server, notify };
+}
+
+/**
+ * 알림 조건에 맞는 최저가 매물 찾기
+ *
+ * @returns {{ server: string, price: number, hq: boolean }|null}
+ */
+function findCheapestListing(alert, data) {
+    let cheapest = null;
+
+    for (const r of data.servers) {
+        if (r.error) continue;
+        if (alert.server && r.server !== alert.server) continue;
+
+        const candidates = [];
+        if (alert.quality !== 'HQ' && r.minPriceNQ !== null) {
+            candidates.push({ price: r.minPriceNQ, hq: false });
+        }
+        if (alert.quality !== 'NQ' && r.minPriceHQ !== null) {
+            candidates.push({ price: r.minPriceHQ, hq: true });
+        }
+
+        for (const candidate of candidates) {
+            if (!cheapest || candidate.price < cheapest.price) {
+                cheapest = { server: r.server, ...candidate };
+            }
+        }
+    }
+
+    return cheapest;
+}
+
+/**
+ * 알림 조건 요약 텍스트 (예: "NQ 5,000 길 이하 · 모그리 · DM")
+ */
+function describeAlert(alert) {
+    const parts = [`${alert.quality ? `${alert.quality} ` : ''}${alert.targetPrice.toLocaleString()} 길 이하`];
+    parts.push(alert.server || '전체 서버');
+    parts.push(alert.notify === 'channel' ? '채널' : 'DM');
+    return parts.join(' · ');
+}
+
+function createAlertEmbed(alert, cheapest) {
+    return new EmbedBuilder()
+        .setColor(0xFFD700)
+        .setTitle(`🔔 가격 알림: ${alert.itemName}`)
+        .setDescription(`**${cheapest.server}**에 목표가 이하 매물이 등록되었습니다.`)
+        .addFields(
+            { name: '현재 최저가', value: `${cheapest.hq ? 'HQ' : 'NQ'} ${cheapest.price.toLocaleString()} 길`, inline: true },
+            { name: '알림 조건', value: describeAlert(alert), inline: true }
+        )
+        .setFooter({ text: '알림 해제: !알림 목록 → !알림 삭제 <번호>' })
+        .setTimestamp();
+}
+
+/**
+ * 알림 전송
+ * DM이 막혀 있으면 알림을 등록한 채널로 대신 보냄
+ */
+async function sendAlertNotification(client, alert, cheapest) {
+    const embed = createAlertEmbed(alert, cheapest);
+
+    if (alert.notify === 'dm') {
+        try {
+            const user = await client.users.fetch(alert.userId);
+            await user.send({ embeds: [embed] });
+            return;
+        } catch (error) {
+            console.warn(`알림 DM 전송 실패 (${alert.userId}), 채널로 전송:`, error.message);
+        }
+    }
+
+    try {
+        const channel = await client.channels.fetch(alert.channelId);
+        await channel.send({ content: `<@${alert.userId}>`, embeds: [embed] });
+    } catch (error) {
+        console.error(`알림 채널 전송 실패 (${alert.channelId}):`, error.message);
+    }
+}
+
+/**
+ * 모든 알림 확인
+ * 같은 아이템은 한 번만 조회하고, 이미 알린 가격보다 더 싸진 경우에만 다시 알림
+ */
+async function checkAlerts(client) {
+    const itemIds = [...new Set(getStore().alerts.map(alert => alert.itemId))];
+    let changed = false;
+
+    for (const itemId of itemIds) {
+        let data;
+        try {
+            data = await getAllKoreanServerPrices(itemId);
+        } catch (error) {
+            console.error(`알림 시세 조회 실패 (${itemId}):`, error.message);
+            continue;
+        }
+
+        // 조회하는 동안 삭제된 알림은 제외되도록 다시 읽음
+        const alerts = getStore().alerts.filter(alert => alert.itemId === itemId);
+
+        for (const alert of alerts) {
+            const cheapest = findCheapestListing(alert, data);
+
+            if (!cheapest || cheapest.price > alert.targetPrice) {
+                // 목표가 위로 돌아가면 다음 하락 때 다시 알릴 수 있도록 초기화
+                if (alert.lastNotified) {
+                    alert.lastNotified = null;
+                    changed = true;
+                }
+                continue;
+            }
+
+            // 같은 매물로 매번 알리지 않도록, 이미 알린 가격보다 싸진 경우에만 알림
+            if (alert.lastNotified && cheapest.price >= alert.lastNotified.price) {
+                continue;
+            }
+
+            await sendAlertNotification(client, alert, cheapest);
+            alert.lastNotified = { price: cheapest.price, server: cheapest.server, at: Date.now() };
+            changed = true;
+        }
+
+        await sleep(ALERT_REQUEST_DELAY_MS);
+    }
+
+    if (changed) {
+        saveStore();
+    }
+}
+
+/**
+ * 알림 스케줄러 시작
+ * 이전 확인이 끝나지 않았으면 이번 주기는 건너뜀
+ */
+function startAlertScheduler(client) {
+    let running = false;
+
+    return setInterval(async () => {
+        if (running) return;
+        running = true;
+        try {
+            await checkAlerts(client);
+        } catch (error) {
+            console.error('알림 확인 오류:', error);
+        } finally {
+            running = false;
+        }
+    }, ALERT_CHECK_INTERVAL_MS);
+}
+
+/**
+ * !알림 명령어 처리
+ * @param {import('discord.js').Message} message
+ * @param {string} argsText "!알림" 뒤의 문자열
+ */
+async function handleAlertCommand(message, argsText) {
+    const [subcommand, ...tokens] = argsText.split(/\s+/).filter(Boolean);
+
+    // !알림 추가 <아이템> <가격> [NQ|HQ] [서버] [DM|채널]
+    if (subcommand === '추가') {
+        const args = parseAddArgs(tokens);
+        if (!args) {
+            return message.reply(USAGE_TEXT);
+        }
+
+        if (getUserAlerts(message.author.id).length >= MAX_ALERTS_PER_USER) {
+            return message.reply(`알림은 최대 ${MAX_ALERTS_PER_USER}개까지 등록할 수 있습니다. \`!알림 삭제 <번호>\`로 정리해주세요.`);
+        }
+
+        const { item } = await findItemByName(args.itemName);
+        if (!item) {
+            return message.reply(`**${args.itemName}**을(를) 찾을 수 없습니다.`);
+        }
+        if (!isMarketable(item)) {
+            return message.reply(`**${item.name}**은(는) 장터에서 거래할 수 없는 아이템이라 알림을 등록할 수 없습니다.`);
+        }
+
+        const currentStore = getStore();
+        const alert = {
+            id: currentStore.nextId++,
+            userId: message.author.id,
+            guildId: message.guild?.id || null,
+            channelId: message.channel.id,
+            itemId: item.id,
+            itemName: item.name,
+            targetPrice: args.targetPrice,
+            quality: args.quality,
+            server: args.server,
+            notify: args.notify,
+            createdAt: Date.now(),
+            lastNotified: null
+        };
+        currentStore.alerts.push(alert);
+        saveStore();
+
+        return message.reply(`🔔 **${item.name}** 알림을 등록했습니다. (${describeAlert(alert)})`);
+    }
+
+    // !알림 목록
+    if (subcommand === '목록') {
+        const alerts = getUserAlerts(message.author.id);
+        if (alerts.length === 0) {
+            return message.reply('등록된 알림이 없습니다.\n' + USAGE_TEXT);
+        }
+
+        const lines = alerts.map((alert, i) => `${i + 1}. **${alert.itemName}** — ${describeAlert(alert)}`);
+        const embed = new EmbedBuilder()
+            .setColor(0xADD8E6)
+            .setTitle(`🔔 내 가격 알림 (${alerts.length}/${MAX_ALERTS_PER_USER})`)
+            .setDescription(lines.join('\n'))
+            .setFooter({ text: '삭제: !알림 삭제 <번호>' });
+
+        return message.reply({ embeds: [embed] });
+    }
+
+    // !알림 삭제 <번호>
+    if (subcommand === '삭제') {
+        const alerts = getUserAlerts(message.author.id);
+        const index = parseInt(tokens[0], 10);
+
+        if (isNaN(index) || index < 1 || index > alerts.length) {
+            return message.reply('올바른 번호를 입력해주세요. 번호는 `!알림 목록`에서 확인할 수 있습니다.');
+        }
+
+        const target = alerts[index - 1];
+        const currentStore = getStore();
+        currentStore.alerts = currentStore.alerts.filter(alert => alert.id !== target.id);
+        saveStore();
+
+        return message.reply(`🗑️ **${target.itemName}** 알림을 삭제했습니다.`);
+    }
+
+    return message.reply(USAGE_TEXT);
+}
+
+module.exports = {
+    handleAlertCommand,
+    startAlertScheduler,
+};
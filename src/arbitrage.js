@@ -0,0 +1,298 @@
+/**
+ * 서버 간 차익 거래 검색
+ *
+ * !차익 [카테고리] [최소이익]
+ * 예: !차익               → 장터 거래 가능한 전체 아이템, 개당 이익 1,000 길 이상
+ *     !차익 염료 3000     → 분류 "염료" 아이템만, 개당 이익 3,000 길 이상
+ *
+ * 한국 서버 중 가장 싼 서버에서 사서 다른 서버에 (그 서버 최저가보다 1길 싸게) 다시 팔 때,
+ * 판매 수수료 5%를 빼고도 남는 개당 이익이 최소이익 이상인 아이템을 찾습니다.
+ * 순위는 "개당 이익 × 판매 서버의 하루 판매 수량" (팔리지 않는 서버는 제외) 순입니다.
+ *
+ * 아이템 수천 개를 훑어야 하므로 백그라운드 작업으로 실행합니다.
+ * - Universalis 다중 조회(100개씩)를 사이사이 쉬면서 요청하고 결과는 캐시에 넣지 않음
+ * - 한 번에 하나의 검색만 실행하고, 끝나면 명령어를 입력한 채널에 결과를 올림
+ * - Universalis가 요청을 받을 수 없는 상태(점검/요청 제한)면 그때까지의 결과로 끝냄
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const { findCategoryByName, getMarketableItems } = require('./items');
+const { BULK_ITEM_LIMIT, getAllKoreanServerPricesBulk } = require('./universalis');
+const { isUpstreamUnavailable } = require('./http');
+const { MARKET_TAX_RATE } = require('./stats');
+
+// 최소이익을 입력하지 않았을 때 기본값 (개당)
+const DEFAULT_MIN_PROFIT = 1000;
+
+// 결과에 보여줄 최대 개수
+const MAX_RESULTS = 15;
+
+// 다중 조회 사이 대기 시간 (다른 명령어가 쓸 요청 여유를 남기기 위해, ARBITRAGE_CHUNK_DELAY_MS 로 변경 가능)
+const CHUNK_DELAY_MS = parseInt(process.env.ARBITRAGE_CHUNK_DELAY_MS, 10) || 2000;
+
+// 진행 상황 메시지 수정 간격
+const PROGRESS_UPDATE_INTERVAL_MS = 15 * 1000;
+
+const USAGE_TEXT = [
+    '**차익 거래 검색 사용법**',
+    '`!차익 [카테고리] [최소이익]`',
+    '예: `!차익` (전체 아이템, 개당 이익 1,000 길 이상), `!차익 염료 3000`',
+    '카테고리는 아이템 분류 이름 (예: 염료, 광석, 마테리아)',
+].join('\n');
+
+// 실행 중인 검색 { userId, categoryName, total, scanned, startedAt }
+let currentJob = null;
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * "염료 3000" → { categoryName: '염료', minProfit: 3000 }
+ * 마지막 토큰이 숫자면 최소이익, 나머지는 카테고리 이름
+ */
+function parseArbitrageArgs(argsText) {
+    const tokens = argsText.split(/\s+/).filter(Boolean);
+    let minProfit = DEFAULT_MIN_PROFIT;
+    if (tokens.length > 0 && /^[\d,]+$/.test(tokens[tokens.length - 1])) {
+        minProfit = parseInt(tokens.pop().replace(/,/g, ''), 10);
+    }
+    return { categoryName: tokens.join(' ') || null, minProfit };
+}
+
+/**
+ * 아이템 하나의 차익 거래 기회 (품질별로 가장 좋은 판매 서버 하나씩)
+ *
+ * 판매가는 판매 서버 최저가보다 1길 싸게, 매물이 없으면 그 서버의 같은 품질 최근 거래 중앙값
+ *
+ * @param {object} data getAllKoreanServerPrices 형식
+ * @param {{ minProfit: number, quality?: 'all'|'NQ'|'HQ' }} options
+ * @returns {{ quality: string, buyServer: string, buyPrice: number, sellServer: string, sellPrice: number, fromSales: boolean, profit: number, velocity: number, score: number }[]}
+ */
+function findFlips(data, { minProfit, quality = 'all' }) {
+    const servers = (data.servers || []).filter(r => !r.error);
+    const flips = [];
+
+    for (const q of ['NQ', 'HQ']) {
+        if (quality !== 'all' && quality !== q) continue;
+        const key = q === 'NQ' ? 'minPriceNQ' : 'minPriceHQ';
+        const medianKey = q === 'NQ' ? 'medianSalePriceNQ' : 'medianSalePriceHQ';
+        const velocityKey = q === 'NQ' ? 'saleVelocityNQ' : 'saleVelocityHQ';
+
+        const buy = servers
+            .filter(r => r[key] !== null)
+            .sort((a, b) => a[key] - b[key])[0];
+        if (!buy) continue;
+
+        let best = null;
+        for (const target of servers) {
+            if (target === buy || !(target[velocityKey] > 0)) continue;
+
+            const fromSales = target[key] === null;
+            const sellPrice = fromSales ? target[medianKey] : target[key] - 1;
+            if (!sellPrice) continue;
+
+            const profit = Math.floor(sellPrice * (1 - MARKET_TAX_RATE)) - buy[key];
+            if (profit < minProfit) continue;
+
+            const score = profit * target[velocityKey];
+            if (!best || score > best.score) {
+                best = {
+                    quality: q,
+                    buyServer: buy.server,
+                    buyPrice: buy[key],
+                    sellServer: target.server,
+                    sellPrice,
+                    fromSales,
+                    profit,
+                    velocity: target[velocityKey],
+                    score
+                };
+            }
+        }
+        if (best) {
+            flips.push(best);
+        }
+    }
+
+    return flips;
+}
+
+/**
+ * 아이템 목록을 100개씩 조회하면서 차익 거래 기회 찾기
+ *
+ * @param {object[]} items 아이템 DB 항목
+ * @param {object} options
+ * @param {number} options.minProfit
+ * @param {'all'|'NQ'|'HQ'} [options.quality]
+ * @param {(scanned: number) => void} [options.onProgress]
+ * @returns {Promise<{ results: object[], scanned: number, failedChunks: number, aborted: boolean }>} results는 점수 높은 순
+ */
+async function runArbitrageScan(items, { minProfit, quality = 'all', onProgress = () => {} }) {
+    const results = [];
+    let scanned = 0;
+    let failedChunks = 0;
+    let aborted = false;
+
+    for (let i = 0; i < items.length; i += BULK_ITEM_LIMIT) {
+        if (i > 0) {
+            await sleep(CHUNK_DELAY_MS);
+        }
+
+        const chunk = items.slice(i, i + BULK_ITEM_LIMIT);
+        let prices;
+        try {
+            prices = await getAllKoreanServerPricesBulk(chunk.map(item => item.id), { cache: false });
+        } catch (error) {
+            if (isUpstreamUnavailable(error)) {
+                console.warn('차익 검색 중단 (Universalis 요청 불가):', error.message);
+                aborted = true;
+                break;
+            }
+            console.error('차익 검색 조회 실패:', error.message);
+            failedChunks++;
+            scanned += chunk.length;
+            continue;
+        }
+
+        for (const item of chunk) {
+            const data = prices.get(item.id);
+            if (!data) continue;
+            for (const flip of findFlips(data, { minProfit, quality })) {
+                results.push({ itemId: item.id, itemName: item.name, ...flip });
+            }
+        }
+
+        scanned += chunk.length;
+        onProgress(scanned);
+    }
+
+    results.sort((a, b) => b.score - a.score);
+    return { results, scanned, failedChunks, aborted };
+}
+
+function formatVelocity(velocity) {
+    return velocity < 10 ? velocity.toFixed(1) : Math.round(velocity).toLocaleString();
+}
+
+function formatDuration(ms) {
+    const minutes = Math.round(ms / 60000);
+    return minutes < 1 ? '1분 미만' : `${minutes}분`;
+}
+
+/**
+ * 검색 결과 Embed
+ */
+function createArbitrageEmbed(scan, { categoryName, minProfit, total, elapsedMs }) {
+    const top = scan.results.slice(0, MAX_RESULTS);
+    const lines = top.map((r, i) => [
+        `**${i + 1}. ${r.itemName}**${r.quality === 'HQ' ? ' (HQ)' : ''}`,
+        `${r.buyServer} ${r.buyPrice.toLocaleString()} 길 → ${r.sellServer} ${r.sellPrice.toLocaleString()} 길${r.fromSales ? ' (최근 거래가)' : ''}`,
+        `개당 +${r.profit.toLocaleString()} 길 · ${r.sellServer} 하루 ${formatVelocity(r.velocity)}개 판매`
+    ].join('\n'));
+
+    const notes = [];
+    if (scan.aborted) {
+        notes.push(`⚠️ Universalis 요청 제한/점검으로 ${total.toLocaleString()}개 중 ${scan.scanned.toLocaleString()}개만 검색했습니다.`);
+    }
+    if (scan.failedChunks > 0) {
+        notes.push(`⚠️ 조회에 실패한 아이템 ${Math.min(scan.failedChunks * BULK_ITEM_LIMIT, total).toLocaleString()}개 이하는 제외했습니다.`);
+    }
+
+    const description = lines.length > 0
+        ? lines.join('\n\n')
+        : `개당 이익 ${minProfit.toLocaleString()} 길 이상인 아이템이 없습니다.`;
+
+    return new EmbedBuilder()
+        .setColor(lines.length > 0 ? 0x57F287 : 0xFFA500)
+        .setTitle(`💱 서버 간 차익 거래${categoryName ? ` · ${categoryName}` : ''} (개당 ${minProfit.toLocaleString()} 길 이상)`)
+        .setDescription([...notes, description].join('\n\n'))
+        .setFooter({ text: `${scan.scanned.toLocaleString()}개 아이템 검색 · ${scan.results.length}건 중 상위 ${top.length}건 · 판매 수수료 5% 반영 · 이익 × 판매 속도 순 · ${formatDuration(elapsedMs)} 소요` })
+        .setTimestamp();
+}
+
+/**
+ * 백그라운드 검색 실행 후 결과 올리기
+ */
+async function runArbitrageJob(message, statusMsg, items, { categoryName, minProfit, quality }) {
+    let lastProgressAt = Date.now();
+    const onProgress = (scanned) => {
+        currentJob.scanned = scanned;
+        if (Date.now() - lastProgressAt < PROGRESS_UPDATE_INTERVAL_MS) return;
+        lastProgressAt = Date.now();
+        statusMsg.edit(`🔎 차익 거래 검색 중... (${scanned.toLocaleString()}/${items.length.toLocaleString()})`)
+            .catch(() => {});
+    };
+
+    try {
+        const scan = await runArbitrageScan(items, { minProfit, quality, onProgress });
+        const embed = createArbitrageEmbed(scan, {
+            categoryName,
+            minProfit,
+            total: items.length,
+            elapsedMs: Date.now() - currentJob.startedAt
+        });
+        await statusMsg.edit(`✅ 차익 거래 검색 완료 (${scan.scanned.toLocaleString()}개 아이템)`).catch(() => {});
+        await message.reply({ embeds: [embed] });
+    } catch (error) {
+        console.error('차익 검색 오류:', error);
+        await message.reply(`차익 검색 중 오류가 발생했습니다: ${error.message}`).catch(() => {});
+    } finally {
+        currentJob = null;
+    }
+}
+
+/**
+ * !차익 명령어 처리
+ * 검색은 백그라운드에서 계속되고 이 함수는 시작 안내까지만 기다림
+ *
+ * @param {import('discord.js').Message} message
+ * @param {string} argsText "!차익" 뒤의 문자열
+ * @param {object} settings getGuildSettings 결과
+ */
+async function handleArbitrageCommand(message, argsText, settings) {
+    if (argsText === '도움') {
+        return message.reply(USAGE_TEXT);
+    }
+
+    if (currentJob) {
+        const who = currentJob.userId === message.author.id ? '요청하신' : '다른 사용자의';
+        return message.reply(`⏳ ${who} 차익 검색이 진행 중입니다. (${currentJob.scanned.toLocaleString()}/${currentJob.total.toLocaleString()}) 끝난 뒤에 다시 시도해 주세요.`);
+    }
+
+    const { categoryName, minProfit } = parseArbitrageArgs(argsText);
+
+    let category = null;
+    if (categoryName) {
+        category = findCategoryByName(categoryName);
+        if (!category) {
+            return message.reply(`**${categoryName}** 분류를 찾을 수 없습니다.\n${USAGE_TEXT}`);
+        }
+    }
+
+    const items = getMarketableItems(category?.id ?? null);
+    if (items.length === 0) {
+        return message.reply('검색할 아이템이 없습니다. 아이템 DB가 로드되었는지 확인해 주세요.');
+    }
+
+    const chunkCount = Math.ceil(items.length / BULK_ITEM_LIMIT);
+    const estimatedMs = chunkCount * (CHUNK_DELAY_MS + 1000);
+    currentJob = { userId: message.author.id, categoryName: category?.name ?? null, total: items.length, scanned: 0, startedAt: Date.now() };
+
+    let statusMsg;
+    try {
+        statusMsg = await message.reply(`🔎 ${category ? `**${category.name}** ` : ''}아이템 ${items.length.toLocaleString()}개의 차익 거래를 검색합니다. (예상 ${formatDuration(estimatedMs)})\n끝나면 이 채널에 결과를 올립니다.`);
+    } catch (error) {
+        currentJob = null;
+        throw error;
+    }
+
+    runArbitrageJob(message, statusMsg, items, { categoryName: category?.name ?? null, minProfit, quality: settings.quality });
+}
+
+module.exports = {
+    parseArbitrageArgs,
+    findFlips,
+    runArbitrageScan,
+    handleArbitrageCommand,
+};
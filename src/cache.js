@@ -0,0 +1,195 @@
+/**
+ * API 응답 캐시
+ *
+ * Universalis 응답을 엔드포인트별 TTL로 메모리에 보관합니다.
+ * - 같은 키를 동시에 조회하면 HTTP 요청 하나를 함께 기다림 (in-flight coalescing)
+ * - CACHE_PERSIST=1 이면 data/cache.json 에 주기적으로 저장해서 재시작 후에도 사용
+ *
+ * TTL (초, 환경 변수로 변경 가능):
+ *   market  CACHE_TTL_MARKET   기본 60      (시세/매물)
+ *   history CACHE_TTL_HISTORY  기본 600     (판매 기록)
+ */
+
+const { dataPath, loadJSON, saveJSON } = require('./json-store');
+
+const TTL_MS = {
+    market: (parseInt(process.env.CACHE_TTL_MARKET, 10) || 60) * 1000,
+    history: (parseInt(process.env.CACHE_TTL_HISTORY, 10) || 600) * 1000,
+};
+
+// 네임스페이스별 최대 항목 수 (넘으면 오래된 것부터 삭제)
+const MAX_ENTRIES = 5000;
+
+const PERSIST_ENABLED = process.env.CACHE_PERSIST === '1' || process.env.CACHE_PERSIST === 'true';
+const PERSIST_PATH = dataPath('cache.json');
+const PERSIST_INTERVAL_MS = 60 * 1000;
+
+// namespace -> Map(key -> { value, fetchedAt })
+const stores = new Map();
+
+// `${namespace}:${key}` -> Promise
+const inflight = new Map();
+
+let dirty = false;
+
+function getStore(namespace) {
+    if (!stores.has(namespace)) {
+        stores.set(namespace, new Map());
+    }
+    return stores.get(namespace);
+}
+
+function ttlOf(namespace) {
+    return TTL_MS[namespace] ?? TTL_MS.market;
+}
+
+/**
+ * 캐시된 값 조회
+ *
+ * @param {string} namespace
+ * @param {string} key
+ * @param {{ allowStale?: boolean }} [options] allowStale이면 TTL이 지난 값도 반환
+ * @returns {{ value: any, fetchedAt: number, stale: boolean }|null}
+ */
+function getCached(namespace, key, { allowStale = false } = {}) {
+    const entry = getStore(namespace).get(key);
+    if (!entry) {
+        return null;
+    }
+
+    const stale = Date.now() - entry.fetchedAt > ttlOf(namespace);
+    if (stale && !allowStale) {
+        return null;
+    }
+
+    return { value: entry.value, fetchedAt: entry.fetchedAt, stale };
+}
+
+/**
+ * 값 저장
+ */
+function setCached(namespace, key, value, fetchedAt = Date.now()) {
+    const store = getStore(namespace);
+
+    // 최근에 저장한 항목이 Map 뒤쪽에 오도록 다시 넣음
+    store.delete(key);
+    store.set(key, { value, fetchedAt });
+
+    while (store.size > MAX_ENTRIES) {
+        store.delete(store.keys().next().value);
+    }
+
+    dirty = true;
+}
+
+/**
+ * 캐시에 있으면 캐시 값, 없으면 fetcher로 가져와서 저장
+ * 같은 키를 조회 중인 요청이 있으면 그 결과를 함께 사용
+ *
+ * @param {string} namespace
+ * @param {string} key
+ * @param {() => Promise<any>} fetcher
+ * @returns {Promise<{ value: any, fetchedAt: number, fromCache: boolean }>}
+ */
+async function getOrFetch(namespace, key, fetcher) {
+    const hit = getCached(namespace, key);
+    if (hit) {
+        return { value: hit.value, fetchedAt: hit.fetchedAt, fromCache: true };
+    }
+
+    const inflightKey = `${namespace}:${key}`;
+    if (inflight.has(inflightKey)) {
+        return inflight.get(inflightKey);
+    }
+
+    const promise = (async () => {
+        try {
+            const value = await fetcher();
+            const fetchedAt = Date.now();
+            setCached(namespace, key, value, fetchedAt);
+            return { value, fetchedAt, fromCache: false };
+        } finally {
+            inflight.delete(inflightKey);
+        }
+    })();
+
+    inflight.set(inflightKey, promise);
+    return promise;
+}
+
+/**
+ * 데이터 나이를 "방금 / n초 전 / n분 전 / n시간 전" 으로 표시
+ *
+ * @param {'ko'|'en'} [language] 'en'이면 "just now / n sec ago / ..."
+ */
+function formatAge(fetchedAt, now = Date.now(), language = 'ko') {
+    const seconds = Math.max(0, Math.floor((now - fetchedAt) / 1000));
+    if (language === 'en') {
+        if (seconds < 5) return 'just now';
+        if (seconds < 60) return `${seconds} sec ago`;
+        if (seconds < 3600) return `${Math.floor(seconds / 60)} min ago`;
+        return `${Math.floor(seconds / 3600)} h ago`;
+    }
+    if (seconds < 5) return '방금';
+    if (seconds < 60) return `${seconds}초 전`;
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}분 전`;
+    return `${Math.floor(seconds / 3600)}시간 전`;
+}
+
+/**
+ * 디스크에서 캐시 불러오기 (CACHE_PERSIST 설정 시)
+ * 이미 만료된 항목은 버림
+ */
+function loadPersistedCache() {
+    if (!PERSIST_ENABLED) return;
+
+    const data = loadJSON(PERSIST_PATH, {});
+    const now = Date.now();
+    let count = 0;
+
+    for (const [namespace, entries] of Object.entries(data)) {
+        const store = getStore(namespace);
+        for (const [key, entry] of entries) {
+            if (now - entry.fetchedAt <= ttlOf(namespace)) {
+                store.set(key, entry);
+                count++;
+            }
+        }
+    }
+
+    if (count > 0) {
+        console.log(`✅ 캐시 복원: ${count}개 항목`);
+    }
+}
+
+/**
+ * 캐시를 디스크에 저장 (변경된 경우에만)
+ */
+function flushCache() {
+    if (!PERSIST_ENABLED || !dirty) return;
+
+    const data = {};
+    for (const [namespace, store] of stores) {
+        data[namespace] = [...store.entries()];
+    }
+
+    try {
+        saveJSON(PERSIST_PATH, data);
+        dirty = false;
+    } catch (error) {
+        console.error('캐시 저장 실패:', error.message);
+    }
+}
+
+if (PERSIST_ENABLED) {
+    loadPersistedCache();
+    setInterval(flushCache, PERSIST_INTERVAL_MS).unref();
+}
+
+module.exports = {
+    getCached,
+    setCached,
+    getOrFetch,
+    formatAge,
+    flushCache,
+};
@@ -0,0 +1,191 @@
+/**
+ * 분류별 시세표 (마테리아, 염료)
+ *
+ * !마테리아 [등급]  해당 등급의 마테리아 전체 (등급을 안 쓰면 가장 높은 등급)
+ * !염료             염료 전체
+ *
+ * npm run update-db 가 만든 아이템 묶음(data/item-groups.json)의 아이템을 Korea DC에서
+ * 다중 조회로 한 번에 가져와서, 아이템별 최저가 서버와 함께 비싼 순으로 정렬해 페이지로 보여줍니다.
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const { getItemById, getItemGroup } = require('./items');
+const { getAllKoreanServerPricesBulk } = require('./universalis');
+const { applyServerSettings } = require('./guild-settings');
+const { sendPaginated } = require('./pagination');
+
+// 한 페이지의 아이템 수 (한 줄씩 표시)
+const PAGE_SIZE = 15;
+
+const ROMAN_NUMERALS = ['I', 'II', 'III', 'IV', 'V', 'VI', 'VII', 'VIII', 'IX', 'X', 'XI', 'XII'];
+
+const NO_GROUP_TEXT = '아이템 묶음 데이터가 없습니다. 봇 관리자에게 `npm run update-db` 실행을 요청해 주세요.';
+
+/**
+ * "12", "XII", "12등급" → 12
+ *
+ * @returns {number|null} 알아볼 수 없으면 null
+ */
+function parseMateriaGrade(text) {
+    const value = text.trim().replace(/등급$/, '').toUpperCase();
+    if (/^\d+$/.test(value)) {
+        return parseInt(value, 10);
+    }
+    const index = ROMAN_NUMERALS.indexOf(value);
+    return index !== -1 ? index + 1 : null;
+}
+
+function formatGrade(grade) {
+    return ROMAN_NUMERALS[grade - 1] || String(grade);
+}
+
+/**
+ * 아이템 하나의 시세표 행
+ * 서버 설정의 표시 서버를 따르고, NQ/HQ 중 더 싼 매물 기준
+ *
+ * @param {number} itemId
+ * @param {object|undefined} data getAllKoreanServerPrices 형식 (조회 실패 시 undefined)
+ * @returns {{ itemId: number, itemName: string, price: number|null, server: string|null, unitsForSale: number, failed: boolean }}
+ */
+function summarizeGroupItem(itemId, data, settings) {
+    const itemName = getItemById(itemId)?.name || `아이템 #${itemId}`;
+    if (!data) {
+        return { itemId, itemName, price: null, server: null, unitsForSale: 0, failed: true };
+    }
+
+    const servers = applyServerSettings(data.servers, settings).filter(r => !r.error);
+    let best = null;
+    for (const r of servers) {
+        for (const price of [r.minPriceNQ, r.minPriceHQ]) {
+            if (price !== null && (!best || price < best.price)) {
+                best = { price, server: r.server };
+            }
+        }
+    }
+
+    return {
+        itemId,
+        itemName,
+        price: best?.price ?? null,
+        server: best?.server ?? null,
+        unitsForSale: servers.reduce((sum, r) => sum + (r.unitsForSale || 0), 0),
+        failed: false
+    };
+}
+
+/**
+ * 비싼 순 정렬 (매물이 없거나 조회에 실패한 아이템은 뒤로, 그 안에서는 이름 순)
+ */
+function sortGroupRows(rows) {
+    return [...rows].sort((a, b) => {
+        if (a.price === null || b.price === null) {
+            return (a.price === null) - (b.price === null) || a.itemName.localeCompare(b.itemName, 'ko');
+        }
+        return b.price - a.price;
+    });
+}
+
+function formatGroupRow(row, index) {
+    if (row.failed) {
+        return `${index}. ${row.itemName} · ⚠️ 조회 실패`;
+    }
+    if (row.price === null) {
+        return `${index}. ${row.itemName} · 매물 없음`;
+    }
+    return `${index}. **${row.itemName}** · ${row.price.toLocaleString()} 길 (${row.server}) · 등록 ${row.unitsForSale.toLocaleString()}개`;
+}
+
+function renderGroupPage(title, rows, page) {
+    const pageCount = Math.max(1, Math.ceil(rows.length / PAGE_SIZE));
+    const start = page * PAGE_SIZE;
+    const lines = rows.slice(start, start + PAGE_SIZE).map((row, i) => formatGroupRow(row, start + i + 1));
+
+    const embed = new EmbedBuilder()
+        .setColor(0xADD8E6)
+        .setTitle(title)
+        .setDescription(lines.join('\n'))
+        .setFooter({ text: `최저가 높은 순 · ${rows.length}개 아이템 · ${page + 1}/${pageCount} 페이지` })
+        .setTimestamp();
+
+    return { embeds: [embed] };
+}
+
+/**
+ * 아이템 묶음 시세 조회 후 페이지 Embed로 답하기
+ */
+async function replyGroupPrices(message, { title, commandName, prefix, itemIds, settings }) {
+    const searchMsg = await message.reply(`🔍 ${title} (${itemIds.length}개 아이템) 시세 조회 중...`);
+
+    let prices;
+    try {
+        prices = await getAllKoreanServerPricesBulk(itemIds);
+    } catch (error) {
+        console.error(`${commandName} 시세 조회 오류:`, error);
+        return searchMsg.edit(`오류가 발생했습니다: ${error.message}`);
+    }
+
+    const rows = sortGroupRows(itemIds.map(itemId => summarizeGroupItem(itemId, prices.get(itemId), settings)));
+
+    await sendPaginated(searchMsg, {
+        authorId: message.author.id,
+        commandName,
+        prefix,
+        pageCount: Math.ceil(rows.length / PAGE_SIZE),
+        render: page => renderGroupPage(title, rows, page)
+    });
+}
+
+/**
+ * !마테리아 [등급] 명령어 처리
+ * @param {import('discord.js').Message} message
+ * @param {string} argsText "!마테리아" 뒤의 문자열
+ * @param {object} settings getGuildSettings 결과
+ */
+async function handleMateriaCommand(message, argsText, settings) {
+    const materia = getItemGroup('materia');
+    const grades = Object.keys(materia || {}).map(Number).sort((a, b) => a - b);
+    if (grades.length === 0) {
+        return message.reply(NO_GROUP_TEXT);
+    }
+
+    const grade = argsText ? parseMateriaGrade(argsText) : grades[grades.length - 1];
+    if (!grades.includes(grade)) {
+        return message.reply(`마테리아 등급은 ${formatGrade(grades[0])}~${formatGrade(grades[grades.length - 1])} (또는 ${grades[0]}~${grades[grades.length - 1]}) 중에서 입력해 주세요.\n예: \`!마테리아 12\``);
+    }
+
+    return replyGroupPrices(message, {
+        title: `💎 마테리아 ${formatGrade(grade)} 시세`,
+        commandName: '!마테리아',
+        prefix: 'materia',
+        itemIds: materia[grade],
+        settings
+    });
+}
+
+/**
+ * !염료 명령어 처리
+ * @param {import('discord.js').Message} message
+ * @param {object} settings getGuildSettings 결과
+ */
+async function handleDyeCommand(message, settings) {
+    const dyes = getItemGroup('dyes');
+    if (!dyes || dyes.length === 0) {
+        return message.reply(NO_GROUP_TEXT);
+    }
+
+    return replyGroupPrices(message, {
+        title: '🎨 염료 시세',
+        commandName: '!염료',
+        prefix: 'dyes',
+        itemIds: dyes,
+        settings
+    });
+}
+
+module.exports = {
+    parseMateriaGrade,
+    summarizeGroupItem,
+    sortGroupRows,
+    handleMateriaCommand,
+    handleDyeCommand,
+};
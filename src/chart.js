@@ -0,0 +1,145 @@
+/**
+ * 시세 차트 PNG 렌더링
+ *
+ * 브라우저 없이 @napi-rs/canvas로 직접 그립니다.
+ * 서버 이름 등 한글이 깨지면 CHART_FONT_PATH 환경 변수에 한글 폰트(.ttf/.otf) 경로를 지정하세요.
+ */
+
+const { createCanvas, GlobalFonts } = require('@napi-rs/canvas');
+
+const WIDTH = 800;
+const HEIGHT = 400;
+const PADDING = { top: 40, right: 20, bottom: 60, left: 80 };
+
+const BACKGROUND_COLOR = '#2B2D31'; // Discord 다크 테마 배경
+const GRID_COLOR = '#4E5058';
+const TEXT_COLOR = '#DBDEE1';
+const SERIES_COLORS = ['#5865F2', '#57F287', '#FEE75C', '#EB459E', '#ED4245', '#ADD8E6', '#F0B232'];
+
+const Y_TICK_COUNT = 5;
+
+let fontFamily = 'sans-serif';
+if (process.env.CHART_FONT_PATH) {
+    const font = GlobalFonts.registerFromPath(process.env.CHART_FONT_PATH, 'ChartFont');
+    if (font) {
+        fontFamily = 'ChartFont';
+    } else {
+        console.warn(`⚠️ 차트 폰트를 불러오지 못했습니다: ${process.env.CHART_FONT_PATH}`);
+    }
+}
+
+/**
+ * 꺾은선 차트 렌더링
+ *
+ * @param {object} options
+ * @param {string} options.title 차트 제목
+ * @param {string[]} options.labels X축 라벨 (예: 날짜)
+ * @param {{ name: string, values: (number|null)[] }[]} options.series 라벨 순서와 같은 값 배열, null은 데이터 없음
+ * @returns {Buffer} PNG 이미지
+ */
+function renderLineChart({ title, labels, series }) {
+    const canvas = createCanvas(WIDTH, HEIGHT);
+    const ctx = canvas.getContext('2d');
+
+    ctx.fillStyle = BACKGROUND_COLOR;
+    ctx.fillRect(0, 0, WIDTH, HEIGHT);
+
+    const plotWidth = WIDTH - PADDING.left - PADDING.right;
+    const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+
+    // Y축 범위 (모든 값의 최소~최대, 위아래 약간 여유)
+    const allValues = series.flatMap(s => s.values).filter(v => v !== null);
+    let minValue = allValues.length > 0 ? Math.min(...allValues) : 0;
+    let maxValue = allValues.length > 0 ? Math.max(...allValues) : 1;
+    if (minValue === maxValue) {
+        minValue = Math.max(0, minValue - 1);
+        maxValue = maxValue + 1;
+    }
+    const margin = (maxValue - minValue) * 0.1;
+    minValue = Math.max(0, minValue - margin);
+    maxValue = maxValue + margin;
+
+    const xOf = (i) => PADDING.left + (labels.length > 1 ? (plotWidth * i) / (labels.length - 1) : plotWidth / 2);
+    const yOf = (value) => PADDING.top + plotHeight - ((value - minValue) / (maxValue - minValue)) * plotHeight;
+
+    // 제목
+    ctx.fillStyle = TEXT_COLOR;
+    ctx.font = `bold 16px ${fontFamily}`;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(title, PADDING.left, PADDING.top / 2);
+
+    // Y축 눈금 + 가로 격자
+    ctx.font = `12px ${fontFamily}`;
+    ctx.textAlign = 'right';
+    ctx.strokeStyle = GRID_COLOR;
+    ctx.lineWidth = 1;
+    for (let i = 0; i <= Y_TICK_COUNT; i++) {
+        const value = minValue + ((maxValue - minValue) * i) / Y_TICK_COUNT;
+        const y = yOf(value);
+        ctx.beginPath();
+        ctx.moveTo(PADDING.left, y);
+        ctx.lineTo(PADDING.left + plotWidth, y);
+        ctx.stroke();
+        ctx.fillText(Math.round(value).toLocaleString(), PADDING.left - 8, y);
+    }
+
+    // X축 라벨 (많으면 간격을 두고 표시)
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    const labelStep = Math.max(1, Math.ceil(labels.length / 10));
+    for (let i = 0; i < labels.length; i += labelStep) {
+        ctx.fillText(labels[i], xOf(i), PADDING.top + plotHeight + 8);
+    }
+
+    // 시리즈별 선 + 점 (null은 선을 끊음)
+    series.forEach((s, index) => {
+        const color = SERIES_COLORS[index % SERIES_COLORS.length];
+        ctx.strokeStyle = color;
+        ctx.fillStyle = color;
+        ctx.lineWidth = 2;
+
+        ctx.beginPath();
+        let drawing = false;
+        s.values.forEach((value, i) => {
+            if (value === null) {
+                drawing = false;
+                return;
+            }
+            if (drawing) {
+                ctx.lineTo(xOf(i), yOf(value));
+            } else {
+                ctx.moveTo(xOf(i), yOf(value));
+                drawing = true;
+            }
+        });
+        ctx.stroke();
+
+        s.values.forEach((value, i) => {
+            if (value === null) return;
+            ctx.beginPath();
+            ctx.arc(xOf(i), yOf(value), 3, 0, Math.PI * 2);
+            ctx.fill();
+        });
+    });
+
+    // 범례
+    ctx.font = `12px ${fontFamily}`;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    let legendX = PADDING.left;
+    const legendY = HEIGHT - 18;
+    series.forEach((s, index) => {
+        ctx.fillStyle = SERIES_COLORS[index % SERIES_COLORS.length];
+        ctx.fillRect(legendX, legendY - 5, 10, 10);
+        ctx.fillStyle = TEXT_COLOR;
+        ctx.fillText(s.name, legendX + 14, legendY);
+        legendX += 14 + ctx.measureText(s.name).width + 16;
+    });
+
+    return canvas.toBuffer('image/png');
+}
+
+module.exports = {
+    renderLineChart,
+};
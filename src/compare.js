@@ -0,0 +1,188 @@
+/**
+ * 데이터센터 간 시세 비교
+ *
+ * !시세비교 <아이템> [데이터센터/지역...]
+ * 예: !시세비교 염료: 순백색
+ *     !시세비교 염료: 순백색 Mana Chaos
+ *     !시세비교 염료: 순백색 일본
+ *
+ * 한국 서버 최저가 옆에 다른 데이터센터(또는 지역)의 NQ/HQ 최저가와 한국 대비 차이를 보여줍니다.
+ * 비교 대상을 적지 않으면 서버 설정(!시세설정 비교)이나 data/worlds.json 의 compareDefaults 를 사용합니다.
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const { findItemByName, findExactItem } = require('./items');
+const { getAllKoreanServerPrices, getDataCenterPrices } = require('./universalis');
+const { HOME_DATA_CENTER, resolveScope, getCompareDefaults, listScopeNames } = require('./worlds');
+
+// 한 번에 비교할 수 있는 최대 데이터센터 수
+const MAX_COMPARE_SCOPES = 6;
+
+function usageText() {
+    return [
+        '**시세 비교 사용법**',
+        '`!시세비교 <아이템> [데이터센터/지역...]`',
+        '예: `!시세비교 염료: 순백색`, `!시세비교 염료: 순백색 Mana Chaos`, `!시세비교 염료: 순백색 일본`',
+        '',
+        '**비교할 수 있는 데이터센터**',
+        ...listScopeNames(),
+    ].join('\n');
+}
+
+/**
+ * 인자 파싱
+ * 아이템 이름에 공백이 들어갈 수 있으므로 뒤에서부터 데이터센터/지역 이름을 떼어냄
+ *
+ * "불의 크리스탈", "Fire Crystal"처럼 데이터센터 이름으로 끝나는 아이템도 있으므로
+ * 떼어낸 나머지가 아이템 이름과 정확히 일치하는 만큼만 떼어냄 (전체가 일치하면 떼어내지 않음).
+ * 어느 쪽도 정확히 일치하지 않으면 (이름 일부만 입력) 데이터센터 이름을 전부 떼어냄
+ *
+ * @returns {{ itemName: string, scopes: string[] }}
+ */
+function parseCompareArgs(argsText) {
+    const tokens = argsText.split(/\s+/).filter(Boolean);
+    const scopes = [];
+
+    for (let i = tokens.length - 1; i > 0; i--) {
+        const scope = resolveScope(tokens[i]);
+        if (!scope || scope.name === HOME_DATA_CENTER) break;
+        scopes.unshift(scope.name);
+    }
+
+    let scopeCount = scopes.length;
+    for (let count = 0; count < scopes.length; count++) {
+        if (findExactItem(tokens.slice(0, tokens.length - count).join(' '))) {
+            scopeCount = count;
+            break;
+        }
+    }
+
+    return {
+        itemName: tokens.slice(0, tokens.length - scopeCount).join(' '),
+        scopes: [...new Set(scopes.slice(scopes.length - scopeCount))]
+    };
+}
+
+/**
+ * 서버별 시세에서 NQ/HQ 최저가와 그 서버 찾기
+ *
+ * @returns {{ nq: { price: number, server: string }|null, hq: { price: number, server: string }|null }}
+ */
+function findMinimums(data) {
+    const result = { nq: null, hq: null };
+
+    for (const r of data.servers) {
+        if (r.error) continue;
+        if (r.minPriceNQ !== null && (!result.nq || r.minPriceNQ < result.nq.price)) {
+            result.nq = { price: r.minPriceNQ, server: r.server };
+        }
+        if (r.minPriceHQ !== null && (!result.hq || r.minPriceHQ < result.hq.price)) {
+            result.hq = { price: r.minPriceHQ, server: r.server };
+        }
+    }
+
+    return result;
+}
+
+/**
+ * 한국 최저가 대비 차이 (예: " (▼ 20%)")
+ */
+function formatDifference(price, homePrice) {
+    if (!homePrice) return '';
+    const percent = Math.round(((price - homePrice) / homePrice) * 100);
+    if (percent === 0) return ' (=)';
+    return percent < 0 ? ` (▼ ${-percent}%)` : ` (▲ ${percent}%)`;
+}
+
+/**
+ * 데이터센터 한 줄 요약
+ */
+function formatScopeLine(minimums, homeMinimums, quality) {
+    const parts = [];
+    if (quality !== 'HQ' && minimums.nq) {
+        parts.push(`NQ ${minimums.nq.price.toLocaleString()} 길 (${minimums.nq.server})${homeMinimums ? formatDifference(minimums.nq.price, homeMinimums.nq?.price) : ''}`);
+    }
+    if (quality !== 'NQ' && minimums.hq) {
+        parts.push(`HQ ${minimums.hq.price.toLocaleString()} 길 (${minimums.hq.server})${homeMinimums ? formatDifference(minimums.hq.price, homeMinimums.hq?.price) : ''}`);
+    }
+    return parts.length > 0 ? parts.join('\n') : '매물 없음';
+}
+
+/**
+ * 비교 결과 Embed
+ *
+ * @param {{ scope: object, data?: object, error?: Error }[]} results 첫 번째가 한국
+ */
+function createCompareEmbed(item, results, quality) {
+    const [home, ...others] = results;
+    const homeMinimums = home.data ? findMinimums(home.data) : null;
+
+    const lines = results.map(({ scope, data, error }) => {
+        const title = `**${scope.label}${scope.label !== scope.name ? ` (${scope.name})` : ''}**`;
+        if (error) {
+            return `${title}\n⚠️ 조회 실패`;
+        }
+        const minimums = findMinimums(data);
+        return `${title}${data.stale ? ' ⚠️ 저장된 데이터' : ''}\n${formatScopeLine(minimums, scope === home.scope ? null : homeMinimums, quality)}`;
+    });
+
+    return new EmbedBuilder()
+        .setColor(0xADD8E6)
+        .setTitle(`🌏 ${item.name} 데이터센터별 시세`)
+        .setDescription(lines.join('\n\n'))
+        .setFooter({ text: `괄호 안 %는 한국 최저가 대비 · 비교 대상 ${others.length}곳` })
+        .setTimestamp();
+}
+
+/**
+ * !시세비교 명령어 처리
+ * @param {import('discord.js').Message} message
+ * @param {string} argsText "!시세비교" 뒤의 문자열
+ * @param {object} settings getGuildSettings 결과
+ */
+async function handleCompareCommand(message, argsText, settings) {
+    const { itemName, scopes } = parseCompareArgs(argsText);
+    if (!itemName) {
+        return message.reply(usageText());
+    }
+
+    const targets = (scopes.length > 0 ? scopes : settings.compareDataCenters || getCompareDefaults())
+        .slice(0, MAX_COMPARE_SCOPES)
+        .map(resolveScope)
+        .filter(Boolean);
+
+    const searchMsg = await message.reply(`🔍 **${itemName}** 검색 중...`);
+
+    try {
+        const { item } = await findItemByName(itemName);
+        if (!item) {
+            return searchMsg.edit(`**${itemName}**을(를) 찾을 수 없습니다.`);
+        }
+
+        await searchMsg.edit(`🌏 **${item.name}** 시세 비교 중... (${targets.map(t => t.name).join(', ')})`);
+
+        const allScopes = [resolveScope(HOME_DATA_CENTER), ...targets];
+        const settled = await Promise.allSettled([
+            getAllKoreanServerPrices(item.id),
+            ...targets.map(target => getDataCenterPrices(target.name, item.id))
+        ]);
+
+        const results = settled.map((result, i) => {
+            if (result.status === 'rejected') {
+                console.error(`시세 비교 조회 실패 (${allScopes[i].name}/${item.id}):`, result.reason.message);
+                return { scope: allScopes[i], error: result.reason };
+            }
+            return { scope: allScopes[i], data: result.value };
+        });
+
+        await searchMsg.edit({ content: null, embeds: [createCompareEmbed(item, results, settings.quality)] });
+    } catch (error) {
+        console.error('시세 비교 오류:', error);
+        await searchMsg.edit(`오류가 발생했습니다: ${error.message}`);
+    }
+}
+
+module.exports = {
+    parseCompareArgs,
+    handleCompareCommand,
+};
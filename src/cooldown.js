@@ -0,0 +1,59 @@
+/**
+ * 사용자별 명령어 쿨다운
+ *
+ * 한 사람이 연속으로 명령어를 보내서 외부 API 요청이 몰리지 않도록 합니다.
+ * 종류별로 따로 계산합니다.
+ *   market  일반 시세 조회 (COMMAND_COOLDOWN_SECONDS, 기본 3초)
+ *   bulk    여러 아이템을 한번에 조회하는 명령어 (BULK_COMMAND_COOLDOWN_SECONDS, 기본 30초)
+ */
+
+const COOLDOWN_MS = {
+    market: (parseInt(process.env.COMMAND_COOLDOWN_SECONDS, 10) || 3) * 1000,
+    bulk: (parseInt(process.env.BULK_COMMAND_COOLDOWN_SECONDS, 10) || 30) * 1000,
+};
+
+// `${kind}:${userId}` -> 마지막 사용 시각
+const lastUsed = new Map();
+
+/**
+ * 쿨다운 확인 후 사용 기록
+ *
+ * @param {string} userId
+ * @param {'market'|'bulk'} kind
+ * @returns {number} 남은 쿨다운(ms), 0이면 사용 가능 (이때 사용 시각을 기록함)
+ */
+function consumeCooldown(userId, kind = 'market') {
+    const key = `${kind}:${userId}`;
+    const now = Date.now();
+    const remaining = (lastUsed.get(key) || 0) + COOLDOWN_MS[kind] - now;
+
+    if (remaining > 0) {
+        return remaining;
+    }
+
+    lastUsed.set(key, now);
+    return 0;
+}
+
+/**
+ * 쿨다운 안내 문구
+ */
+function cooldownMessage(remainingMs) {
+    return `⏳ 너무 빠르게 요청하고 있습니다. ${Math.ceil(remainingMs / 1000)}초 후에 다시 시도해주세요.`;
+}
+
+// 오래된 기록 정리 (10분마다)
+setInterval(() => {
+    const maxCooldown = Math.max(...Object.values(COOLDOWN_MS));
+    const now = Date.now();
+    for (const [key, time] of lastUsed) {
+        if (now - time > maxCooldown) {
+            lastUsed.delete(key);
+        }
+    }
+}, 10 * 60 * 1000).unref();
+
+module.exports = {
+    consumeCooldown,
+    cooldownMessage,
+};
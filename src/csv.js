@@ -0,0 +1,77 @@
+/**
+ * CSV 파서 (RFC 4180)
+ *
+ * 게임 데이터 CSV(ffxiv-datamining)는 설명 칸에 줄바꿈, 쉼표, 이스케이프된 따옴표("")가
+ * 들어 있어서 줄 단위로 먼저 나누면 깨집니다. 문자 하나씩 상태를 따라가며 한 번에 파싱합니다.
+ */
+
+/**
+ * CSV 텍스트를 행 목록으로 파싱
+ * - 따옴표로 감싼 칸 안의 쉼표/줄바꿈은 값에 포함
+ * - 따옴표 칸 안의 "" 는 " 하나
+ * - \r\n, \n, \r 줄바꿈과 UTF-8 BOM 처리
+ * - 완전히 빈 줄은 건너뜀
+ *
+ * @param {string} text
+ * @returns {string[][]}
+ * @throws {Error} 따옴표가 닫히지 않은 채로 끝난 경우
+ */
+function parseCSVRows(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    let i = text.charCodeAt(0) === 0xFEFF ? 1 : 0;
+
+    const endRow = () => {
+        row.push(field);
+        if (row.length > 1 || row[0] !== '') {
+            rows.push(row);
+        }
+        row = [];
+        field = '';
+    };
+
+    for (; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char !== '"') {
+                field += char;
+            } else if (text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else {
+                inQuotes = false;
+            }
+            continue;
+        }
+
+        if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            endRow();
+        } else {
+            field += char;
+        }
+    }
+
+    if (inQuotes) {
+        throw new Error('CSV 끝까지 따옴표가 닫히지 않았습니다.');
+    }
+    if (field !== '' || row.length > 0) {
+        endRow();
+    }
+
+    return rows;
+}
+
+module.exports = {
+    parseCSVRows,
+};
@@ -0,0 +1,393 @@
+/**
+ * 일일 시세 요약
+ *
+ * !시세요약                       현재 설정 보기
+ * !시세요약 채널 [#채널]           요약을 올릴 채널 (기본: 명령어를 입력한 채널)
+ * !시세요약 시간 <HH:MM>           요약을 올릴 시각 (한국 시간, 기본 09:00, 오늘 이미 지난 시각이면 내일부터)
+ * !시세요약 끄기
+ * !시세요약 지금                   설정한 채널에 바로 올리기
+ * (서버 관리 권한 필요)
+ *
+ * 하루 한 번 서버 공용 관심 목록과 마테리아/염료(!시세상태 와 같은 고정 목록)를 조회해서
+ * - 전날 스냅샷 대비 최저가가 크게 바뀐 아이템 (같은 품질끼리 비교)
+ * - 최근 24시간 판매량이 평소(하루 평균 판매 수량)보다 크게 많은 아이템
+ * - 서버별 Universalis 데이터 갱신 시각 (worldUploadTimes)
+ * 을 요약해서 올립니다.
+ *
+ * 설정과 아이템별 스냅샷(최저가와 그 품질, 판매 속도)은 data/digest.json 에 저장됩니다.
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const { getItemById } = require('./items');
+const { KOREAN_SERVERS, getKoreanMarketDataBulk, getSaleHistoryBulk } = require('./universalis');
+const { hasManagePermission } = require('./guild-settings');
+const { collectSampleItemIds } = require('./freshness');
+const { formatAge } = require('./cache');
+const { dataPath, loadJSON, saveJSON } = require('./json-store');
+
+const DIGEST_PATH = dataPath('digest.json');
+
+const DEFAULT_TIME = '09:00';
+
+// 날짜/시각은 한국 시간 기준
+const KST_OFFSET_MS = 9 * 60 * 60 * 1000;
+
+// 예약 시각 확인 주기
+const DIGEST_CHECK_INTERVAL_MS = 60 * 1000;
+
+// 스냅샷 갱신 간격: 이보다 오래된 스냅샷만 새 값으로 바꿈
+// (여러 서버가 몇 시간 차이로 요약을 올려도 모두 전날 값과 비교하도록)
+const SNAPSHOT_REFRESH_MS = 20 * 60 * 60 * 1000;
+
+// 이보다 최근의 스냅샷은 가격 변동 비교에 쓰지 않음
+const SNAPSHOT_MIN_AGE_MS = 12 * 60 * 60 * 1000;
+
+// 이 기간 동안 요약에 나오지 않은 아이템의 스냅샷은 삭제
+const SNAPSHOT_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+// 가격 변동으로 보여줄 최소 변동률
+const MIN_PRICE_CHANGE = 0.05;
+
+// 판매량 급증: 24시간 판매량이 하루 평균의 VOLUME_SPIKE_RATIO배 이상, 최소 MIN_SPIKE_VOLUME개
+const VOLUME_SPIKE_RATIO = 2;
+const MIN_SPIKE_VOLUME = 5;
+
+// 서버의 가장 최근 업로드가 이보다 오래되면 갱신 지연으로 표시
+const STALE_WORLD_MS = 6 * 60 * 60 * 1000;
+
+// 섹션별 최대 표시 개수
+const MAX_SECTION_ITEMS = 5;
+
+const USAGE_TEXT = [
+    '**일일 시세 요약 사용법** (서버 관리 권한 필요)',
+    '`!시세요약` - 현재 설정 보기',
+    '`!시세요약 채널 [#채널]` - 요약을 올릴 채널 (기본: 이 채널)',
+    '`!시세요약 시간 <HH:MM>` - 요약을 올릴 시각 (한국 시간, 기본 09:00)',
+    '`!시세요약 끄기` - 요약 중지',
+    '`!시세요약 지금` - 설정한 채널에 바로 올리기',
+].join('\n');
+
+// { guilds: { [guildId]: { channelId, time, lastPostedDate } }, snapshots: { [itemId]: { takenAt, quality, minPrice, saleVelocity } } }
+let store = null;
+
+function getStore() {
+    if (!store) {
+        store = loadJSON(DIGEST_PATH, { guilds: {}, snapshots: {} });
+    }
+    return store;
+}
+
+function saveStore() {
+    try {
+        saveJSON(DIGEST_PATH, getStore());
+    } catch (error) {
+        console.error('시세 요약 저장 실패:', error.message);
+    }
+}
+
+/**
+ * 한국 시간 날짜/시각
+ *
+ * @returns {{ date: string, time: string }} 예: { date: '2025-10-18', time: '09:05' }
+ */
+function toKST(now = Date.now()) {
+    const iso = new Date(now + KST_OFFSET_MS).toISOString();
+    return { date: iso.slice(0, 10), time: iso.slice(11, 16) };
+}
+
+/**
+ * "9:00", "09:00" → "09:00"
+ *
+ * @returns {string|null} 올바른 시각이 아니면 null
+ */
+function parseTime(text) {
+    const match = (text || '').match(/^(\d{1,2}):(\d{2})$/);
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+        return null;
+    }
+    return `${match[1].padStart(2, '0')}:${match[2]}`;
+}
+
+/**
+ * 오늘 요약을 올릴 차례인지 (예약 시각이 지났고 오늘 아직 안 올림)
+ */
+function isDigestDue(config, now = Date.now()) {
+    if (!config?.channelId) {
+        return false;
+    }
+    const { date, time } = toKST(now);
+    return config.lastPostedDate !== date && time >= (config.time || DEFAULT_TIME);
+}
+
+/**
+ * 설정한 시각이 오늘 이미 지났으면 내일부터 올리도록 오늘은 올린 것으로 기록
+ */
+function skipTodayIfPassed(config, now = Date.now()) {
+    const { date, time } = toKST(now);
+    if (config.time <= time) {
+        config.lastPostedDate = date;
+    }
+}
+
+/**
+ * 아이템 하나의 요약
+ * 최저가는 NQ 매물 기준, NQ 매물이 없으면 HQ 매물 기준 (quality에 기록)
+ *
+ * @param {object} data Universalis 데이터센터 응답
+ * @param {object[]} sales 최근 하루 거래 내역 (getSaleHistoryBulk 결과)
+ * @returns {{ quality: 'NQ'|'HQ'|null, minPrice: number|null, saleVelocity: number|null, sold24h: number }}
+ */
+function summarizeMarket(data, sales, now = Date.now()) {
+    const listings = data.listings || [];
+    const nqListings = listings.filter(l => !l.hq);
+    const priced = nqListings.length > 0 ? nqListings : listings;
+    const since = now / 1000 - 24 * 60 * 60;
+
+    return {
+        quality: priced.length === 0 ? null : (nqListings.length > 0 ? 'NQ' : 'HQ'),
+        minPrice: priced.length > 0 ? Math.min(...priced.map(l => l.pricePerUnit)) : null,
+        saleVelocity: data.regularSaleVelocity ?? null,
+        sold24h: sales
+            .filter(h => h.timestamp >= since)
+            .reduce((sum, h) => sum + h.quantity, 0)
+    };
+}
+
+/**
+ * 요약 내용 계산
+ *
+ * @param {Map<number, object>} marketData itemId -> Universalis 데이터센터 응답
+ * @param {Map<number, object[]>} recentSales itemId -> 최근 하루 거래 내역
+ * @param {{ [itemId: string]: { takenAt: number, quality: string|null, minPrice: number|null, saleVelocity: number|null } }} snapshots 저장된 스냅샷
+ * @returns {{ movers: object[], spikes: object[], worlds: object[], snapshots: object }} snapshots는 갱신된 스냅샷 전체
+ */
+function buildDigest(marketData, recentSales, snapshots, now = Date.now()) {
+    const movers = [];
+    const spikes = [];
+    const nextSnapshots = Object.fromEntries(Object.entries(snapshots)
+        .filter(([, snapshot]) => now - snapshot.takenAt < SNAPSHOT_MAX_AGE_MS));
+
+    for (const [itemId, data] of marketData) {
+        const current = summarizeMarket(data, recentSales.get(itemId) || [], now);
+        const previous = snapshots[itemId];
+
+        // NQ 매물이 다 팔려 HQ 가격으로 바뀐 것은 가격 변동이 아니므로 같은 품질끼리만 비교
+        if (previous?.minPrice && current.minPrice !== null && previous.quality === current.quality && now - previous.takenAt >= SNAPSHOT_MIN_AGE_MS) {
+            const change = (current.minPrice - previous.minPrice) / previous.minPrice;
+            if (Math.abs(change) >= MIN_PRICE_CHANGE) {
+                movers.push({ itemId, quality: current.quality, previousPrice: previous.minPrice, price: current.minPrice, change });
+            }
+        }
+
+        if (current.sold24h >= MIN_SPIKE_VOLUME && current.saleVelocity > 0 && current.sold24h >= current.saleVelocity * VOLUME_SPIKE_RATIO) {
+            spikes.push({ itemId, sold24h: current.sold24h, saleVelocity: current.saleVelocity, ratio: current.sold24h / current.saleVelocity });
+        }
+
+        if (!previous || now - previous.takenAt >= SNAPSHOT_REFRESH_MS) {
+            nextSnapshots[itemId] = { takenAt: now, quality: current.quality, minPrice: current.minPrice, saleVelocity: current.saleVelocity };
+        }
+    }
+
+    // 서버별로 가장 최근 업로드 시각과 24시간 넘게 갱신되지 않은 아이템 수
+    const worlds = KOREAN_SERVERS.map(server => {
+        const uploads = [...marketData.values()].map(data => data.worldUploadTimes?.[server.id] || null);
+        const known = uploads.filter(Boolean);
+        const latestUpload = known.length > 0 ? Math.max(...known) : null;
+        return {
+            server: server.name,
+            latestUpload,
+            outdatedCount: uploads.filter(time => !time || now - time > 24 * 60 * 60 * 1000).length,
+            stale: latestUpload === null || now - latestUpload > STALE_WORLD_MS
+        };
+    });
+
+    movers.sort((a, b) => Math.abs(b.change) - Math.abs(a.change));
+    spikes.sort((a, b) => b.ratio - a.ratio);
+
+    return { movers, spikes, worlds, snapshots: nextSnapshots };
+}
+
+function itemName(itemId) {
+    return getItemById(itemId)?.name || `아이템 #${itemId}`;
+}
+
+function formatPercent(change) {
+    const percent = Math.round(change * 100);
+    return percent > 0 ? `▲${percent}%` : `▼${-percent}%`;
+}
+
+/**
+ * 요약 Embed
+ */
+function createDigestEmbed(digest, { date, itemCount, now = Date.now() }) {
+    const movers = digest.movers.slice(0, MAX_SECTION_ITEMS).map(m =>
+        `**${itemName(m.itemId)}**${m.quality === 'HQ' ? ' (HQ)' : ''} ${m.previousPrice.toLocaleString()} → ${m.price.toLocaleString()} 길 (${formatPercent(m.change)})`);
+    const spikes = digest.spikes.slice(0, MAX_SECTION_ITEMS).map(s =>
+        `**${itemName(s.itemId)}** 24시간 ${s.sold24h.toLocaleString()}개 판매 (평소 하루 ${s.saleVelocity.toFixed(1)}개, ${s.ratio.toFixed(1)}배)`);
+    const worlds = digest.worlds.map(w => {
+        const latest = w.latestUpload ? formatAge(w.latestUpload, now) : '기록 없음';
+        return `${w.stale ? '⚠️' : '✅'} **${w.server}** 최근 업로드 ${latest} · 하루 넘게 갱신 안 됨 ${w.outdatedCount}/${itemCount}개`;
+    });
+
+    return new EmbedBuilder()
+        .setColor(0xADD8E6)
+        .setTitle(`📰 ${date} 시세 요약`)
+        .addFields(
+            { name: '📈 가격 변동 (전날 대비)', value: movers.join('\n') || '크게 바뀐 아이템이 없습니다.' },
+            { name: '🔥 판매량 급증 (최근 24시간)', value: spikes.join('\n') || '평소보다 많이 팔린 아이템이 없습니다.' },
+            { name: '🕒 서버별 데이터 갱신 (Universalis)', value: worlds.join('\n') }
+        )
+        .setFooter({ text: `서버 공용 관심 목록 + 마테리아/염료 ${itemCount}개 기준 · ⚠️ ${STALE_WORLD_MS / 3600000}시간 넘게 업로드 없음` })
+        .setTimestamp(now);
+}
+
+/**
+ * 요약을 만들어서 채널에 올리기
+ *
+ * @param {{ send: Function }} channel
+ */
+async function postDigest(guildId, channel, now = Date.now()) {
+    // 최근 업로드 순으로 고르면 서버별 갱신 상태가 실제보다 좋아 보이므로 !시세상태 와 같은 고정 목록 사용
+    const itemIds = collectSampleItemIds(guildId);
+    if (itemIds.length === 0) {
+        return channel.send('📰 요약할 아이템이 없습니다. `!관심 공용 추가 <아이템>`으로 관심 목록을 만들어 주세요.');
+    }
+
+    const marketData = await getKoreanMarketDataBulk(itemIds);
+    const recentSales = await getSaleHistoryBulk(itemIds, 1);
+    const currentStore = getStore();
+    const digest = buildDigest(marketData, recentSales, currentStore.snapshots, now);
+    currentStore.snapshots = digest.snapshots;
+    saveStore();
+
+    return channel.send({ embeds: [createDigestEmbed(digest, { date: toKST(now).date, itemCount: marketData.size, now })] });
+}
+
+/**
+ * 예약 시각이 된 서버에 요약 올리기
+ */
+async function checkDigests(client) {
+    const now = Date.now();
+    for (const [guildId, config] of Object.entries(getStore().guilds)) {
+        if (!isDigestDue(config, now)) continue;
+
+        // 실패해도 같은 날 매분 다시 시도하지 않도록 먼저 기록
+        config.lastPostedDate = toKST(now).date;
+        saveStore();
+
+        try {
+            const channel = await client.channels.fetch(config.channelId);
+            await postDigest(guildId, channel, now);
+        } catch (error) {
+            console.error(`시세 요약 전송 실패 (${guildId}):`, error.message);
+        }
+    }
+}
+
+/**
+ * 시세 요약 스케줄러 시작
+ * 이전 확인이 끝나지 않았으면 이번 주기는 건너뜀
+ */
+function startDigestScheduler(client) {
+    let running = false;
+
+    return setInterval(async () => {
+        if (running) return;
+        running = true;
+        try {
+            await checkDigests(client);
+        } catch (error) {
+            console.error('시세 요약 확인 오류:', error);
+        } finally {
+            running = false;
+        }
+    }, DIGEST_CHECK_INTERVAL_MS);
+}
+
+function describeConfig(config) {
+    if (!config?.channelId) {
+        return '일일 시세 요약이 꺼져 있습니다.';
+    }
+    const last = config.lastPostedDate ? ` · 마지막 요약 ${config.lastPostedDate}` : '';
+    return `📰 매일 **${config.time || DEFAULT_TIME}** (한국 시간)에 <#${config.channelId}> 채널에 시세 요약을 올립니다.${last}`;
+}
+
+/**
+ * !시세요약 명령어 처리
+ * @param {import('discord.js').Message} message
+ * @param {string} argsText "!시세요약" 뒤의 문자열
+ */
+async function handleDigestCommand(message, argsText) {
+    if (!message.guild) {
+        return message.reply('시세 요약은 서버 채널에서만 설정할 수 있습니다.');
+    }
+    if (!hasManagePermission(message)) {
+        return message.reply('서버 관리 권한이 있는 사람만 시세 요약을 설정할 수 있습니다.');
+    }
+
+    const [subcommand, value] = argsText.split(/\s+/).filter(Boolean);
+    const guilds = getStore().guilds;
+    const config = guilds[message.guild.id];
+
+    if (!subcommand || subcommand === '보기') {
+        return message.reply(`${describeConfig(config)}\n\n${USAGE_TEXT}`);
+    }
+
+    switch (subcommand) {
+        case '채널': {
+            const channelId = value ? value.match(/^<#(\d+)>$/)?.[1] : message.channel.id;
+            if (!channelId) {
+                return message.reply('사용법: `!시세요약 채널 [#채널]`');
+            }
+            if (!config) {
+                guilds[message.guild.id] = { time: DEFAULT_TIME, lastPostedDate: null };
+                skipTodayIfPassed(guilds[message.guild.id]);
+            }
+            guilds[message.guild.id].channelId = channelId;
+            saveStore();
+            return message.reply(`✅ ${describeConfig(guilds[message.guild.id])}`);
+        }
+
+        case '시간': {
+            const time = parseTime(value);
+            if (!time) {
+                return message.reply('시각은 한국 시간 `HH:MM` 형식으로 입력해 주세요. 예: `!시세요약 시간 21:30`');
+            }
+            if (!config?.channelId) {
+                return message.reply('먼저 `!시세요약 채널 [#채널]`로 요약을 올릴 채널을 정해 주세요.');
+            }
+            config.time = time;
+            skipTodayIfPassed(config);
+            saveStore();
+            return message.reply(`✅ ${describeConfig(config)}`);
+        }
+
+        case '끄기':
+            delete guilds[message.guild.id];
+            saveStore();
+            return message.reply('✅ 일일 시세 요약을 껐습니다.');
+
+        case '지금': {
+            if (!config?.channelId) {
+                return message.reply('먼저 `!시세요약 채널 [#채널]`로 요약을 올릴 채널을 정해 주세요.');
+            }
+            const channel = config.channelId === message.channel.id
+                ? message.channel
+                : await message.client.channels.fetch(config.channelId);
+            await postDigest(message.guild.id, channel);
+            return config.channelId === message.channel.id ? null : message.reply(`✅ <#${config.channelId}> 채널에 시세 요약을 올렸습니다.`);
+        }
+
+        default:
+            return message.reply(USAGE_TEXT);
+    }
+}
+
+module.exports = {
+    toKST,
+    parseTime,
+    isDigestDue,
+    buildDigest,
+    handleDigestCommand,
+    startDigestScheduler,
+};
@@ -0,0 +1,117 @@
+/**
+ * 시세 데이터 신선도
+ *
+ * !시세상태   한국 서버별로 자주 찾는 아이템의 시세가 얼마나 최근에 갱신됐는지 요약
+ *             (서버 공용 관심 목록 + 가장 높은 등급의 마테리아 + 염료)
+ *
+ * Universalis 시세는 업로더 플러그인을 쓰는 사람이 그 서버의 장터를 열어야 갱신되므로,
+ * 방문이 뜸한 서버의 가격은 며칠 전 것일 수 있습니다.
+ * 시세 Embed는 서버별 업로드 시각을 함께 보여주고, 오래된 서버는 ⭐ 최저가 표시에서 뺍니다.
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const { getItemGroup } = require('./items');
+const { KOREAN_SERVERS, BULK_ITEM_LIMIT, getKoreanMarketDataBulk } = require('./universalis');
+const { getGuildWatchlistItemIds } = require('./watchlist');
+const { formatAge } = require('./cache');
+
+// 서버의 마지막 업로드가 이보다 오래되면 오래된 데이터로 표시
+const STALE_UPLOAD_MS = (parseFloat(process.env.STALE_UPLOAD_HOURS) || 24) * 60 * 60 * 1000;
+
+// !시세상태 에서 조회할 최대 아이템 수 (다중 조회 한 번)
+const SAMPLE_ITEM_COUNT = BULK_ITEM_LIMIT;
+
+/**
+ * 업로드 시각이 오래됐는지 (기록이 없으면 오래된 것으로 봄)
+ *
+ * @param {number|null|undefined} lastUploadTime ms
+ */
+function isStaleUpload(lastUploadTime, now = Date.now()) {
+    return !lastUploadTime || now - lastUploadTime > STALE_UPLOAD_MS;
+}
+
+/**
+ * 서버별 신선도 요약
+ *
+ * @param {Map<number, object>} marketData itemId -> Universalis 데이터센터 응답
+ * @returns {{ server: string, latestUpload: number|null, medianUpload: number|null, staleCount: number, itemCount: number }[]}
+ */
+function summarizeWorldFreshness(marketData, now = Date.now()) {
+    return KOREAN_SERVERS.map(server => {
+        const uploads = [...marketData.values()].map(data => data.worldUploadTimes?.[server.id] || null);
+        const known = uploads.filter(Boolean).sort((a, b) => a - b);
+        // 기록이 없는 아이템을 가장 오래된 것으로 보고 구한 중앙값 (절반 넘게 기록이 없으면 null)
+        const medianIndex = known.length - Math.ceil(uploads.length / 2);
+        return {
+            server: server.name,
+            latestUpload: known.length > 0 ? known[known.length - 1] : null,
+            medianUpload: medianIndex >= 0 ? known[medianIndex] : null,
+            staleCount: uploads.filter(time => isStaleUpload(time, now)).length,
+            itemCount: uploads.length
+        };
+    });
+}
+
+/**
+ * 신선도를 확인할 아이템
+ * 최근 업로드 순으로 고르면 방금 갱신된 아이템만 모이므로, 업로드 시각과 상관없는 고정 목록을 사용
+ *
+ * @param {string|null} guildId
+ * @returns {number[]} 최대 SAMPLE_ITEM_COUNT개
+ */
+function collectSampleItemIds(guildId) {
+    const materia = getItemGroup('materia') || {};
+    const topGrade = Math.max(0, ...Object.keys(materia).map(Number));
+    const itemIds = [
+        ...(guildId ? getGuildWatchlistItemIds(guildId) : []),
+        ...(materia[topGrade] || []),
+        ...(getItemGroup('dyes') || [])
+    ];
+    return [...new Set(itemIds)].slice(0, SAMPLE_ITEM_COUNT);
+}
+
+function formatWorldFreshness(w, now) {
+    const stale = isStaleUpload(w.medianUpload, now);
+    const median = w.medianUpload ? formatAge(w.medianUpload, now) : '기록 없음';
+    const latest = w.latestUpload ? formatAge(w.latestUpload, now) : '기록 없음';
+    return `${stale ? '⚠️' : '✅'} **${w.server}** 보통 ${median} 갱신 · 가장 최근 ${latest} · 오래된 아이템 ${w.staleCount}/${w.itemCount}개`;
+}
+
+/**
+ * !시세상태 명령어 처리
+ * @param {import('discord.js').Message} message
+ */
+async function handleMarketStatusCommand(message) {
+    const itemIds = collectSampleItemIds(message.guildId);
+    if (itemIds.length === 0) {
+        return message.reply('확인할 아이템이 없습니다. `!관심 공용 추가 <아이템>`으로 관심 목록을 만들거나, 봇 관리자에게 `npm run update-db` 실행을 요청해 주세요.');
+    }
+
+    const searchMsg = await message.reply(`🔍 아이템 ${itemIds.length}개로 서버별 시세 갱신 상태 확인 중...`);
+
+    let marketData;
+    try {
+        marketData = await getKoreanMarketDataBulk(itemIds);
+    } catch (error) {
+        console.error('시세 상태 조회 오류:', error);
+        return searchMsg.edit(`오류가 발생했습니다: ${error.message}`);
+    }
+
+    const now = Date.now();
+    const embed = new EmbedBuilder()
+        .setColor(0xADD8E6)
+        .setTitle('🕒 서버별 시세 갱신 상태 (Universalis)')
+        .setDescription(summarizeWorldFreshness(marketData, now).map(w => formatWorldFreshness(w, now)).join('\n'))
+        .setFooter({ text: `서버 공용 관심 목록 + 마테리아/염료 ${marketData.size}개 기준 · ⚠️ 보통 ${STALE_UPLOAD_MS / 3600000}시간 넘게 갱신 안 됨 (그 서버 장터를 업로더 플러그인으로 열어야 갱신)` })
+        .setTimestamp(now);
+
+    return searchMsg.edit({ content: null, embeds: [embed] });
+}
+
+module.exports = {
+    STALE_UPLOAD_MS,
+    isStaleUpload,
+    summarizeWorldFreshness,
+    collectSampleItemIds,
+    handleMarketStatusCommand,
+};
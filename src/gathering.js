@@ -0,0 +1,128 @@
+/**
+ * 채집 추천
+ *
+ * !채집추천 <광부|원예가> [최대레벨]
+ * 예: !채집추천 광부        → 광부가 채집할 수 있는 모든 아이템
+ *     !채집추천 원예가 50   → 레벨 50 이하 채집 지점의 아이템만
+ *
+ * npm run update-db 가 채집 CSV(GatheringItem, GatheringPointBase)로 만든 직업별 채집 아이템을
+ * Korea DC에서 100개씩 다중 조회해서 "수수료를 뺀 개당 판매가 × 하루 판매 수량" (하루에 팔 수 있는 길) 순으로 보여줍니다.
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const { getItemById, getItemGroup } = require('./items');
+const { getAllKoreanServerPricesBulk } = require('./universalis');
+const { MARKET_TAX_RATE } = require('./stats');
+
+// 결과에 보여줄 최대 개수
+const MAX_RESULTS = 15;
+
+const JOB_ALIASES = {
+    광부: 'miner',
+    채광: 'miner',
+    min: 'miner',
+    원예가: 'botanist',
+    원예: 'botanist',
+    btn: 'botanist',
+};
+
+const JOB_LABELS = { miner: '⛏️ 광부', botanist: '🌿 원예가' };
+
+const USAGE_TEXT = [
+    '**채집 추천 사용법**',
+    '`!채집추천 <광부|원예가> [최대레벨]`',
+    '예: `!채집추천 광부`, `!채집추천 원예가 50`',
+].join('\n');
+
+/**
+ * 채집 아이템 하나의 추천 점수
+ * 판매가는 Korea DC 최저가보다 1길 싸게 (매물이 없으면 최근 거래 중앙값), 판매 수량은 Korea DC 전체 기준
+ *
+ * @param {{ itemId: number, level: number, stars: number }} entry
+ * @param {object|undefined} data getAllKoreanServerPrices 형식
+ * @returns {{ itemId: number, itemName: string, level: number, stars: number, netPrice: number, velocity: number, gilPerDay: number }|null} 팔 수 없으면 null
+ */
+function scoreGatheringItem(entry, data) {
+    const price = data?.recommendedPriceNQ;
+    const velocity = data?.saleVelocity;
+    if (!price || !(velocity > 0)) {
+        return null;
+    }
+
+    const netPrice = Math.floor(price * (1 - MARKET_TAX_RATE));
+    return {
+        itemId: entry.itemId,
+        itemName: getItemById(entry.itemId)?.name || `아이템 #${entry.itemId}`,
+        level: entry.level,
+        stars: entry.stars,
+        netPrice,
+        velocity,
+        gilPerDay: Math.round(netPrice * velocity)
+    };
+}
+
+function formatVelocity(velocity) {
+    return velocity < 10 ? velocity.toFixed(1) : Math.round(velocity).toLocaleString();
+}
+
+function formatRecommendation(r, index) {
+    const level = `Lv.${r.level}${'★'.repeat(r.stars)}`;
+    return `${index}. **${r.itemName}** ${level} · 개당 ${r.netPrice.toLocaleString()} 길 · 하루 ${formatVelocity(r.velocity)}개 판매 → 약 ${r.gilPerDay.toLocaleString()} 길/일`;
+}
+
+/**
+ * !채집추천 명령어 처리
+ * @param {import('discord.js').Message} message
+ * @param {string} argsText "!채집추천" 뒤의 문자열
+ */
+async function handleGatheringCommand(message, argsText) {
+    const [jobText, levelText] = argsText.split(/\s+/).filter(Boolean);
+    const job = JOB_ALIASES[(jobText || '').toLowerCase()];
+    if (!job) {
+        return message.reply(USAGE_TEXT);
+    }
+
+    const maxLevel = levelText ? parseInt(levelText, 10) : null;
+    if (levelText && !(maxLevel > 0)) {
+        return message.reply(`최대레벨은 숫자로 입력해 주세요.\n${USAGE_TEXT}`);
+    }
+
+    const entries = (getItemGroup('gathering')?.[job] || [])
+        .filter(entry => maxLevel === null || entry.level <= maxLevel);
+    if (entries.length === 0) {
+        return message.reply(getItemGroup('gathering')?.[job]
+            ? `레벨 ${maxLevel} 이하에서 채집할 수 있는 아이템이 없습니다.`
+            : '채집 데이터가 없습니다. 봇 관리자에게 `npm run update-db` 실행을 요청해 주세요.');
+    }
+
+    const searchMsg = await message.reply(`🔍 ${JOB_LABELS[job]} 채집 아이템 ${entries.length}개 시세 조회 중...`);
+
+    let prices;
+    try {
+        // 채집 아이템 수백 개를 캐시에 넣으면 다른 명령어의 캐시가 밀려나므로 캐시 없이 조회
+        prices = await getAllKoreanServerPricesBulk(entries.map(entry => entry.itemId), { cache: false });
+    } catch (error) {
+        console.error('채집 추천 시세 조회 오류:', error);
+        return searchMsg.edit(`오류가 발생했습니다: ${error.message}`);
+    }
+
+    const ranked = entries
+        .map(entry => scoreGatheringItem(entry, prices.get(entry.itemId)))
+        .filter(Boolean)
+        .sort((a, b) => b.gilPerDay - a.gilPerDay);
+
+    const lines = ranked.slice(0, MAX_RESULTS).map((r, i) => formatRecommendation(r, i + 1));
+    const embed = new EmbedBuilder()
+        .setColor(0x57F287)
+        .setTitle(`${JOB_LABELS[job]} 채집 추천${maxLevel ? ` (Lv.${maxLevel} 이하)` : ''}`)
+        .setDescription(lines.length > 0 ? lines.join('\n') : '최근에 팔린 채집 아이템이 없습니다.')
+        .setFooter({ text: `채집 아이템 ${entries.length}개 중 판매 기록이 있는 ${ranked.length}개 · 수수료 5%를 뺀 판매가 × 하루 판매 수량 순 (Korea DC)` })
+        .setTimestamp();
+
+    return searchMsg.edit({ content: null, embeds: [embed] });
+}
+
+module.exports = {
+    scoreGatheringItem,
+    handleGatheringCommand,
+};
@@ -0,0 +1,298 @@
+/**
+ * 서버(길드)별 설정
+ *
+ * !시세설정                          현재 설정 보기
+ * !시세설정 홈서버 <서버|해제>        시세 결과에서 맨 위에 강조할 서버
+ * !시세설정 서버 <서버...|전체>        시세 결과에 표시할 서버 (쉼표/공백 구분)
+ * !시세설정 품질 <NQ|HQ|전체>          기본 품질 필터
+ * !시세설정 접두사 <문자>              메시지 명령어 접두사 (기본 !)
+ * !시세설정 채널 <추가|삭제> [#채널]   명령어를 받을 채널 (비어 있으면 모든 채널)
+ * !시세설정 채널 전체                  채널 제한 해제
+ * !시세설정 언어 <ko|en>              시세 결과 표시 언어
+ * !시세설정 비교 <데이터센터...|기본>   !시세비교 기본 비교 대상
+ * !시세설정 초기화                     기본값으로 되돌리기
+ *
+ * 설정은 data/guild-settings.json 에 저장되고, 서버 관리 권한이 있는 사람만 바꿀 수 있습니다.
+ * 접두사를 바꿔도 `!시세설정`은 항상 사용할 수 있습니다.
+ */
+
+const { EmbedBuilder, PermissionFlagsBits } = require('discord.js');
+const { KOREAN_SERVERS } = require('./universalis');
+const { HOME_DATA_CENTER, resolveScope, getCompareDefaults } = require('./worlds');
+const { dataPath, loadJSON, saveJSON } = require('./json-store');
+
+const SETTINGS_PATH = dataPath('guild-settings.json');
+
+const DEFAULT_SETTINGS = Object.freeze({
+    homeWorld: null,
+    worlds: null,       // null이면 전체 서버
+    quality: 'all',     // 'all' | 'NQ' | 'HQ'
+    prefix: '!',
+    channels: [],       // 비어 있으면 모든 채널
+    language: 'ko',     // 'ko' | 'en'
+    compareDataCenters: null,   // null이면 data/worlds.json 의 compareDefaults
+});
+
+const MAX_PREFIX_LENGTH = 3;
+
+const QUALITY_LABELS = { all: '전체', NQ: 'NQ만', HQ: 'HQ만' };
+const LANGUAGE_LABELS = { ko: '한국어', en: 'English' };
+
+const LANGUAGE_ALIASES = {
+    ko: 'ko', kr: 'ko', '한국어': 'ko',
+    en: 'en', english: 'en', '영어': 'en',
+};
+
+const USAGE_TEXT = [
+    '**시세 봇 설정 사용법** (서버 관리 권한 필요)',
+    '`!시세설정` - 현재 설정 보기',
+    '`!시세설정 홈서버 <서버|해제>` - 시세 결과 맨 위에 강조할 서버',
+    '`!시세설정 서버 <서버...|전체>` - 표시할 서버 (예: `!시세설정 서버 모그리, 초코보`)',
+    '`!시세설정 품질 <NQ|HQ|전체>` - 기본 품질 필터',
+    '`!시세설정 접두사 <문자>` - 메시지 명령어 접두사 (최대 3글자)',
+    '`!시세설정 채널 <추가|삭제> [#채널]` / `!시세설정 채널 전체` - 명령어를 받을 채널',
+    '`!시세설정 언어 <ko|en>` - 시세 결과 표시 언어',
+    '`!시세설정 비교 <데이터센터...|기본>` - `!시세비교` 기본 비교 대상 (예: `!시세설정 비교 Mana Chaos`)',
+    '`!시세설정 초기화` - 기본값으로 되돌리기',
+].join('\n');
+
+// { guilds: { [guildId]: { homeWorld, worlds, quality, prefix, channels, language, compareDataCenters } } }
+let store = null;
+
+function getStore() {
+    if (!store) {
+        store = loadJSON(SETTINGS_PATH, { guilds: {} });
+    }
+    return store;
+}
+
+function saveStore() {
+    try {
+        saveJSON(SETTINGS_PATH, getStore());
+    } catch (error) {
+        console.error('서버 설정 저장 실패:', error.message);
+    }
+}
+
+/**
+ * 서버 설정 (저장된 값이 없는 항목은 기본값)
+ * DM처럼 guildId가 없으면 기본값
+ *
+ * @param {string|null} guildId
+ */
+function getGuildSettings(guildId) {
+    const saved = guildId ? getStore().guilds[guildId] : null;
+    return { ...DEFAULT_SETTINGS, ...saved };
+}
+
+function updateGuildSettings(guildId, changes) {
+    const guilds = getStore().guilds;
+    guilds[guildId] = { ...guilds[guildId], ...changes };
+    saveStore();
+    return getGuildSettings(guildId);
+}
+
+/**
+ * 이 채널에서 명령어를 받을 수 있는지
+ */
+function isChannelAllowed(settings, channelId) {
+    return settings.channels.length === 0 || settings.channels.includes(channelId);
+}
+
+/**
+ * 서버별 시세 목록에 설정 적용
+ * 표시할 서버만 남기고 홈 서버를 맨 앞으로
+ *
+ * @param {object[]} servers summarizeKoreanPrices의 servers
+ * @param {object} settings getGuildSettings 결과
+ */
+function applyServerSettings(servers, settings) {
+    const visible = settings.worlds
+        ? servers.filter(r => settings.worlds.includes(r.server))
+        : [...servers];
+
+    const homeIndex = visible.findIndex(r => r.server === settings.homeWorld);
+    if (homeIndex > 0) {
+        visible.unshift(...visible.splice(homeIndex, 1));
+    }
+    return visible;
+}
+
+/**
+ * "모그리, 초코보" / "모그리 초코보" → 서버 이름 목록
+ *
+ * @returns {{ worlds: string[], unknown: string[] }}
+ */
+function parseWorldList(text) {
+    const names = text.split(/[\s,]+/).filter(Boolean);
+    return {
+        worlds: KOREAN_SERVERS.map(s => s.name).filter(name => names.includes(name)),
+        unknown: names.filter(name => !KOREAN_SERVERS.some(s => s.name === name))
+    };
+}
+
+/**
+ * 서버 관리 권한(서버 관리하기)이 있는지
+ */
+function hasManagePermission(message) {
+    return message.member?.permissions.has(PermissionFlagsBits.ManageGuild) ?? false;
+}
+
+function createSettingsEmbed(guildName, settings) {
+    const channels = settings.channels.length > 0
+        ? settings.channels.map(id => `<#${id}>`).join(', ')
+        : '모든 채널';
+
+    return new EmbedBuilder()
+        .setColor(0xADD8E6)
+        .setTitle(`⚙️ ${guildName} 시세 봇 설정`)
+        .addFields(
+            { name: '홈 서버', value: settings.homeWorld || '없음', inline: true },
+            { name: '표시할 서버', value: settings.worlds ? settings.worlds.join(', ') : '전체', inline: true },
+            { name: '품질 필터', value: QUALITY_LABELS[settings.quality], inline: true },
+            { name: '접두사', value: `\`${settings.prefix}\``, inline: true },
+            { name: '언어', value: LANGUAGE_LABELS[settings.language], inline: true },
+            { name: '시세비교 대상', value: (settings.compareDataCenters || getCompareDefaults()).join(', ') || '없음', inline: true },
+            { name: '명령어 채널', value: channels }
+        )
+        .setFooter({ text: '변경: !시세설정 <항목> <값> · 도움말: !시세설정 도움' });
+}
+
+/**
+ * !시세설정 채널 <추가|삭제|전체> [#채널]
+ */
+function updateChannels(message, settings, tokens) {
+    const [action, target] = tokens;
+
+    if (action === '전체') {
+        updateGuildSettings(message.guild.id, { channels: [] });
+        return message.reply('✅ 이제 모든 채널에서 명령어를 사용할 수 있습니다.');
+    }
+
+    const channelId = target ? target.match(/^<#(\d+)>$/)?.[1] : message.channel.id;
+    if (!channelId || (action !== '추가' && action !== '삭제')) {
+        return message.reply('사용법: `!시세설정 채널 <추가|삭제> [#채널]` 또는 `!시세설정 채널 전체`');
+    }
+
+    if (action === '추가') {
+        if (!settings.channels.includes(channelId)) {
+            updateGuildSettings(message.guild.id, { channels: [...settings.channels, channelId] });
+        }
+        return message.reply(`✅ <#${channelId}> 채널에서 명령어를 받습니다.`);
+    }
+
+    const channels = settings.channels.filter(id => id !== channelId);
+    updateGuildSettings(message.guild.id, { channels });
+    return message.reply(channels.length > 0
+        ? `✅ <#${channelId}> 채널을 명령어 채널에서 뺐습니다.`
+        : `✅ <#${channelId}> 채널을 뺐습니다. 남은 채널이 없어서 모든 채널에서 명령어를 받습니다.`);
+}
+
+/**
+ * !시세설정 명령어 처리
+ * @param {import('discord.js').Message} message
+ * @param {string} argsText "!시세설정" 뒤의 문자열
+ */
+async function handleSettingsCommand(message, argsText) {
+    if (!message.guild) {
+        return message.reply('서버 설정은 서버 채널에서만 사용할 수 있습니다.');
+    }
+    if (!hasManagePermission(message)) {
+        return message.reply('서버 관리 권한이 있는 사람만 설정을 바꿀 수 있습니다.');
+    }
+
+    const [subcommand, ...tokens] = argsText.split(/\s+/).filter(Boolean);
+    const value = tokens.join(' ');
+    const settings = getGuildSettings(message.guild.id);
+
+    if (!subcommand || subcommand === '보기') {
+        return message.reply({ embeds: [createSettingsEmbed(message.guild.name, settings)] });
+    }
+
+    switch (subcommand) {
+        case '홈서버': {
+            if (value === '해제') {
+                updateGuildSettings(message.guild.id, { homeWorld: null });
+                return message.reply('✅ 홈 서버를 해제했습니다.');
+            }
+            if (!KOREAN_SERVERS.some(s => s.name === value)) {
+                return message.reply(`서버 이름을 확인해주세요. (${KOREAN_SERVERS.map(s => s.name).join(', ')})`);
+            }
+            updateGuildSettings(message.guild.id, { homeWorld: value });
+            return message.reply(`✅ 홈 서버를 **${value}**(으)로 설정했습니다.`);
+        }
+
+        case '서버': {
+            if (value === '전체') {
+                updateGuildSettings(message.guild.id, { worlds: null });
+                return message.reply('✅ 모든 서버의 시세를 표시합니다.');
+            }
+            const { worlds, unknown } = parseWorldList(value);
+            if (worlds.length === 0 || unknown.length > 0) {
+                return message.reply(`서버 이름을 확인해주세요. (${KOREAN_SERVERS.map(s => s.name).join(', ')})`);
+            }
+            updateGuildSettings(message.guild.id, { worlds });
+            return message.reply(`✅ 표시할 서버: **${worlds.join(', ')}**`);
+        }
+
+        case '품질': {
+            const quality = value === '전체' ? 'all' : value.toUpperCase();
+            if (!QUALITY_LABELS[quality]) {
+                return message.reply('사용법: `!시세설정 품질 <NQ|HQ|전체>`');
+            }
+            updateGuildSettings(message.guild.id, { quality });
+            return message.reply(`✅ 품질 필터: **${QUALITY_LABELS[quality]}**`);
+        }
+
+        case '접두사': {
+            if (!value || /\s/.test(value) || value.length > MAX_PREFIX_LENGTH) {
+                return message.reply(`접두사는 공백 없이 ${MAX_PREFIX_LENGTH}글자 이하로 입력해주세요. 예: \`!시세설정 접두사 ?\``);
+            }
+            updateGuildSettings(message.guild.id, { prefix: value });
+            return message.reply(`✅ 접두사를 \`${value}\`(으)로 바꿨습니다. 예: \`${value}시세 염료: 순백색\` (\`!시세설정\`은 계속 사용할 수 있습니다.)`);
+        }
+
+        case '채널':
+            return updateChannels(message, settings, tokens);
+
+        case '언어': {
+            const language = LANGUAGE_ALIASES[value.toLowerCase()];
+            if (!language) {
+                return message.reply('사용법: `!시세설정 언어 <ko|en>`');
+            }
+            updateGuildSettings(message.guild.id, { language });
+            return message.reply(`✅ 시세 결과 언어: **${LANGUAGE_LABELS[language]}**`);
+        }
+
+        case '비교': {
+            if (value === '기본') {
+                updateGuildSettings(message.guild.id, { compareDataCenters: null });
+                return message.reply(`✅ 기본 비교 대상을 사용합니다. (${getCompareDefaults().join(', ')})`);
+            }
+            const scopes = tokens.map(resolveScope);
+            if (scopes.length === 0 || scopes.some(scope => !scope || scope.name === HOME_DATA_CENTER)) {
+                return message.reply('데이터센터 이름을 확인해주세요. 사용법: `!시세설정 비교 Mana Chaos` (`!시세비교`로 목록 확인)');
+            }
+            const compareDataCenters = [...new Set(scopes.map(scope => scope.name))];
+            updateGuildSettings(message.guild.id, { compareDataCenters });
+            return message.reply(`✅ 시세비교 대상: **${compareDataCenters.join(', ')}**`);
+        }
+
+        case '초기화':
+            delete getStore().guilds[message.guild.id];
+            saveStore();
+            return message.reply('✅ 설정을 기본값으로 되돌렸습니다.');
+
+        default:
+            return message.reply(USAGE_TEXT);
+    }
+}
+
+module.exports = {
+    getGuildSettings,
+    isChannelAllowed,
+    applyServerSettings,
+    parseWorldList,
+    hasManagePermission,
+    handleSettingsCommand,
+};
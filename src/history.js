@@ -0,0 +1,216 @@
+/**
+ * 시세 기록 (판매 기록 통계 + 차트)
+ *
+ * !시세기록 <아이템> [기간] [NQ|HQ]
+ * 예: !시세기록 염료: 순백색 14일
+ *
+ * Universalis 판매 기록으로 서버별 일별 평균/중앙값/최저가/거래량을 계산하고
+ * 일별 평균가 차트를 함께 보여줍니다.
+ */
+
+const { EmbedBuilder, AttachmentBuilder } = require('discord.js');
+const { findItemByName } = require('./items');
+const { KOREAN_SERVERS, getSaleHistory } = require('./universalis');
+const { renderLineChart } = require('./chart');
+const { summarizeSales } = require('./stats');
+
+const DEFAULT_DAYS = 7;
+const MAX_DAYS = 30;
+
+// 날짜는 한국 시간 기준으로 묶음
+const KST_OFFSET_SECONDS = 9 * 60 * 60;
+
+const USAGE_TEXT = '아이템 이름을 입력해주세요.\n예: `!시세기록 염료: 순백색` 또는 `!시세기록 염료: 순백색 14일 HQ` (기간 최대 30일)';
+
+/**
+ * 판매 기록 timestamp(초)를 KST 날짜 키(YYYY-MM-DD)로 변환
+ */
+function toDayKey(timestampSeconds) {
+    return new Date((timestampSeconds + KST_OFFSET_SECONDS) * 1000).toISOString().slice(0, 10);
+}
+
+/**
+ * 오늘(KST)을 포함한 최근 days일의 날짜 키 목록 (오래된 순)
+ */
+function buildDayKeys(days, now = Date.now()) {
+    const todaySeconds = Math.floor(now / 1000);
+    const keys = [];
+    for (let i = days - 1; i >= 0; i--) {
+        keys.push(toDayKey(todaySeconds - i * 24 * 60 * 60));
+    }
+    return keys;
+}
+
+/**
+ * 서버별/DC 전체 일별 통계 계산
+ *
+ * @param {object[]} entries getSaleHistory 결과
+ * @param {number} days 기간
+ * @param {number} [now] 기준 시각 (ms)
+ */
+function computeHistoryStats(entries, days, now = Date.now()) {
+    const dayKeys = buildDayKeys(days, now);
+
+    const summarizeByDay = (list) => dayKeys.map(key => summarizeSales(list.filter(e => toDayKey(e.timestamp) === key)));
+
+    const worlds = KOREAN_SERVERS.map(server => {
+        const worldEntries = entries.filter(e => e.worldID === server.id);
+        return {
+            server: server.name,
+            serverId: server.id,
+            daily: summarizeByDay(worldEntries),
+            total: summarizeSales(worldEntries)
+        };
+    });
+
+    return {
+        dayKeys,
+        worlds,
+        dc: {
+            daily: summarizeByDay(entries),
+            total: summarizeSales(entries)
+        }
+    };
+}
+
+/**
+ * 명령어 인자에서 기간(7일/7d)과 NQ/HQ 옵션을 분리
+ */
+function parseHistoryArgs(argsText) {
+    const tokens = argsText.split(/\s+/).filter(Boolean);
+    let days = DEFAULT_DAYS;
+    let quality = null;
+
+    while (tokens.length > 1) {
+        const token = tokens[tokens.length - 1];
+        const dayMatch = token.match(/^(\d+)(일|d)$/i);
+
+        if (dayMatch) {
+            days = Math.min(MAX_DAYS, Math.max(1, parseInt(dayMatch[1], 10)));
+        } else if (/^(NQ|HQ)$/i.test(token)) {
+            quality = token.toUpperCase();
+        } else {
+            break;
+        }
+        tokens.pop();
+    }
+
+    return { itemName: tokens.join(' '), days, quality };
+}
+
+function formatSummary(summary) {
+    if (!summary) {
+        return '거래 없음';
+    }
+    return [
+        `평균 ${summary.average.toLocaleString()} 길`,
+        `중앙값 ${summary.median.toLocaleString()} 길`,
+        `최저 ${summary.min.toLocaleString()} 길`,
+        `거래량 ${summary.volume.toLocaleString()}개 (${summary.sales}건)`
+    ].join('\n');
+}
+
+/**
+ * 가장 최근 거래일 평균가가 기간 중앙값 대비 얼마나 벗어났는지
+ */
+function describeTrend(stats) {
+    const latest = [...stats.dc.daily].reverse().find(day => day !== null);
+    const total = stats.dc.total;
+    if (!latest || !total || total.median === 0) {
+        return null;
+    }
+
+    const diff = Math.round(((latest.average - total.median) / total.median) * 100);
+    if (Math.abs(diff) < 10) {
+        return `최근 거래 평균가는 기간 중앙값과 비슷한 수준입니다. (${diff >= 0 ? '+' : ''}${diff}%)`;
+    }
+    return diff > 0
+        ? `⚠️ 최근 거래 평균가가 기간 중앙값보다 **${diff}%** 높습니다.`
+        : `📉 최근 거래 평균가가 기간 중앙값보다 **${-diff}%** 낮습니다.`;
+}
+
+/**
+ * 시세 기록 Embed + 차트 첨부파일 생성
+ */
+function createHistoryEmbed(itemName, stats, { days, quality, iconUrl = null }) {
+    const embed = new EmbedBuilder()
+        .setColor(0xADD8E6)
+        .setTitle(`📈 ${itemName} 시세 기록`)
+        .setTimestamp();
+
+    if (iconUrl) {
+        embed.setThumbnail(iconUrl);
+    }
+
+    const filterText = quality ? ` · ${quality}만` : '';
+
+    if (!stats.dc.total) {
+        embed.setColor(0xFF0000);
+        embed.setDescription(`최근 ${days}일간 한국 서버 거래 기록이 없습니다.${filterText}`);
+        return { embed, files: [] };
+    }
+
+    const descriptionLines = [`최근 ${days}일 · 서버 통합 ${stats.dc.total.sales}건 거래${filterText}`];
+    const trend = describeTrend(stats);
+    if (trend) {
+        descriptionLines.push(trend);
+    }
+    embed.setDescription(descriptionLines.join('\n'));
+
+    embed.addFields({ name: '서버 통합', value: formatSummary(stats.dc.total) });
+    embed.addFields(stats.worlds.map(w => ({ name: w.server, value: formatSummary(w.total), inline: true })));
+
+    // 날짜 라벨은 MM-DD만 표시
+    const chart = renderLineChart({
+        title: `${itemName} 일별 평균가${quality ? ` (${quality})` : ''}`,
+        labels: stats.dayKeys.map(key => key.slice(5)),
+        series: stats.worlds
+            .filter(w => w.total)
+            .map(w => ({ name: w.server, values: w.daily.map(day => (day ? day.average : null)) }))
+    });
+    const attachment = new AttachmentBuilder(chart, { name: 'history.png' });
+    embed.setImage('attachment://history.png');
+
+    return { embed, files: [attachment] };
+}
+
+/**
+ * !시세기록 명령어 처리
+ * @param {import('discord.js').Message} message
+ * @param {string} argsText "!시세기록" 뒤의 문자열
+ */
+async function handleHistoryCommand(message, argsText) {
+    const { itemName, days, quality } = parseHistoryArgs(argsText);
+
+    if (!itemName) {
+        return message.reply(USAGE_TEXT);
+    }
+
+    const searchMsg = await message.reply(`🔍 **${itemName}** 검색 중...`);
+
+    try {
+        const { item, iconUrl } = await findItemByName(itemName);
+        if (!item) {
+            return searchMsg.edit(`**${itemName}**을(를) 찾을 수 없습니다.`);
+        }
+
+        await searchMsg.edit(`📈 **${item.name}** 최근 ${days}일 시세 기록 조회 중...`);
+
+        let entries = await getSaleHistory(item.id, days);
+        if (quality) {
+            entries = entries.filter(e => e.hq === (quality === 'HQ'));
+        }
+
+        const stats = computeHistoryStats(entries, days);
+        const { embed, files } = createHistoryEmbed(item.name, stats, { days, quality, iconUrl });
+
+        await searchMsg.edit({ content: null, embeds: [embed], files });
+    } catch (error) {
+        console.error('시세 기록 조회 오류:', error);
+        await searchMsg.edit(`오류가 발생했습니다: ${error.message}`);
+    }
+}
+
+module.exports = {
+    handleHistoryCommand,
+};
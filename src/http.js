@@ -0,0 +1,183 @@
+/**
+ * 외부 API 호출용 HTTP 클라이언트
+ *
+ * Universalis/XIVAPI 요청은 모두 httpGet을 거칩니다.
+ * - 호스트별 토큰 버킷으로 초당 요청 수 제한
+ * - 429/5xx/타임아웃은 지수 백오프 + 지터로 재시도 (Retry-After 헤더 우선)
+ * - 연속 실패가 쌓이면 서킷 브레이커가 열려서 일정 시간 동안 바로 실패 처리
+ */
+
+const axios = require('axios');
+
+// 호스트별 초당 요청 수 (Universalis 공식 제한은 25 req/s)
+const HOST_LIMITS = {
+    'universalis.app': { ratePerSecond: 15, burst: 15, displayName: 'Universalis' },
+    'xivapi.com': { ratePerSecond: 10, burst: 10, displayName: 'XIVAPI' },
+};
+const DEFAULT_LIMIT = { ratePerSecond: 5, burst: 5 };
+
+const MAX_RETRIES = 3;
+const BASE_BACKOFF_MS = 500;
+const MAX_BACKOFF_MS = 10000;
+
+// 연속 실패 5번이면 60초 동안 요청하지 않음
+const BREAKER_FAILURE_THRESHOLD = 5;
+const BREAKER_OPEN_MS = 60 * 1000;
+
+/**
+ * 서킷 브레이커가 열려 있어서 요청하지 않은 경우의 에러
+ */
+class UpstreamUnavailableError extends Error {
+    constructor(host, retryAt) {
+        const name = HOST_LIMITS[host]?.displayName || host;
+        super(`${name} 점검 중이거나 응답하지 않습니다. 잠시 후 다시 시도해주세요.`);
+        this.name = 'UpstreamUnavailableError';
+        this.host = host;
+        this.retryAt = retryAt;
+    }
+}
+
+// host -> { tokens, lastRefill, queue, failures, openUntil }
+const hosts = new Map();
+
+function getHostState(host) {
+    if (!hosts.has(host)) {
+        const limit = HOST_LIMITS[host] || DEFAULT_LIMIT;
+        hosts.set(host, {
+            limit,
+            tokens: limit.burst,
+            lastRefill: Date.now(),
+            queue: Promise.resolve(),
+            failures: 0,
+            openUntil: 0
+        });
+    }
+    return hosts.get(host);
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * 토큰 하나를 얻을 때까지 대기
+ * 요청 순서대로 처리되도록 호스트별 큐에 이어 붙임
+ */
+function acquireToken(state) {
+    const next = state.queue.then(async () => {
+        for (;;) {
+            const now = Date.now();
+            const elapsed = (now - state.lastRefill) / 1000;
+            state.tokens = Math.min(state.limit.burst, state.tokens + elapsed * state.limit.ratePerSecond);
+            state.lastRefill = now;
+
+            if (state.tokens >= 1) {
+                state.tokens -= 1;
+                return;
+            }
+            await sleep(((1 - state.tokens) / state.limit.ratePerSecond) * 1000);
+        }
+    });
+    state.queue = next;
+    return next;
+}
+
+/**
+ * 재시도할 만한 에러인지 (네트워크 오류, 타임아웃, 429, 5xx)
+ */
+function isRetryable(error) {
+    const status = error.response?.status;
+    if (!status) {
+        return true;
+    }
+    return status === 429 || status >= 500;
+}
+
+/**
+ * 재시도 대기 시간
+ * Retry-After 헤더(초 또는 HTTP 날짜)가 있으면 우선, 없으면 지수 백오프 + 지터
+ */
+function getRetryDelay(error, attempt) {
+    const retryAfter = error.response?.headers?.['retry-after'];
+    if (retryAfter) {
+        const seconds = Number(retryAfter);
+        const delay = Number.isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+        if (delay >= 0) {
+            return Math.min(delay, MAX_BACKOFF_MS);
+        }
+    }
+
+    const backoff = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** attempt);
+    return backoff / 2 + Math.random() * (backoff / 2);
+}
+
+/**
+ * 요청 성공/실패를 서킷 브레이커에 기록
+ * 404처럼 서버가 정상 응답한 에러는 성공으로 취급
+ */
+function recordResult(state, host, error) {
+    if (!error || !isRetryable(error)) {
+        state.failures = 0;
+        return;
+    }
+
+    state.failures++;
+    if (state.failures >= BREAKER_FAILURE_THRESHOLD) {
+        state.openUntil = Date.now() + BREAKER_OPEN_MS;
+        state.failures = 0;
+        console.warn(`⚠️ ${host} 연속 실패로 ${BREAKER_OPEN_MS / 1000}초 동안 요청을 중단합니다.`);
+    }
+}
+
+/**
+ * GET 요청 (axios 응답 그대로 반환)
+ *
+ * @param {string} url
+ * @param {object} [options] axios 옵션 (timeout 등)
+ * @throws {UpstreamUnavailableError} 서킷 브레이커가 열려 있을 때
+ */
+async function httpGet(url, options = {}) {
+    const host = new URL(url).hostname;
+    const state = getHostState(host);
+
+    if (Date.now() < state.openUntil) {
+        throw new UpstreamUnavailableError(host, state.openUntil);
+    }
+
+    for (let attempt = 0; ; attempt++) {
+        await acquireToken(state);
+
+        try {
+            const response = await axios.get(url, options);
+            recordResult(state, host, null);
+            return response;
+        } catch (error) {
+            if (!isRetryable(error)) {
+                recordResult(state, host, error);
+                throw error;
+            }
+            if (attempt >= MAX_RETRIES) {
+                recordResult(state, host, error);
+                throw error;
+            }
+
+            const delay = getRetryDelay(error, attempt);
+            console.warn(`${host} 요청 실패 (${error.response?.status || error.code || error.message}), ${Math.round(delay)}ms 후 재시도 (${attempt + 1}/${MAX_RETRIES})`);
+            await sleep(delay);
+        }
+    }
+}
+
+/**
+ * 업스트림이 요청을 받을 수 없는 상태인지 (서킷 브레이커 열림 또는 재시도 후에도 429)
+ * 이런 경우 추가 요청(fallback)을 보내면 상황이 더 나빠짐
+ */
+function isUpstreamUnavailable(error) {
+    return error instanceof UpstreamUnavailableError || error.response?.status === 429;
+}
+
+module.exports = {
+    httpGet,
+    isUpstreamUnavailable,
+    UpstreamUnavailableError,
+};
@@ -0,0 +1,770 @@
+/**
+ * 아이템 DB 생성
+ *
+ * 언어별 Item.csv(한국어 ffxiv-datamining-ko, 영어/일본어 ffxiv-datamining), 분류 이름,
+ * 한국어 Recipe.csv, Materia.csv, 채집 CSV(GatheringItem 등)를 읽어서 봇에서 사용하는 JSON 파일을 만듭니다.
+ *   data/items.json            다국어 아이템 DB (src/items.js)
+ *   data/item-categories.json  분류 이름
+ *   data/item-groups.json      한 번에 시세를 보는 아이템 묶음 (마테리아 등급별, 염료, 채집 직업별)
+ *   data/recipes_ko.json       레시피 (src/recipes.js)
+ *
+ * 모든 소스는 URL 또는 로컬 파일 경로를 받을 수 있고, 결과는 스키마 검사를 통과해야만
+ * 임시 파일에 쓴 뒤 rename 해서 저장합니다. 저장 전에 이전 DB와 비교한 변경 요약을 만듭니다.
+ *
+ * scripts/update-item-db.js 에서 사용합니다.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const { parseCSVRows } = require('./csv');
+const { dataPath, loadJSON, saveJSON } = require('./json-store');
+
+const KO_REPO = 'https://raw.githubusercontent.com/Ra-Workspace/ffxiv-datamining-ko/master/csv';
+
+// 소스별 기본 위치 (환경 변수 또는 명령줄 옵션 --<key>=<경로|URL> 로 변경)
+// required가 아니면 읽지 못해도 그 데이터 없이 계속 진행
+const SOURCES = {
+    ko: { location: `${KO_REPO}/Item.csv`, env: 'ITEM_CSV_URL_KO', required: true },
+    en: { location: 'https://raw.githubusercontent.com/xivapi/ffxiv-datamining/master/csv/Item.csv', env: 'ITEM_CSV_URL_EN', required: false },
+    ja: { location: 'https://raw.githubusercontent.com/xivapi/ffxiv-datamining/master/csv/ja/Item.csv', env: 'ITEM_CSV_URL_JA', required: false },
+    'ui-category': { location: `${KO_REPO}/ItemUICategory.csv`, env: 'ITEM_UI_CATEGORY_CSV_URL', required: false },
+    'search-category': { location: `${KO_REPO}/ItemSearchCategory.csv`, env: 'ITEM_SEARCH_CATEGORY_CSV_URL', required: false },
+    recipe: { location: `${KO_REPO}/Recipe.csv`, env: 'RECIPE_CSV_URL', required: true },
+    materia: { location: `${KO_REPO}/Materia.csv`, env: 'MATERIA_CSV_URL', required: false },
+    'gathering-item': { location: `${KO_REPO}/GatheringItem.csv`, env: 'GATHERING_ITEM_CSV_URL', required: false },
+    'gathering-point': { location: `${KO_REPO}/GatheringPointBase.csv`, env: 'GATHERING_POINT_BASE_CSV_URL', required: false },
+    'gathering-level': { location: `${KO_REPO}/GatheringItemLevelConvertTable.csv`, env: 'GATHERING_LEVEL_CSV_URL', required: false },
+};
+
+// 언어별 아이템 이름 소스 (표시 이름 우선순위 순)
+const ITEM_LANGUAGES = ['ko', 'en', 'ja'];
+
+const OUTPUT_PATHS = {
+    items: dataPath('items.json'),
+    categories: dataPath('item-categories.json'),
+    groups: dataPath('item-groups.json'),
+    recipes: dataPath('recipes_ko.json'),
+};
+
+// 이전 형식 (한국어 이름만), 변경 요약 비교용
+const LEGACY_ITEMS_PATH = dataPath('items_ko.json');
+
+// 아이템 메타데이터 컬럼 (이전 스키마 이름 / 새 스키마 이름)
+//   searchCategory  장터 분류 (0이면 장터에 등록할 수 없음)
+//   vendorPrice     NPC 상점 판매가, vendorSellPrice NPC에게 팔 때 받는 가격
+const ITEM_METADATA_COLUMNS = {
+    uiCategory: { columns: ['ItemUICategory'], type: 'int' },
+    searchCategory: { columns: ['ItemSearchCategory'], type: 'int' },
+    itemLevel: { columns: ['Level{Item}', 'LevelItem'], type: 'int' },
+    stackSize: { columns: ['StackSize'], type: 'int' },
+    untradable: { columns: ['IsUntradable'], type: 'bool' },
+    vendorPrice: { columns: ['Price{Mid}', 'PriceMid'], type: 'int' },
+    vendorSellPrice: { columns: ['Price{Low}', 'PriceLow'], type: 'int' },
+};
+
+// 염료 장터 분류 (ItemSearchCategory "염료")
+const DYE_SEARCH_CATEGORY = 54;
+
+// GatheringPointBase.GatheringType -> 채집 직업 (0 채광, 1 채석, 2 벌목, 3 풀베기, 작살 낚시 등은 제외)
+const GATHERING_TYPE_JOBS = { 0: 'miner', 1: 'miner', 2: 'botanist', 3: 'botanist' };
+
+const ICON_PATTERN = /^\/i\/\d{6}\/\d{6}\.png$/;
+
+// 다운로드 중 이 시간 동안 데이터가 오지 않으면 실패 처리
+// (봇 안에서 예약 업데이트가 멈춘 다운로드를 끝없이 기다리지 않도록)
+const DOWNLOAD_TIMEOUT_MS = 60 * 1000;
+
+const REDIRECT_STATUS_CODES = [301, 302, 303, 307, 308];
+const MAX_REDIRECTS = 5;
+
+/**
+ * URL 내용을 문자열로 다운로드
+ *
+ * @param {string} url
+ * @param {{ timeoutMs?: number, redirects?: number }} [options] timeoutMs: 응답이 멈춘 채로 기다릴 최대 시간
+ */
+function downloadFile(url, { timeoutMs = DOWNLOAD_TIMEOUT_MS, redirects = 0 } = {}) {
+    return new Promise((resolve, reject) => {
+        const client = url.startsWith('http:') ? http : https;
+        const req = client.get(url, (res) => {
+            if (REDIRECT_STATUS_CODES.includes(res.statusCode) && res.headers.location) {
+                // 리다이렉트 처리 (상대 경로도 가능)
+                res.resume();
+                if (redirects >= MAX_REDIRECTS) {
+                    reject(new Error(`리다이렉트가 너무 많습니다: ${url}`));
+                    return;
+                }
+                const next = new URL(res.headers.location, url).toString();
+                downloadFile(next, { timeoutMs, redirects: redirects + 1 }).then(resolve, reject);
+                return;
+            }
+
+            if (res.statusCode !== 200) {
+                res.resume();
+                reject(new Error(`HTTP ${res.statusCode}`));
+                return;
+            }
+
+            let data = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => data += chunk);
+            res.on('end', () => resolve(data));
+            res.on('error', reject);
+        });
+        req.setTimeout(timeoutMs, () => {
+            req.destroy(new Error(`다운로드 시간 초과 (${timeoutMs / 1000}초 동안 응답 없음): ${url}`));
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * URL이면 다운로드, 아니면 로컬 파일 읽기
+ */
+async function readSource(location) {
+    if (/^https?:\/\//.test(location)) {
+        return downloadFile(location);
+    }
+    return fs.promises.readFile(location, 'utf-8');
+}
+
+/**
+ * 게임 데이터 CSV를 컬럼 이름 + 데이터 행으로 파싱
+ *
+ * CSV 구조:
+ *   Row 1: key, 0, 1, 2, ... (컬럼 번호)
+ *   Row 2: #, Singular, Adjective, ... Name, Icon (컬럼 이름)
+ *   Row 3: int32, str, sbyte, ... (타입)
+ *   Row 4+: 데이터
+ *
+ * @returns {{ columns: string[], rows: string[][] }}
+ */
+function parseSheet(csvText, sheetName) {
+    const rows = parseCSVRows(csvText);
+    if (rows.length < 3) {
+        throw new Error(`${sheetName} CSV 형식이 올바르지 않습니다. (헤더 3줄이 필요합니다)`);
+    }
+    return { columns: rows[1].map(col => col.trim()), rows: rows.slice(3) };
+}
+
+/**
+ * 컬럼 이름으로 인덱스 찾기 (여러 후보 이름 중 먼저 있는 것)
+ *
+ * @param {boolean} [required] true면 못 찾을 때 에러
+ */
+function findColumn(columns, candidates, sheetName, required = true) {
+    const index = columns.findIndex(col => candidates.includes(col));
+    if (index === -1 && required) {
+        throw new Error(`${sheetName} CSV에서 ${candidates.join(' / ')} 컬럼을 찾을 수 없습니다.`);
+    }
+    return index;
+}
+
+/**
+ * 아이콘 번호 → xivapi 아이콘 경로 (예: 22001 → /i/022000/022001.png)
+ */
+function iconPath(iconId) {
+    const iconNum = parseInt(iconId, 10);
+    if (!(iconNum > 0)) {
+        return null;
+    }
+    const paddedId = iconNum.toString().padStart(6, '0');
+    const folder = paddedId.substring(0, 3) + '000';
+    return `/i/${folder}/${paddedId}.png`;
+}
+
+/**
+ * Item.csv 파싱
+ * 이름이 없는 행(빈 아이템)은 제외
+ *
+ * @returns {{ id: number, name: string, icon?: string, uiCategory?: number, ... }[]}
+ */
+function parseItemCSV(csvText) {
+    const { columns, rows } = parseSheet(csvText, 'Item');
+    const nameIndex = findColumn(columns, ['Name'], 'Item');
+    const iconIndex = findColumn(columns, ['Icon'], 'Item', false);
+
+    // 메타데이터 컬럼 (없는 컬럼은 건너뜀)
+    const metadataIndexes = [];
+    for (const [key, { columns: candidates, type }] of Object.entries(ITEM_METADATA_COLUMNS)) {
+        const index = findColumn(columns, candidates, 'Item', false);
+        if (index !== -1) {
+            metadataIndexes.push({ key, index, type });
+        }
+    }
+
+    const items = [];
+    for (const cols of rows) {
+        const id = parseInt(cols[0], 10);
+        const name = (cols[nameIndex] || '').trim();
+        if (!(id > 0) || !name) continue;
+
+        const item = { id, name };
+
+        const icon = iconIndex !== -1 ? iconPath(cols[iconIndex]) : null;
+        if (icon) {
+            item.icon = icon;
+        }
+
+        for (const { key, index, type } of metadataIndexes) {
+            const value = (cols[index] || '').trim();
+            item[key] = type === 'bool' ? value.toLowerCase() === 'true' : (parseInt(value, 10) || 0);
+        }
+
+        items.push(item);
+    }
+
+    return items;
+}
+
+/**
+ * ItemUICategory.csv / ItemSearchCategory.csv 처럼 ID와 Name 컬럼만 필요한 CSV 파싱
+ *
+ * @returns {{ [id: number]: string }}
+ */
+function parseNameTableCSV(csvText, sheetName = 'Category') {
+    const { columns, rows } = parseSheet(csvText, sheetName);
+    const nameIndex = findColumn(columns, ['Name'], sheetName);
+
+    const names = {};
+    for (const cols of rows) {
+        const id = parseInt(cols[0], 10);
+        const name = (cols[nameIndex] || '').trim();
+        if (id > 0 && name) {
+            names[id] = name;
+        }
+    }
+    return names;
+}
+
+/**
+ * Recipe.csv 파싱
+ *
+ * 컬럼 이름 (Row 2):
+ *   Item{Result}, Amount{Result}, Item{Ingredient}[0..9], Amount{Ingredient}[0..9]
+ *   (새 스키마에서는 ItemResult, AmountResult, Ingredient[0..], AmountIngredient[0..])
+ *
+ * 출력 형식:
+ *   { id, craftType, resultItemId, resultAmount, ingredients: [{ itemId, amount }] }
+ */
+function parseRecipeCSV(csvText) {
+    const { columns, rows } = parseSheet(csvText, 'Recipe');
+
+    const craftTypeIndex = findColumn(columns, ['CraftType'], 'Recipe', false);
+    const resultItemIndex = findColumn(columns, ['Item{Result}', 'ItemResult'], 'Recipe');
+    const resultAmountIndex = findColumn(columns, ['Amount{Result}', 'AmountResult'], 'Recipe');
+
+    // 재료 슬롯 번호 -> { itemIndex, amountIndex }
+    const ingredientSlots = new Map();
+    for (let i = 0; i < columns.length; i++) {
+        const itemMatch = columns[i].match(/^(?:Item\{Ingredient\}|Ingredient)\[(\d+)\]$/);
+        const amountMatch = columns[i].match(/^(?:Amount\{Ingredient\}|AmountIngredient)\[(\d+)\]$/);
+
+        if (itemMatch) {
+            const slot = ingredientSlots.get(itemMatch[1]) || {};
+            slot.itemIndex = i;
+            ingredientSlots.set(itemMatch[1], slot);
+        }
+        if (amountMatch) {
+            const slot = ingredientSlots.get(amountMatch[1]) || {};
+            slot.amountIndex = i;
+            ingredientSlots.set(amountMatch[1], slot);
+        }
+    }
+
+    if (ingredientSlots.size === 0) {
+        throw new Error('Recipe CSV에서 재료 컬럼을 찾을 수 없습니다.');
+    }
+
+    const recipes = [];
+    for (const cols of rows) {
+        const id = parseInt(cols[0], 10);
+        const resultItemId = parseInt(cols[resultItemIndex], 10);
+        const resultAmount = parseInt(cols[resultAmountIndex], 10) || 1;
+
+        // 결과 아이템이 없는 빈 레시피는 제외
+        if (!(id > 0) || !(resultItemId > 0)) continue;
+
+        const ingredients = [];
+        for (const slot of ingredientSlots.values()) {
+            if (slot.itemIndex === undefined || slot.amountIndex === undefined) continue;
+
+            const itemId = parseInt(cols[slot.itemIndex], 10);
+            const amount = parseInt(cols[slot.amountIndex], 10);
+            if (itemId > 0 && amount > 0) {
+                ingredients.push({ itemId, amount });
+            }
+        }
+
+        if (ingredients.length === 0) continue;
+
+        recipes.push({
+            id,
+            craftType: craftTypeIndex !== -1 ? parseInt(cols[craftTypeIndex], 10) : null,
+            resultItemId,
+            resultAmount,
+            ingredients
+        });
+    }
+
+    return recipes;
+}
+
+/**
+ * Materia.csv 파싱
+ *
+ * 행 하나가 마테리아 종류 하나(능력치)이고 Item[0..] 컬럼이 등급 순서(I, II, ...)의 아이템 ID
+ *
+ * @returns {{ [grade: number]: number[] }} 등급 -> 아이템 ID 목록 (행 순서)
+ */
+function parseMateriaCSV(csvText) {
+    const { columns, rows } = parseSheet(csvText, 'Materia');
+
+    const gradeColumns = [];
+    columns.forEach((col, index) => {
+        const match = col.match(/^Item\[(\d+)\]$/);
+        if (match) {
+            gradeColumns.push({ grade: parseInt(match[1], 10) + 1, index });
+        }
+    });
+    if (gradeColumns.length === 0) {
+        throw new Error('Materia CSV에서 Item[0] 컬럼을 찾을 수 없습니다.');
+    }
+
+    const grades = {};
+    for (const cols of rows) {
+        for (const { grade, index } of gradeColumns) {
+            const itemId = parseInt(cols[index], 10);
+            if (itemId > 0) {
+                (grades[grade] = grades[grade] || []).push(itemId);
+            }
+        }
+    }
+    return grades;
+}
+
+/**
+ * GatheringItem.csv 파싱
+ *
+ * @returns {Map<number, { itemId: number, levelKey: number, hidden: boolean }>} GatheringItem 행 ID -> 아이템
+ */
+function parseGatheringItemCSV(csvText) {
+    const { columns, rows } = parseSheet(csvText, 'GatheringItem');
+    const itemIndex = findColumn(columns, ['Item'], 'GatheringItem');
+    const levelIndex = findColumn(columns, ['GatheringItemLevel'], 'GatheringItem');
+    const hiddenIndex = findColumn(columns, ['IsHidden'], 'GatheringItem', false);
+
+    const gatheringItems = new Map();
+    for (const cols of rows) {
+        const id = parseInt(cols[0], 10);
+        const itemId = parseInt(cols[itemIndex], 10);
+        if (!(id > 0) || !(itemId > 0)) continue;
+
+        gatheringItems.set(id, {
+            itemId,
+            levelKey: parseInt(cols[levelIndex], 10) || 0,
+            hidden: hiddenIndex !== -1 && (cols[hiddenIndex] || '').trim().toLowerCase() === 'true'
+        });
+    }
+    return gatheringItems;
+}
+
+/**
+ * GatheringPointBase.csv 파싱 (채집 종류 + 그 채집 지점에서 나오는 GatheringItem 목록)
+ *
+ * @returns {{ gatheringType: number, gatheringItemIds: number[] }[]}
+ */
+function parseGatheringPointCSV(csvText) {
+    const { columns, rows } = parseSheet(csvText, 'GatheringPointBase');
+    const typeIndex = findColumn(columns, ['GatheringType'], 'GatheringPointBase');
+    const itemIndexes = columns
+        .map((col, index) => (/^Item\[\d+\]$/.test(col) ? index : -1))
+        .filter(index => index !== -1);
+    if (itemIndexes.length === 0) {
+        throw new Error('GatheringPointBase CSV에서 Item[0] 컬럼을 찾을 수 없습니다.');
+    }
+
+    const points = [];
+    for (const cols of rows) {
+        const gatheringItemIds = itemIndexes
+            .map(index => parseInt(cols[index], 10))
+            .filter(id => id > 0);
+        if (gatheringItemIds.length > 0) {
+            points.push({ gatheringType: parseInt(cols[typeIndex], 10), gatheringItemIds });
+        }
+    }
+    return points;
+}
+
+/**
+ * GatheringItemLevelConvertTable.csv 파싱
+ *
+ * @returns {{ [levelKey: number]: { level: number, stars: number } }}
+ */
+function parseGatheringLevelCSV(csvText) {
+    const { columns, rows } = parseSheet(csvText, 'GatheringItemLevelConvertTable');
+    const levelIndex = findColumn(columns, ['GatheringItemLevel'], 'GatheringItemLevelConvertTable');
+    const starsIndex = findColumn(columns, ['Stars'], 'GatheringItemLevelConvertTable', false);
+
+    const levels = {};
+    for (const cols of rows) {
+        const id = parseInt(cols[0], 10);
+        const level = parseInt(cols[levelIndex], 10);
+        if (id > 0 && level > 0) {
+            levels[id] = { level, stars: starsIndex !== -1 ? (parseInt(cols[starsIndex], 10) || 0) : 0 };
+        }
+    }
+    return levels;
+}
+
+/**
+ * 채집 직업별 채집 아이템 목록
+ * 여러 채집 지점에서 나오는 아이템은 가장 낮은 레벨 하나만 남김
+ * 레벨 변환표가 없으면 GatheringItemLevel 값을 그대로 레벨로 사용
+ *
+ * @param {Map} gatheringItems parseGatheringItemCSV 결과
+ * @param {object[]} points parseGatheringPointCSV 결과
+ * @param {object} [levels] parseGatheringLevelCSV 결과
+ * @returns {{ [job: string]: { itemId: number, level: number, stars: number }[] }} 직업별, 레벨 순
+ */
+function buildGatheringGroups(gatheringItems, points, levels = {}) {
+    const byJob = {};
+    for (const { gatheringType, gatheringItemIds } of points) {
+        const job = GATHERING_TYPE_JOBS[gatheringType];
+        if (!job) continue;
+        if (!byJob[job]) {
+            byJob[job] = new Map();
+        }
+
+        for (const gatheringItemId of gatheringItemIds) {
+            const gatheringItem = gatheringItems.get(gatheringItemId);
+            if (!gatheringItem || gatheringItem.hidden) continue;
+
+            const { level, stars } = levels[gatheringItem.levelKey] || { level: gatheringItem.levelKey, stars: 0 };
+            const previous = byJob[job].get(gatheringItem.itemId);
+            if (!previous || level < previous.level) {
+                byJob[job].set(gatheringItem.itemId, { itemId: gatheringItem.itemId, level, stars });
+            }
+        }
+    }
+
+    const groups = {};
+    for (const [job, entries] of Object.entries(byJob)) {
+        groups[job] = [...entries.values()].sort((a, b) => a.level - b.level || a.itemId - b.itemId);
+    }
+    return groups;
+}
+
+/**
+ * 한 번에 시세를 보는 아이템 묶음 만들기
+ * 아이템 DB에 없거나 장터에서 거래할 수 없는 아이템은 제외
+ *
+ * @param {object[]} items mergeItemNames 결과
+ * @param {{ materia?: object, gathering?: object }} [sources] 파싱한 선택 소스 (없으면 그 묶음은 비어 있음)
+ * @returns {{ materia: { [grade: number]: number[] }, dyes: number[], gathering: { [job: string]: object[] } }}
+ */
+function buildItemGroups(items, { materia = {}, gathering = {} } = {}) {
+    const marketable = new Set(items
+        .filter(item => item.searchCategory > 0 && !item.untradable)
+        .map(item => item.id));
+
+    const materiaGroups = {};
+    for (const [grade, itemIds] of Object.entries(materia)) {
+        const known = [...new Set(itemIds)].filter(itemId => marketable.has(itemId));
+        if (known.length > 0) {
+            materiaGroups[grade] = known;
+        }
+    }
+
+    const gatheringGroups = {};
+    for (const [job, entries] of Object.entries(gathering)) {
+        gatheringGroups[job] = entries.filter(entry => marketable.has(entry.itemId));
+    }
+
+    return {
+        materia: materiaGroups,
+        dyes: items.filter(item => item.searchCategory === DYE_SEARCH_CATEGORY && marketable.has(item.id)).map(item => item.id),
+        gathering: gatheringGroups
+    };
+}
+
+/**
+ * 언어별 아이템 목록을 아이템 ID 기준으로 합치기
+ * 아이콘/메타데이터는 먼저 나온 언어(한국어) 것을 사용
+ *
+ * @param {{ [language: string]: { id: number, name: string, icon?: string }[] }} itemsByLanguage
+ * @returns {{ id: number, name: string, names: object, icon?: string }[]} ID 순
+ */
+function mergeItemNames(itemsByLanguage) {
+    const merged = new Map();
+
+    for (const [language, items] of Object.entries(itemsByLanguage)) {
+        for (const { name, ...rest } of items) {
+            if (!merged.has(rest.id)) {
+                merged.set(rest.id, { ...rest, names: {} });
+            }
+            const entry = merged.get(rest.id);
+            entry.names[language] = name;
+            for (const [key, value] of Object.entries(rest)) {
+                if (entry[key] === undefined) {
+                    entry[key] = value;
+                }
+            }
+        }
+    }
+
+    return [...merged.values()]
+        .sort((a, b) => a.id - b.id)
+        .map(({ id, names, ...rest }) => {
+            const language = ITEM_LANGUAGES.find(lang => names[lang]);
+            return { id, name: names[language], names, ...rest };
+        });
+}
+
+function isPositiveInteger(value) {
+    return Number.isInteger(value) && value > 0;
+}
+
+/**
+ * 아이템 DB 스키마 검사
+ *
+ * @returns {string[]} 문제 목록 (비어 있으면 통과)
+ */
+function validateItems(items) {
+    const errors = [];
+    if (!Array.isArray(items) || items.length === 0) {
+        return ['아이템이 하나도 없습니다.'];
+    }
+
+    const seen = new Set();
+    for (const item of items) {
+        const label = `아이템 ${item?.id}`;
+        if (!isPositiveInteger(item?.id)) {
+            errors.push(`${label}: id가 양의 정수가 아닙니다.`);
+            continue;
+        }
+        if (seen.has(item.id)) {
+            errors.push(`${label}: id가 중복됩니다.`);
+        }
+        seen.add(item.id);
+
+        if (typeof item.name !== 'string' || !item.name.trim()) {
+            errors.push(`${label}: name이 비어 있습니다.`);
+        }
+        const names = Object.entries(item.names || {});
+        if (names.length === 0 || names.some(([language, name]) => !ITEM_LANGUAGES.includes(language) || typeof name !== 'string' || !name)) {
+            errors.push(`${label}: names가 올바르지 않습니다.`);
+        }
+        if (item.icon !== undefined && !ICON_PATTERN.test(item.icon)) {
+            errors.push(`${label}: icon 경로가 올바르지 않습니다 (${item.icon}).`);
+        }
+        for (const [key, { type }] of Object.entries(ITEM_METADATA_COLUMNS)) {
+            const value = item[key];
+            if (value === undefined) continue;
+            const valid = type === 'bool' ? typeof value === 'boolean' : Number.isInteger(value) && value >= 0;
+            if (!valid) {
+                errors.push(`${label}: ${key} 값이 올바르지 않습니다 (${value}).`);
+            }
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * 레시피 DB 스키마 검사
+ *
+ * @returns {string[]} 문제 목록 (비어 있으면 통과)
+ */
+function validateRecipes(recipes) {
+    const errors = [];
+    if (!Array.isArray(recipes) || recipes.length === 0) {
+        return ['레시피가 하나도 없습니다.'];
+    }
+
+    for (const recipe of recipes) {
+        const label = `레시피 ${recipe?.id}`;
+        if (!isPositiveInteger(recipe?.id) || !isPositiveInteger(recipe.resultItemId) || !isPositiveInteger(recipe.resultAmount)) {
+            errors.push(`${label}: id/resultItemId/resultAmount가 양의 정수가 아닙니다.`);
+            continue;
+        }
+        if (!Array.isArray(recipe.ingredients) || recipe.ingredients.length === 0
+            || recipe.ingredients.some(ing => !isPositiveInteger(ing.itemId) || !isPositiveInteger(ing.amount))) {
+            errors.push(`${label}: 재료 목록이 올바르지 않습니다.`);
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * 이전 DB와 비교
+ * 이전 DB가 한국어 이름만 있는 형식이면 name을 한국어 이름으로 취급
+ *
+ * @returns {{ added: object[], removed: object[], renamed: { id: number, language: string, from: string, to: string }[] }}
+ */
+function diffItems(previousItems, nextItems) {
+    const namesOf = item => item.names || { ko: item.name };
+    const previousById = new Map(previousItems.map(item => [item.id, item]));
+    const nextIds = new Set(nextItems.map(item => item.id));
+
+    const added = [];
+    const renamed = [];
+    for (const item of nextItems) {
+        const previous = previousById.get(item.id);
+        if (!previous) {
+            added.push(item);
+            continue;
+        }
+        const before = namesOf(previous);
+        const after = namesOf(item);
+        for (const language of ITEM_LANGUAGES) {
+            if (before[language] && after[language] && before[language] !== after[language]) {
+                renamed.push({ id: item.id, language, from: before[language], to: after[language] });
+            }
+        }
+    }
+
+    const removed = previousItems.filter(item => !nextIds.has(item.id));
+
+    return { added, removed, renamed };
+}
+
+/**
+ * 변경 요약 텍스트
+ *
+ * @param {number} [limit] 항목별 최대 표시 개수
+ */
+function formatDiffSummary(diff, limit = 20) {
+    const lines = [`추가 ${diff.added.length}개 · 삭제 ${diff.removed.length}개 · 이름 변경 ${diff.renamed.length}개`];
+
+    const section = (title, entries, format) => {
+        if (entries.length === 0) return;
+        lines.push('', `[${title}]`);
+        for (const entry of entries.slice(0, limit)) {
+            lines.push(`  ${format(entry)}`);
+        }
+        if (entries.length > limit) {
+            lines.push(`  ... 외 ${entries.length - limit}개`);
+        }
+    };
+
+    section('추가', diff.added, item => `+ ${item.id}: ${item.name}`);
+    section('삭제', diff.removed, item => `- ${item.id}: ${item.name}`);
+    section('이름 변경', diff.renamed, r => `~ ${r.id} (${r.language}): ${r.from} → ${r.to}`);
+
+    return lines.join('\n');
+}
+
+/**
+ * 현재 저장된 아이템 DB (없으면 빈 목록)
+ */
+function loadPreviousItems() {
+    const previousPath = fs.existsSync(OUTPUT_PATHS.items) ? OUTPUT_PATHS.items : LEGACY_ITEMS_PATH;
+    const previous = loadJSON(previousPath, []);
+    return Array.isArray(previous) ? previous : [];
+}
+
+/**
+ * 소스 위치 결정: 옵션 > 환경 변수 > 기본값
+ */
+function resolveLocations(overrides = {}) {
+    const locations = {};
+    for (const [key, source] of Object.entries(SOURCES)) {
+        locations[key] = overrides[key] || process.env[source.env] || source.location;
+    }
+    return locations;
+}
+
+/**
+ * 아이템 DB 생성
+ *
+ * @param {object} [options]
+ * @param {{ [key: string]: string }} [options.sources] 소스별 경로/URL (SOURCES 키)
+ * @param {boolean} [options.dryRun] true면 저장하지 않고 검사/비교만
+ * @param {(message: string) => void} [options.log]
+ * @returns {Promise<{ items: object[], recipes: object[], categories: object, groups: object, diff: object, written: boolean }>}
+ * @throws {Error} 필수 소스를 읽지 못했거나 스키마 검사에 실패한 경우 (이때 파일은 바뀌지 않음)
+ */
+async function buildItemDB({ sources = {}, dryRun = false, log = console.log } = {}) {
+    const locations = resolveLocations(sources);
+
+    // 소스 읽기 + 파싱 (선택 소스는 실패해도 계속)
+    const parsers = {
+        ko: parseItemCSV,
+        en: parseItemCSV,
+        ja: parseItemCSV,
+        'ui-category': text => parseNameTableCSV(text, 'ItemUICategory'),
+        'search-category': text => parseNameTableCSV(text, 'ItemSearchCategory'),
+        recipe: parseRecipeCSV,
+        materia: parseMateriaCSV,
+        'gathering-item': parseGatheringItemCSV,
+        'gathering-point': parseGatheringPointCSV,
+        'gathering-level': parseGatheringLevelCSV,
+    };
+    const parsed = {};
+    for (const [key, location] of Object.entries(locations)) {
+        log(`[${key}] 읽는 중... (${location})`);
+        try {
+            parsed[key] = parsers[key](await readSource(location));
+        } catch (error) {
+            if (SOURCES[key].required) {
+                throw new Error(`[${key}] ${error.message}`);
+            }
+            log(`⚠️ [${key}] 읽지 못했습니다 (${error.message}). 이 데이터 없이 계속합니다.`);
+        }
+    }
+
+    const itemsByLanguage = {};
+    for (const language of ITEM_LANGUAGES) {
+        if (parsed[language]) {
+            itemsByLanguage[language] = parsed[language];
+        }
+    }
+    const items = mergeItemNames(itemsByLanguage);
+    const recipes = parsed.recipe;
+    const categories = { ui: parsed['ui-category'] || {}, search: parsed['search-category'] || {} };
+    const gathering = parsed['gathering-item'] && parsed['gathering-point']
+        ? buildGatheringGroups(parsed['gathering-item'], parsed['gathering-point'], parsed['gathering-level'])
+        : {};
+    const groups = buildItemGroups(items, { materia: parsed.materia, gathering });
+
+    const errors = [...validateItems(items), ...validateRecipes(recipes)];
+    if (errors.length > 0) {
+        const shown = errors.slice(0, 10).map(e => `  ${e}`).join('\n');
+        throw new Error(`스키마 검사 실패 (${errors.length}건):\n${shown}${errors.length > 10 ? '\n  ...' : ''}`);
+    }
+
+    const diff = diffItems(loadPreviousItems(), items);
+
+    if (!dryRun) {
+        saveJSON(OUTPUT_PATHS.items, items);
+        saveJSON(OUTPUT_PATHS.categories, categories);
+        saveJSON(OUTPUT_PATHS.groups, groups);
+        saveJSON(OUTPUT_PATHS.recipes, recipes);
+    }
+
+    return { items, recipes, categories, groups, diff, written: !dryRun };
+}
+
+module.exports = {
+    SOURCES,
+    OUTPUT_PATHS,
+    downloadFile,
+    parseItemCSV,
+    parseNameTableCSV,
+    parseRecipeCSV,
+    parseMateriaCSV,
+    parseGatheringItemCSV,
+    parseGatheringPointCSV,
+    parseGatheringLevelCSV,
+    buildGatheringGroups,
+    buildItemGroups,
+    mergeItemNames,
+    validateItems,
+    validateRecipes,
+    diffItems,
+    formatDiffSummary,
+    buildItemDB,
+};
@@ -0,0 +1,204 @@
+/**
+ * 아이템/레시피 DB 다시 불러오기 (봇 재시작 없이)
+ *
+ * - data/ 의 DB 파일이 바뀌면 자동으로 다시 불러옵니다. (ITEM_DB_WATCH=0 이면 끔)
+ * - ITEM_DB_UPDATE_INTERVAL_HOURS 를 지정하면 그 주기마다 봇 안에서 DB를 새로 만들고
+ *   (scripts/update-item-db.js 와 같은 과정) 아이템 수 변화를 LOG_CHANNEL_ID 채널에 알려줍니다.
+ * - 소유자 전용 명령어 !시세관리 db리로드 / db업데이트 (src/admin.js)
+ *
+ * DB는 새로 다 만든 다음 한 번에 교체하므로 교체 도중에 들어온 검색도 이전 DB로 정상 처리됩니다.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { EmbedBuilder } = require('discord.js');
+const { reloadKoreanItemDB, getItemCount } = require('./items');
+const { reloadRecipeDB } = require('./recipes');
+const { OUTPUT_PATHS, buildItemDB, formatDiffSummary } = require('./item-db-builder');
+const { dataPath } = require('./json-store');
+
+// 바뀌면 다시 불러올 파일 (이전 형식 items_ko.json 포함)
+const WATCHED_FILES = [...Object.values(OUTPUT_PATHS), dataPath('items_ko.json')];
+
+// 파일이 연달아 바뀌는 동안(items.json → item-categories.json → recipes_ko.json) 기다리는 시간
+const WATCH_DEBOUNCE_MS = 2000;
+
+const WATCH_ENABLED = process.env.ITEM_DB_WATCH !== '0' && process.env.ITEM_DB_WATCH !== 'false';
+
+// DB 자동 업데이트 주기 (기본 꺼짐)
+const UPDATE_INTERVAL_MS = (parseFloat(process.env.ITEM_DB_UPDATE_INTERVAL_HOURS) || 0) * 60 * 60 * 1000;
+
+// 마지막으로 불러온 파일들의 수정 시각 (파일 감시에서 같은 내용을 두 번 불러오지 않도록)
+let loadedSignature = fileSignature();
+
+// DB 업데이트가 진행 중인지 (자동 업데이트와 명령어가 겹치지 않도록)
+let updating = false;
+
+function fileSignature() {
+    return WATCHED_FILES
+        .map(filePath => (fs.existsSync(filePath) ? fs.statSync(filePath).mtimeMs : 0))
+        .join('/');
+}
+
+/**
+ * 아이템 DB와 레시피 DB 다시 불러오기
+ * 레시피 DB가 없거나 깨져 있어도 아이템 DB 교체는 유지
+ *
+ * @returns {{ previousCount: number, count: number, recipeCount: number|null }}
+ * @throws {Error} 아이템 DB를 읽지 못한 경우 (기존 DB 유지)
+ */
+function reloadItemDatabases() {
+    const signature = fileSignature();
+    const { previousCount, count } = reloadKoreanItemDB();
+
+    let recipeCount = null;
+    try {
+        recipeCount = reloadRecipeDB();
+    } catch (error) {
+        console.error('레시피 DB 다시 불러오기 실패:', error.message);
+    }
+
+    loadedSignature = signature;
+    return { previousCount, count, recipeCount };
+}
+
+/**
+ * "1,234개 → 1,240개 (+6)"
+ */
+function formatCountDelta(previousCount, count) {
+    const delta = count - previousCount;
+    const sign = delta > 0 ? '+' : delta < 0 ? '-' : '±';
+    return `${previousCount.toLocaleString()}개 → ${count.toLocaleString()}개 (${sign}${Math.abs(delta).toLocaleString()})`;
+}
+
+/**
+ * data/ 의 DB 파일이 바뀌면 다시 불러오기
+ * 파일은 임시 파일에서 rename 되므로 파일이 아니라 폴더를 감시함
+ *
+ * @returns {fs.FSWatcher|null}
+ */
+function watchItemDB() {
+    if (!WATCH_ENABLED) {
+        return null;
+    }
+
+    const watchedNames = new Set(WATCHED_FILES.map(filePath => path.basename(filePath)));
+    let timer = null;
+
+    try {
+        const watcher = fs.watch(path.dirname(OUTPUT_PATHS.items), (eventType, fileName) => {
+            if (fileName && !watchedNames.has(fileName)) return;
+
+            clearTimeout(timer);
+            timer = setTimeout(() => {
+                // 업데이트 작업이 직접 다시 불러오므로 그동안은 무시
+                if (updating || fileSignature() === loadedSignature) return;
+                try {
+                    reloadItemDatabases();
+                } catch (error) {
+                    console.error('아이템 DB 자동 다시 불러오기 실패 (기존 DB 유지):', error.message);
+                }
+            }, WATCH_DEBOUNCE_MS);
+        });
+        watcher.on('error', error => console.error('아이템 DB 파일 감시 오류:', error.message));
+        watcher.unref();
+        return watcher;
+    } catch (error) {
+        console.error('아이템 DB 파일 감시를 시작하지 못했습니다:', error.message);
+        return null;
+    }
+}
+
+/**
+ * DB를 새로 만들고 다시 불러오기
+ *
+ * @returns {Promise<{ previousCount: number, count: number, recipeCount: number|null, diff: object }>}
+ * @throws {Error} 이미 업데이트 중이거나, 생성/검사에 실패한 경우 (기존 파일과 DB 유지)
+ */
+async function runItemDBUpdate() {
+    if (updating) {
+        throw new Error('이미 아이템 DB를 업데이트하고 있습니다.');
+    }
+
+    updating = true;
+    try {
+        const previousCount = getItemCount();
+        const { diff } = await buildItemDB({ log: message => console.log(`[DB 업데이트] ${message}`) });
+        const { count, recipeCount } = reloadItemDatabases();
+        return { previousCount, count, recipeCount, diff };
+    } finally {
+        updating = false;
+    }
+}
+
+/**
+ * 업데이트 결과 Embed
+ *
+ * @param {object} result runItemDBUpdate 결과 (실패했으면 null)
+ * @param {Error} [error]
+ */
+function createUpdateReportEmbed(result, error = null) {
+    if (!result) {
+        return new EmbedBuilder()
+            .setColor(0xFF0000)
+            .setTitle('📦 아이템 DB 업데이트 실패')
+            .setDescription(`기존 DB를 그대로 사용합니다.\n\`\`\`\n${error.message.slice(0, 3500)}\n\`\`\``)
+            .setTimestamp();
+    }
+
+    const lines = [`아이템 ${formatCountDelta(result.previousCount, result.count)}`];
+    if (result.recipeCount !== null) {
+        lines.push(`레시피 ${result.recipeCount.toLocaleString()}개`);
+    }
+
+    return new EmbedBuilder()
+        .setColor(0x00FF00)
+        .setTitle('📦 아이템 DB 업데이트 완료')
+        .setDescription(`${lines.join('\n')}\n\`\`\`\n${formatDiffSummary(result.diff, 10).slice(0, 3500)}\n\`\`\``)
+        .setTimestamp();
+}
+
+/**
+ * 로그 채널에 Embed 보내기 (LOG_CHANNEL_ID 가 없으면 콘솔에만)
+ */
+async function sendToLogChannel(client, embed) {
+    const channelId = process.env.LOG_CHANNEL_ID;
+    if (!channelId) return;
+
+    try {
+        const channel = await client.channels.fetch(channelId);
+        await channel.send({ embeds: [embed] });
+    } catch (error) {
+        console.error('로그 채널 전송 실패:', error.message);
+    }
+}
+
+/**
+ * DB 자동 업데이트 스케줄러 시작
+ * ITEM_DB_UPDATE_INTERVAL_HOURS 가 없으면 아무것도 하지 않음
+ */
+function startItemDBUpdateScheduler(client) {
+    if (UPDATE_INTERVAL_MS <= 0) {
+        return null;
+    }
+
+    return setInterval(async () => {
+        if (updating) return;
+        try {
+            const result = await runItemDBUpdate();
+            await sendToLogChannel(client, createUpdateReportEmbed(result));
+        } catch (error) {
+            console.error('아이템 DB 자동 업데이트 실패:', error.message);
+            await sendToLogChannel(client, createUpdateReportEmbed(null, error));
+        }
+    }, UPDATE_INTERVAL_MS);
+}
+
+module.exports = {
+    reloadItemDatabases,
+    formatCountDelta,
+    watchItemDB,
+    runItemDBUpdate,
+    createUpdateReportEmbed,
+    startItemDBUpdateScheduler,
+};
@@ -0,0 +1,278 @@
+/**
+ * 아이템 DB (한국어/영어/일본어 이름) 및 아이템 검색
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { buildSearchIndex, searchIndex, findExact } = require('./search-index');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+
+// 다국어 아이템 DB (npm run update-db 로 생성)
+const ITEM_DB_PATH = path.join(DATA_DIR, 'items.json');
+
+// 이전 형식 (한국어 이름만), items.json 이 없을 때만 사용
+const LEGACY_ITEM_DB_PATH = path.join(DATA_DIR, 'items_ko.json');
+
+// 분류 이름 { ui: { [id]: name }, search: { [id]: name } }
+const CATEGORY_DB_FILE = 'item-categories.json';
+
+// 한 번에 시세를 보는 아이템 묶음
+// { materia: { [grade]: [itemId] }, dyes: [itemId], gathering: { miner|botanist: [{ itemId, level, stars }] } }
+const GROUP_DB_FILE = 'item-groups.json';
+
+// 아이템 이름 검색 인덱스 (DB 로드 시 생성)
+// 다시 불러올 때는 새 인덱스를 만든 뒤 통째로 교체하므로, 이미 찾은 아이템 객체는 그대로 유효함
+let itemSearchIndex = buildSearchIndex([]);
+
+let categoryNames = { ui: {}, search: {} };
+
+let itemGroups = {};
+
+function defaultItemDBPath() {
+    return fs.existsSync(ITEM_DB_PATH) ? ITEM_DB_PATH : LEGACY_ITEM_DB_PATH;
+}
+
+/**
+ * 아이템 DB 파일 읽기
+ * data/items.json 파일에서 읽음 (없으면 data/items_ko.json)
+ * 
+ * 파일 형식:
+ * [
+ *   {
+ *     "id": 5729,
+ *     "name": "염료: 순백색",
+ *     "names": { "ko": "염료: 순백색", "en": "Pure White Dye", "ja": "染料:ピュアホワイト" },
+ *     "icon": "/i/022000/022001.png",
+ *     "uiCategory": 55, "searchCategory": 54, "itemLevel": 1, "stackSize": 999,
+ *     "untradable": false, "vendorPrice": 216, "vendorSellPrice": 2
+ *   },
+ *   ...
+ * ]
+ * 
+ * name은 표시용 이름으로 한국어 이름이 없으면 영어(그다음 일본어) 이름입니다.
+ * 분류 ID의 이름은 data/item-categories.json, 마테리아/염료 묶음은 data/item-groups.json 에 있습니다.
+ * 이 파일은 npm run update-db (scripts/update-item-db.js) 로 언어별 Item.csv를 합쳐서 만들어야 함
+ *
+ * @param {string} [dbPath] 아이템 DB 파일 경로 (테스트용, 기본: data/items.json 또는 data/items_ko.json)
+ * @returns {{ searchIndex: object, categories: object, groups: object, count: number, fileName: string }|null} 파일이 없으면 null
+ * @throws {Error} 아이템 DB 파일이 깨진 경우
+ */
+function readItemDB(dbPath = defaultItemDBPath()) {
+    if (!fs.existsSync(dbPath)) {
+        return null;
+    }
+
+    const data = JSON.parse(fs.readFileSync(dbPath, 'utf-8'));
+    if (!Array.isArray(data)) {
+        throw new Error(`${path.basename(dbPath)} 형식이 올바르지 않습니다.`);
+    }
+
+    // 분류/묶음 파일은 아이템 DB와 같은 폴더에 있음 (없거나 깨졌으면 그 기능만 비활성화)
+    const dir = path.dirname(dbPath);
+    const categories = { ui: {}, search: {}, ...readOptionalJSON(path.join(dir, CATEGORY_DB_FILE), '아이템 분류') };
+    const groups = readOptionalJSON(path.join(dir, GROUP_DB_FILE), '아이템 묶음');
+
+    return { searchIndex: buildSearchIndex(data), categories, groups, count: data.length, fileName: path.basename(dbPath) };
+}
+
+function readOptionalJSON(filePath, label) {
+    if (!fs.existsSync(filePath)) {
+        return {};
+    }
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    } catch (error) {
+        console.error(`${label} 로드 실패:`, error.message);
+        return {};
+    }
+}
+
+/**
+ * 아이템 DB 로드
+ *
+ * @param {string} [dbPath] 아이템 DB 파일 경로 (테스트용)
+ */
+function loadKoreanItemDB(dbPath) {
+    try {
+        const loaded = readItemDB(dbPath);
+        if (!loaded) {
+            console.warn('⚠️ 아이템 DB 파일이 없습니다: data/items.json');
+            console.warn('   아이템 이름 검색 기능이 비활성화됩니다.');
+            console.warn('   DB 생성 방법: npm run update-db');
+            return;
+        }
+        swapItemDB(loaded);
+        console.log(`✅ 아이템 DB 로드 완료: ${loaded.count}개 아이템 (${loaded.fileName})`);
+    } catch (error) {
+        console.error('아이템 DB 로드 실패:', error.message);
+    }
+}
+
+function swapItemDB({ searchIndex, categories, groups }) {
+    itemSearchIndex = searchIndex;
+    categoryNames = categories;
+    itemGroups = groups;
+}
+
+/**
+ * 아이템 DB 다시 불러오기 (봇 재시작 없이)
+ * 새 DB를 다 만든 다음에 한 번에 교체하고, 읽기에 실패하면 기존 DB를 그대로 유지함
+ *
+ * @returns {{ previousCount: number, count: number }}
+ * @throws {Error} 파일이 없거나 깨진 경우
+ */
+function reloadKoreanItemDB() {
+    const loaded = readItemDB();
+    if (!loaded) {
+        throw new Error('아이템 DB 파일이 없습니다: data/items.json');
+    }
+
+    const previousCount = itemSearchIndex.byId.size;
+    swapItemDB(loaded);
+    console.log(`✅ 아이템 DB 다시 불러옴: ${previousCount}개 → ${loaded.count}개 (${loaded.fileName})`);
+    return { previousCount, count: loaded.count };
+}
+
+/**
+ * 현재 불러온 아이템 수
+ */
+function getItemCount() {
+    return itemSearchIndex.byId.size;
+}
+
+/**
+ * 장터에서 거래할 수 있는 아이템인지
+ * 메타데이터가 없는 이전 형식 DB의 아이템은 거래 가능으로 취급
+ */
+function isMarketable(item) {
+    if (item.searchCategory === undefined) {
+        return true;
+    }
+    return item.searchCategory > 0 && !item.untradable;
+}
+
+/**
+ * 아이템 분류 이름 (ItemUICategory, 예: "염료")
+ */
+function getCategoryName(item) {
+    return categoryNames.ui[item.uiCategory] || null;
+}
+
+/**
+ * 분류 이름으로 ItemUICategory 찾기 (정확히 일치 우선, 없으면 부분 일치 중 가장 짧은 이름)
+ *
+ * @returns {{ id: number, name: string }|null}
+ */
+function findCategoryByName(name) {
+    const query = name.trim().toLowerCase();
+    const entries = Object.entries(categoryNames.ui).map(([id, categoryName]) => ({ id: Number(id), name: categoryName }));
+
+    const exact = entries.find(entry => entry.name.toLowerCase() === query);
+    if (exact) {
+        return exact;
+    }
+    const partial = entries
+        .filter(entry => entry.name.toLowerCase().includes(query))
+        .sort((a, b) => a.name.length - b.name.length);
+    return partial[0] || null;
+}
+
+/**
+ * 장터에서 거래할 수 있는 아이템 목록 (ID 순)
+ *
+ * @param {number|null} [uiCategory] 분류 ID (없으면 전체)
+ */
+function getMarketableItems(uiCategory = null) {
+    return [...itemSearchIndex.byId.values()]
+        .filter(item => isMarketable(item) && (uiCategory === null || item.uiCategory === uiCategory))
+        .sort((a, b) => a.id - b.id);
+}
+
+/**
+ * npm run update-db 가 만든 아이템 묶음 (data/item-groups.json)
+ *
+ * @param {'materia'|'dyes'|'gathering'} name
+ * @returns {object|number[]|null} materia는 { [등급]: [아이템 ID] }, dyes는 [아이템 ID],
+ *   gathering은 { [채집 직업]: [{ itemId, level, stars }] }, 없으면 null
+ */
+function getItemGroup(name) {
+    return itemGroups[name] || null;
+}
+
+/**
+ * 아이템 이름으로 검색 (한국어/영어/일본어)
+ * 부분 일치, 공백/문장부호 무시, 초성 검색, 오타 보정 지원 (src/search-index.js 참고)
+ * 정확히 일치하지 않으면 장터에서 거래할 수 있는 아이템을 먼저 보여줌
+ * 
+ * @param {string} query 검색어
+ * @param {number} [suggestionLimit=10] 추천 목록 최대 개수
+ * @returns {{ item: object|null, suggestions: object[] }}
+ */
+function searchKoreanItem(query, suggestionLimit = 10) {
+    const [item = null, ...suggestions] = searchIndex(itemSearchIndex, query, suggestionLimit + 1, { prefer: isMarketable });
+    return { item, suggestions };
+}
+
+/**
+ * 이름(한국어/영어/일본어)이 정확히 일치하는 아이템
+ *
+ * @returns {object|null}
+ */
+function findExactItem(name) {
+    return findExact(itemSearchIndex, name);
+}
+
+function iconUrlOf(item) {
+    return item.icon ? `https://xivapi.com${item.icon}` : null;
+}
+
+/**
+ * 아이템 이름으로 아이템 찾기 (로컬 DB만 사용)
+ * 비동기 함수로 유지해서 호출하는 쪽은 바꾸지 않아도 됨
+ *
+ * @returns {Promise<{ item: object|null, iconUrl: string|null, suggestions: object[] }>}
+ */
+async function findItemByName(itemName) {
+    const { item, suggestions } = searchKoreanItem(itemName);
+    return { item, iconUrl: item ? iconUrlOf(item) : null, suggestions };
+}
+
+/**
+ * 아이템 ID로 아이템 찾기
+ *
+ * @returns {object|null} { id, name, names, icon }
+ */
+function getItemById(itemId) {
+    return itemSearchIndex.byId.get(itemId) || null;
+}
+
+/**
+ * 아이템 ID로 표시 이름/아이콘 찾기
+ * 한국어 이름이 없는 아이템은 영어/일본어 이름, DB에 아예 없으면 "아이템 #ID"로 표시
+ *
+ * @returns {{ itemName: string, iconUrl: string|null }}
+ */
+function findItemById(itemId) {
+    const item = getItemById(itemId);
+    if (item) {
+        return { itemName: item.name, iconUrl: iconUrlOf(item) };
+    }
+    return { itemName: `아이템 #${itemId}`, iconUrl: null };
+}
+
+module.exports = {
+    loadKoreanItemDB,
+    reloadKoreanItemDB,
+    getItemCount,
+    searchKoreanItem,
+    findItemByName,
+    findExactItem,
+    getItemById,
+    findItemById,
+    isMarketable,
+    getCategoryName,
+    findCategoryByName,
+    getMarketableItems,
+    getItemGroup,
+};
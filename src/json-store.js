@@ -0,0 +1,52 @@
+/**
+ * JSON 파일 저장소
+ *
+ * 알림 구독처럼 재시작 후에도 유지되어야 하는 데이터를 data/ 아래 JSON 파일로 저장합니다.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+
+/**
+ * data/ 아래 파일 경로
+ */
+function dataPath(fileName) {
+    return path.join(DATA_DIR, fileName);
+}
+
+/**
+ * JSON 파일 읽기
+ * 파일이 없거나 깨져 있으면 defaultValue 반환
+ */
+function loadJSON(filePath, defaultValue) {
+    if (!fs.existsSync(filePath)) {
+        return defaultValue;
+    }
+
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    } catch (error) {
+        console.error(`JSON 파일 로드 실패 (${path.basename(filePath)}):`, error.message);
+        return defaultValue;
+    }
+}
+
+/**
+ * JSON 파일 저장
+ * 임시 파일에 쓴 뒤 rename 해서 저장 도중 종료되어도 기존 파일이 깨지지 않도록 함
+ */
+function saveJSON(filePath, data) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2), 'utf-8');
+    fs.renameSync(tempPath, filePath);
+}
+
+module.exports = {
+    dataPath,
+    loadJSON,
+    saveJSON,
+};
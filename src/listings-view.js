@@ -0,0 +1,215 @@
+/**
+ * 매물 상세 보기 (버튼 페이지네이션)
+ *
+ * 시세 Embed 아래의 "매물 보기" 버튼을 누르면 개별 매물 목록(서버, 수량, 단가, 총액,
+ * HQ, 리테이너, 마테리아 수)을 누른 사람에게만 보이는 메시지로 보여줍니다.
+ * 이전/다음 버튼, NQ/HQ 필터 선택 메뉴, 정렬 전환 버튼을 지원하고
+ * 일정 시간이 지나면 버튼이 비활성화됩니다.
+ */
+
+const {
+    ActionRowBuilder,
+    ButtonBuilder,
+    ButtonStyle,
+    ComponentType,
+    EmbedBuilder,
+    MessageFlags,
+    StringSelectMenuBuilder,
+} = require('discord.js');
+const { KOREAN_SERVERS, getKoreanMarketDataBulk } = require('./universalis');
+
+// 버튼/메뉴 유효 시간
+const VIEW_EXPIRY_MS = 5 * 60 * 1000;
+
+const PAGE_SIZE = 10;
+
+const FILTER_LABELS = { all: '전체', nq: 'NQ만', hq: 'HQ만' };
+const SORT_LABELS = { price: '단가 낮은 순', total: '총액 낮은 순' };
+
+/**
+ * 시세 Embed 아래에 붙일 "매물 보기" 버튼
+ */
+function createListingsButtonRow() {
+    return new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId('listings:open')
+            .setLabel('매물 보기')
+            .setEmoji('📋')
+            .setStyle(ButtonStyle.Secondary)
+    );
+}
+
+function serverName(worldId, fallback) {
+    return KOREAN_SERVERS.find(s => s.id === worldId)?.name || fallback || `서버 #${worldId}`;
+}
+
+/**
+ * 필터/정렬 적용
+ */
+function applyView(listings, { filter, sort }) {
+    const filtered = listings.filter(l => filter === 'all' || (filter === 'hq' ? l.hq : !l.hq));
+    const key = sort === 'total' ? (l => l.pricePerUnit * l.quantity) : (l => l.pricePerUnit);
+    return filtered.sort((a, b) => key(a) - key(b));
+}
+
+/**
+ * 매물 목록 Embed + 컴포넌트
+ */
+function renderView(itemName, listings, state) {
+    const visible = applyView(listings, state);
+    const pageCount = Math.max(1, Math.ceil(visible.length / PAGE_SIZE));
+    state.page = Math.min(state.page, pageCount - 1);
+
+    const start = state.page * PAGE_SIZE;
+    const lines = visible.slice(start, start + PAGE_SIZE).map((l, i) => {
+        const total = l.pricePerUnit * l.quantity;
+        const parts = [
+            `**${serverName(l.worldID, l.worldName)}**`,
+            l.hq ? 'HQ' : 'NQ',
+            `${l.quantity}개 × ${l.pricePerUnit.toLocaleString()} 길 = ${total.toLocaleString()} 길`,
+            l.retainerName || '리테이너 정보 없음'
+        ];
+        if (l.materia?.length > 0) {
+            parts.push(`마테리아 ${l.materia.length}개`);
+        }
+        return `${start + i + 1}. ${parts.join(' · ')}`;
+    });
+
+    const embed = new EmbedBuilder()
+        .setColor(0xADD8E6)
+        .setTitle(`📋 ${itemName} 매물 목록`)
+        .setDescription(lines.length > 0 ? lines.join('\n') : '조건에 맞는 매물이 없습니다.')
+        .setFooter({ text: `${FILTER_LABELS[state.filter]} · ${SORT_LABELS[state.sort]} · ${visible.length}건 · ${state.page + 1}/${pageCount} 페이지` });
+
+    const filterRow = new ActionRowBuilder().addComponents(
+        new StringSelectMenuBuilder()
+            .setCustomId('listings:filter')
+            .setPlaceholder('품질 필터')
+            .addOptions(Object.entries(FILTER_LABELS).map(([value, label]) => ({
+                label,
+                value,
+                default: state.filter === value
+            })))
+    );
+
+    const navRow = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId('listings:prev')
+            .setLabel('◀ 이전')
+            .setStyle(ButtonStyle.Primary)
+            .setDisabled(state.page === 0),
+        new ButtonBuilder()
+            .setCustomId('listings:next')
+            .setLabel('다음 ▶')
+            .setStyle(ButtonStyle.Primary)
+            .setDisabled(state.page >= pageCount - 1),
+        new ButtonBuilder()
+            .setCustomId('listings:sort')
+            .setLabel(state.sort === 'price' ? '총액 순으로 보기' : '단가 순으로 보기')
+            .setStyle(ButtonStyle.Secondary)
+    );
+
+    return { embeds: [embed], components: [filterRow, navRow] };
+}
+
+/**
+ * 컴포넌트를 모두 비활성화한 복사본 (만료 표시용)
+ */
+function disableComponents(message) {
+    return message.components.map(row => {
+        const newRow = ActionRowBuilder.from(row);
+        for (const component of newRow.components) {
+            component.setDisabled(true);
+        }
+        return newRow;
+    });
+}
+
+/**
+ * 매물 목록 열기 ("매물 보기" 버튼을 누른 interaction)
+ */
+async function openListingsView(interaction, itemId, itemName) {
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    let listings;
+    try {
+        const marketData = await getKoreanMarketDataBulk([itemId]);
+        listings = marketData.get(itemId)?.listings || [];
+    } catch (error) {
+        console.error('매물 목록 조회 오류:', error);
+        return interaction.editReply(`오류가 발생했습니다: ${error.message}`);
+    }
+
+    const state = { filter: 'all', sort: 'price', page: 0 };
+    const reply = await interaction.editReply(renderView(itemName, listings, state));
+
+    const collector = reply.createMessageComponentCollector({ time: VIEW_EXPIRY_MS });
+
+    collector.on('collect', async (componentInteraction) => {
+        switch (componentInteraction.customId) {
+            case 'listings:prev':
+                state.page = Math.max(0, state.page - 1);
+                break;
+            case 'listings:next':
+                state.page++;
+                break;
+            case 'listings:sort':
+                state.sort = state.sort === 'price' ? 'total' : 'price';
+                state.page = 0;
+                break;
+            case 'listings:filter':
+                state.filter = componentInteraction.values[0];
+                state.page = 0;
+                break;
+        }
+
+        try {
+            await componentInteraction.update(renderView(itemName, listings, state));
+        } catch (error) {
+            console.error('매물 목록 갱신 오류:', error.message);
+        }
+    });
+
+    collector.on('end', async () => {
+        try {
+            await interaction.editReply({ components: disableComponents(reply) });
+        } catch (error) {
+            // 사용자가 메시지를 닫은 경우 등
+        }
+    });
+}
+
+/**
+ * 시세 결과 메시지의 "매물 보기" 버튼 처리 등록
+ * 유효 시간이 지나면 버튼을 제거함
+ *
+ * @param {import('discord.js').Message} message 버튼이 붙은 시세 결과 메시지
+ */
+function attachListingsButton(message, itemId, itemName) {
+    const collector = message.createMessageComponentCollector({
+        componentType: ComponentType.Button,
+        time: VIEW_EXPIRY_MS
+    });
+
+    collector.on('collect', async (interaction) => {
+        if (interaction.customId !== 'listings:open') return;
+        try {
+            await openListingsView(interaction, itemId, itemName);
+        } catch (error) {
+            console.error('매물 보기 오류:', error);
+        }
+    });
+
+    collector.on('end', async () => {
+        try {
+            await message.edit({ components: [] });
+        } catch (error) {
+            // 메시지가 삭제된 경우 등
+        }
+    });
+}
+
+module.exports = {
+    createListingsButtonRow,
+    attachListingsButton,
+};
@@ -0,0 +1,325 @@
+/**
+ * Universalis 실시간 시세 (WebSocket)
+ *
+ * UNIVERSALIS_WS=1 이면 Universalis WebSocket에 접속해서 한국 서버의
+ * listings/add, listings/remove, sales/add 이벤트(BSON)를 받습니다.
+ *
+ * - 한 번 REST로 조회한 아이템은 그 응답에 이벤트를 반영한 "실시간 매물 목록"을 메모리에 유지하고,
+ *   다음 !시세 조회는 Universalis를 다시 부르지 않고 바로 이 목록으로 답합니다. (src/universalis.js)
+ * - 다른 기능은 onMarketEvent('listings/add', handler) 처럼 이벤트를 받아서 쓸 수 있습니다.
+ * - 연결이 끊기면 그동안의 이벤트를 놓쳤을 수 있으므로 실시간 목록을 비우고, 점점 길게 기다리며 다시 접속합니다.
+ *
+ * 모든 아이템을 저장하면 메모리가 계속 늘어나므로 조회된 아이템만 최대 MAX_LIVE_ITEMS개까지 유지합니다.
+ */
+
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const { BSON } = require('bson');
+const { HOME_DATA_CENTER, getDataCenter } = require('./worlds');
+
+const WS_ENABLED = process.env.UNIVERSALIS_WS === '1' || process.env.UNIVERSALIS_WS === 'true';
+const WS_URL = process.env.UNIVERSALIS_WS_URL || 'wss://universalis.app/api/ws';
+
+// 구독할 이벤트
+const SUBSCRIBED_EVENTS = ['listings/add', 'listings/remove', 'sales/add'];
+
+// 실시간 목록을 유지할 최대 아이템 수 (오래 조회되지 않은 아이템부터 제외)
+const MAX_LIVE_ITEMS = 500;
+
+// 아이템별로 유지할 최근 거래 내역 수 (REST 조회의 entries와 같게)
+const MAX_RECENT_HISTORY = 50;
+
+// 재접속 대기 시간 (1초부터 두 배씩, 최대 1분)
+const RECONNECT_INITIAL_DELAY_MS = 1000;
+const RECONNECT_MAX_DELAY_MS = 60 * 1000;
+
+// 모든 스트림의 이벤트가 모이는 곳 (onMarketEvent)
+const marketEvents = new EventEmitter();
+
+/**
+ * 매물 구분 키 (listingID가 없으면 리테이너/가격/수량으로 구분)
+ */
+function listingKey(listing) {
+    return listing.listingID || `${listing.retainerID || listing.retainerName}/${listing.pricePerUnit}/${listing.quantity}/${listing.hq}`;
+}
+
+/**
+ * 재접속 대기 시간
+ */
+function reconnectDelay(attempt, initialDelayMs = RECONNECT_INITIAL_DELAY_MS, maxDelayMs = RECONNECT_MAX_DELAY_MS) {
+    return Math.min(initialDelayMs * 2 ** attempt, maxDelayMs);
+}
+
+/**
+ * 실시간 시세 스트림 만들기
+ *
+ * @param {object} [options]
+ * @param {string} [options.url] WebSocket 주소
+ * @param {number[]} [options.worldIds] 구독할 월드 ID (기본: 한국 서버)
+ * @param {number} [options.maxItems] 실시간 목록을 유지할 최대 아이템 수
+ * @param {number} [options.reconnectInitialDelayMs]
+ * @param {number} [options.reconnectMaxDelayMs]
+ * @param {EventEmitter} [options.emitter] 이벤트를 내보낼 곳 (기본: marketEvents)
+ */
+function createMarketStream({
+    url = WS_URL,
+    worldIds = getDataCenter(HOME_DATA_CENTER).worlds.map(world => world.id),
+    maxItems = MAX_LIVE_ITEMS,
+    reconnectInitialDelayMs = RECONNECT_INITIAL_DELAY_MS,
+    reconnectMaxDelayMs = RECONNECT_MAX_DELAY_MS,
+    emitter = marketEvents,
+} = {}) {
+    const worldIdSet = new Set(worldIds);
+
+    // itemId -> { worlds: Map<worldId, Map<key, listing>>, recentHistory, worldUploadTimes, updatedAt }
+    // Map 순서를 최근 조회 순으로 유지 (가장 앞이 가장 오래된 아이템)
+    const view = new Map();
+
+    let socket = null;
+    let connected = false;
+    let stopped = true;
+    let attempt = 0;
+    let reconnectTimer = null;
+
+    function send(message) {
+        socket.send(BSON.serialize(message));
+    }
+
+    function touch(itemId, entry) {
+        view.delete(itemId);
+        view.set(itemId, entry);
+    }
+
+    function applyListings(event, itemId, worldId, listings) {
+        const entry = view.get(itemId);
+        if (!entry) return;
+
+        if (!entry.worlds.has(worldId)) {
+            entry.worlds.set(worldId, new Map());
+        }
+        const worldListings = entry.worlds.get(worldId);
+
+        for (const listing of listings) {
+            if (event === 'listings/add') {
+                worldListings.set(listingKey(listing), { ...listing, worldID: worldId });
+            } else {
+                worldListings.delete(listingKey(listing));
+            }
+        }
+
+        entry.worldUploadTimes[worldId] = Date.now();
+        entry.updatedAt = Date.now();
+    }
+
+    function applySales(itemId, worldId, sales) {
+        const entry = view.get(itemId);
+        if (!entry) return;
+
+        const added = sales.map(sale => ({ ...sale, worldID: worldId }));
+        entry.recentHistory = [...added, ...entry.recentHistory]
+            .sort((a, b) => b.timestamp - a.timestamp)
+            .slice(0, MAX_RECENT_HISTORY);
+        entry.updatedAt = Date.now();
+    }
+
+    function handleMessage(raw) {
+        let message;
+        try {
+            message = BSON.deserialize(raw);
+        } catch (error) {
+            console.error('실시간 시세 메시지 해석 실패:', error.message);
+            return;
+        }
+
+        const { event, item: itemId, world: worldId } = message;
+        if (!SUBSCRIBED_EVENTS.includes(event) || !worldIdSet.has(worldId)) return;
+
+        if (event === 'sales/add') {
+            applySales(itemId, worldId, message.sales || []);
+        } else {
+            applyListings(event, itemId, worldId, message.listings || []);
+        }
+
+        emitter.emit(event, {
+            itemId,
+            worldId,
+            listings: message.listings || [],
+            sales: message.sales || []
+        });
+    }
+
+    function scheduleReconnect() {
+        const delay = reconnectDelay(attempt++, reconnectInitialDelayMs, reconnectMaxDelayMs);
+        console.warn(`실시간 시세 연결 끊김, ${Math.round(delay / 1000)}초 후 다시 접속합니다.`);
+        reconnectTimer = setTimeout(connect, delay);
+        reconnectTimer.unref?.();
+    }
+
+    function connect() {
+        reconnectTimer = null;
+        if (stopped) return;
+
+        socket = new WebSocket(url);
+
+        socket.on('open', () => {
+            connected = true;
+            attempt = 0;
+            for (const worldId of worldIdSet) {
+                for (const event of SUBSCRIBED_EVENTS) {
+                    send({ event: 'subscribe', channel: `${event}{world=${worldId}}` });
+                }
+            }
+            console.log(`✅ 실시간 시세 연결됨 (${worldIdSet.size}개 서버)`);
+            emitter.emit('open');
+        });
+
+        socket.on('message', handleMessage);
+
+        socket.on('error', (error) => {
+            console.error('실시간 시세 연결 오류:', error.message);
+        });
+
+        socket.on('close', () => {
+            const wasConnected = connected;
+            connected = false;
+            socket = null;
+            // 끊긴 동안의 이벤트를 놓쳤을 수 있으므로 실시간 목록은 버림
+            view.clear();
+            if (wasConnected) {
+                emitter.emit('close');
+            }
+            if (!stopped) {
+                scheduleReconnect();
+            }
+        });
+    }
+
+    return {
+        /**
+         * 접속 시작 (이미 시작했으면 무시)
+         */
+        start() {
+            if (!stopped) return;
+            stopped = false;
+            connect();
+        },
+
+        /**
+         * 접속 종료 (다시 접속하지 않음)
+         */
+        stop() {
+            stopped = true;
+            clearTimeout(reconnectTimer);
+            reconnectTimer = null;
+            if (socket) {
+                socket.terminate();
+            }
+        },
+
+        isConnected() {
+            return connected;
+        },
+
+        /**
+         * REST 조회 결과로 아이템의 실시간 목록 시작
+         * 연결되어 있을 때만 저장 (연결 전 응답에는 이후 이벤트를 이어 붙일 수 없음)
+         *
+         * @param {number} itemId
+         * @param {object} data Universalis 데이터센터 응답 (listings, recentHistory, worldUploadTimes)
+         *
+         * Universalis가 계산한 판매 속도/평균가(regularSaleVelocity, averagePrice)는 이벤트로 갱신할 수 없어
+         * 연결이 유지되는 동안 계속 예전 값이 되므로 가져오지 않음 (최근 거래 내역으로 다시 계산됨)
+         */
+        seed(itemId, data) {
+            if (!connected) return;
+
+            const worlds = new Map([...worldIdSet].map(worldId => [worldId, new Map()]));
+            for (const listing of data.listings || []) {
+                worlds.get(listing.worldID)?.set(listingKey(listing), listing);
+            }
+
+            touch(itemId, {
+                worlds,
+                recentHistory: (data.recentHistory || []).slice(0, MAX_RECENT_HISTORY),
+                worldUploadTimes: { ...(data.worldUploadTimes || {}) },
+                dcName: data.dcName,
+                updatedAt: Date.now()
+            });
+
+            while (view.size > maxItems) {
+                view.delete(view.keys().next().value);
+            }
+        },
+
+        /**
+         * 아이템의 실시간 시세 (Universalis 데이터센터 응답과 같은 형식)
+         *
+         * @returns {object|null} 연결이 끊겼거나 실시간 목록이 없으면 null
+         */
+        getMarketData(itemId) {
+            const entry = connected ? view.get(itemId) : null;
+            if (!entry) return null;
+
+            touch(itemId, entry);
+            return {
+                listings: [...entry.worlds.values()]
+                    .flatMap(worldListings => [...worldListings.values()])
+                    .sort((a, b) => a.pricePerUnit - b.pricePerUnit),
+                recentHistory: entry.recentHistory,
+                worldUploadTimes: entry.worldUploadTimes,
+                dcName: entry.dcName,
+                updatedAt: entry.updatedAt
+            };
+        },
+    };
+}
+
+// 봇에서 사용하는 스트림 (UNIVERSALIS_WS=1 일 때만)
+let defaultStream = null;
+
+/**
+ * 실시간 시세 접속 시작 (UNIVERSALIS_WS 가 꺼져 있으면 아무것도 하지 않음)
+ */
+function startMarketStream() {
+    if (!WS_ENABLED || defaultStream) {
+        return defaultStream;
+    }
+    defaultStream = createMarketStream();
+    defaultStream.start();
+    return defaultStream;
+}
+
+/**
+ * 실시간 시세가 있으면 반환 (없으면 null)
+ */
+function getLiveMarketData(itemId) {
+    return defaultStream ? defaultStream.getMarketData(itemId) : null;
+}
+
+/**
+ * REST로 새로 조회한 데이터센터 응답을 실시간 목록에 넣기
+ */
+function seedLiveMarketData(itemId, data) {
+    if (defaultStream) {
+        defaultStream.seed(itemId, data);
+    }
+}
+
+/**
+ * 실시간 이벤트 받기
+ *
+ * @param {'listings/add'|'listings/remove'|'sales/add'|'open'|'close'} event
+ * @param {(payload: { itemId: number, worldId: number, listings: object[], sales: object[] }) => void} handler
+ */
+function onMarketEvent(event, handler) {
+    marketEvents.on(event, handler);
+}
+
+module.exports = {
+    createMarketStream,
+    reconnectDelay,
+    startMarketStream,
+    getLiveMarketData,
+    seedLiveMarketData,
+    onMarketEvent,
+};
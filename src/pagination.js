@@ -0,0 +1,100 @@
+/**
+ * 여러 페이지로 나눈 Embed의 이전/다음 버튼
+ *
+ * 명령어를 입력한 사람만 페이지를 넘길 수 있고, 일정 시간이 지나면 버튼을 없앱니다.
+ * (매물 상세 보기처럼 필터/정렬 메뉴가 함께 있는 화면은 src/listings-view.js 참고)
+ */
+
+const {
+    ActionRowBuilder,
+    ButtonBuilder,
+    ButtonStyle,
+    ComponentType,
+    MessageFlags,
+} = require('discord.js');
+
+// 페이지 버튼 유효 시간
+const VIEW_EXPIRY_MS = 5 * 60 * 1000;
+
+/**
+ * 이전/다음 버튼 줄
+ *
+ * @param {string} prefix customId 앞부분 (예: 'watchlist' → 'watchlist:prev')
+ */
+function createPageButtonRow(prefix, page, pageCount) {
+    return new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(`${prefix}:prev`)
+            .setLabel('◀ 이전')
+            .setStyle(ButtonStyle.Primary)
+            .setDisabled(page === 0),
+        new ButtonBuilder()
+            .setCustomId(`${prefix}:next`)
+            .setLabel('다음 ▶')
+            .setStyle(ButtonStyle.Primary)
+            .setDisabled(page >= pageCount - 1)
+    );
+}
+
+/**
+ * 페이지 Embed 메시지 보내기
+ * 한 페이지면 버튼 없이 보내고, 여러 페이지면 버튼을 붙여서 누를 때마다 render(page)로 바꿈
+ *
+ * @param {import('discord.js').Message} target 수정할 메시지 (보통 "조회 중..." 메시지)
+ * @param {object} options
+ * @param {string} options.authorId 페이지를 넘길 수 있는 사람
+ * @param {string} options.commandName 다른 사람이 누를 때 안내할 명령어 (예: '!관심시세')
+ * @param {string} options.prefix 버튼 customId 앞부분
+ * @param {number} options.pageCount
+ * @param {(page: number) => { embeds: object[] }} options.render 페이지 내용 (버튼 제외)
+ */
+async function sendPaginated(target, { authorId, commandName, prefix, pageCount, render }) {
+    let page = 0;
+    const withButtons = () => ({
+        content: null,
+        ...render(page),
+        components: pageCount > 1 ? [createPageButtonRow(prefix, page, pageCount)] : []
+    });
+
+    const reply = await target.edit(withButtons());
+    if (pageCount <= 1) {
+        return reply;
+    }
+
+    const collector = reply.createMessageComponentCollector({
+        componentType: ComponentType.Button,
+        time: VIEW_EXPIRY_MS
+    });
+
+    collector.on('collect', async (interaction) => {
+        if (interaction.user.id !== authorId) {
+            try {
+                await interaction.reply({ content: `\`${commandName}\`를 입력한 사람만 페이지를 넘길 수 있습니다.`, flags: MessageFlags.Ephemeral });
+            } catch (error) {
+                console.error(`${commandName} 안내 응답 오류:`, error.message);
+            }
+            return;
+        }
+        const step = interaction.customId === `${prefix}:next` ? 1 : -1;
+        page = Math.min(Math.max(page + step, 0), pageCount - 1);
+        try {
+            await interaction.update(withButtons());
+        } catch (error) {
+            console.error(`${commandName} 페이지 갱신 오류:`, error.message);
+        }
+    });
+
+    collector.on('end', async () => {
+        try {
+            await reply.edit({ components: [] });
+        } catch (error) {
+            // 메시지가 삭제된 경우 등
+        }
+    });
+
+    return reply;
+}
+
+module.exports = {
+    sendPaginated,
+};
@@ -0,0 +1,309 @@
+/**
+ * 제작비 분석 (제작 vs 구매)
+ *
+ * !제작비 <아이템> [전체]
+ * 예: !제작비 염료: 순백색        → 레시피 1단계 재료만
+ *     !제작비 염료: 순백색 전체   → 중간 재료까지 끝까지 펼친 기본 재료
+ *
+ * data/recipes_ko.json (npm run update-db 로 생성)의 레시피를 펼치고
+ * 재료별로 필요한 수량을 실제 매물로 채우는 "재료 전부 구매" 비용과 완성품 최저가를 비교합니다.
+ * 재료와 완성품 모두 NQ 매물 기준입니다. (HQ 완성품을 NQ 재료 값과 비교하지 않도록)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { EmbedBuilder } = require('discord.js');
+const { findItemByName, findItemById } = require('./items');
+const { KOREAN_SERVERS, getKoreanMarketDataBulk } = require('./universalis');
+const { planItem } = require('./shopping');
+const { MARKET_TAX_RATE } = require('./stats');
+
+const RECIPE_DB_PATH = path.join(__dirname, '..', 'data', 'recipes_ko.json');
+
+const CRAFT_TYPE_NAMES = ['목수', '대장장이', '갑주제작사', '보석공예가', '가죽공예가', '재봉사', '연금술사', '요리사'];
+
+// 결과 아이템 ID -> 레시피 목록 (다시 불러올 때 통째로 교체)
+let recipeDB = new Map();
+
+/**
+ * 레시피 DB 파일 읽기
+ *
+ * @returns {{ db: Map, count: number }|null} 파일이 없으면 null
+ */
+function readRecipeDB() {
+    if (!fs.existsSync(RECIPE_DB_PATH)) {
+        return null;
+    }
+
+    const data = JSON.parse(fs.readFileSync(RECIPE_DB_PATH, 'utf-8'));
+    const db = new Map();
+    for (const recipe of data) {
+        if (!db.has(recipe.resultItemId)) {
+            db.set(recipe.resultItemId, []);
+        }
+        db.get(recipe.resultItemId).push(recipe);
+    }
+    return { db, count: data.length };
+}
+
+/**
+ * 레시피 DB 로드
+ */
+function loadRecipeDB() {
+    try {
+        const loaded = readRecipeDB();
+        if (!loaded) {
+            console.warn('⚠️ 레시피 DB 파일이 없습니다: data/recipes_ko.json');
+            console.warn('   제작비 기능이 비활성화됩니다.');
+            return;
+        }
+        recipeDB = loaded.db;
+        console.log(`✅ 레시피 DB 로드 완료: ${loaded.count}개 레시피`);
+    } catch (error) {
+        console.error('레시피 DB 로드 실패:', error.message);
+    }
+}
+
+/**
+ * 레시피 DB 다시 불러오기
+ * 읽기에 실패하면 기존 DB를 그대로 유지함
+ *
+ * @returns {number} 레시피 수
+ * @throws {Error} 파일이 없거나 깨진 경우
+ */
+function reloadRecipeDB() {
+    const loaded = readRecipeDB();
+    if (!loaded) {
+        throw new Error('레시피 DB 파일이 없습니다: data/recipes_ko.json');
+    }
+    recipeDB = loaded.db;
+    console.log(`✅ 레시피 DB 다시 불러옴: ${loaded.count}개 레시피`);
+    return loaded.count;
+}
+
+/**
+ * 아이템의 레시피 (여러 직업 레시피가 있으면 첫 번째)
+ */
+function getRecipe(itemId) {
+    return recipeDB.get(itemId)?.[0] || null;
+}
+
+/**
+ * 레시피를 펼쳐서 필요한 재료 수량 계산
+ *
+ * @param {object} recipe
+ * @param {number} quantity 만들 개수
+ * @param {boolean} recursive true면 중간 재료도 레시피가 있으면 끝까지 펼침
+ * @param {Map<number, number>} [materials] itemId -> 필요 수량 (누적)
+ * @param {Set<number>} [visiting] 순환 레시피 방지용
+ * @returns {Map<number, number>}
+ */
+function expandRecipe(recipe, quantity, recursive, materials = new Map(), visiting = new Set()) {
+    const crafts = Math.ceil(quantity / recipe.resultAmount);
+    visiting.add(recipe.resultItemId);
+
+    for (const ingredient of recipe.ingredients) {
+        const amount = ingredient.amount * crafts;
+        const subRecipe = recursive ? getRecipe(ingredient.itemId) : null;
+
+        if (subRecipe && !visiting.has(ingredient.itemId)) {
+            expandRecipe(subRecipe, amount, recursive, materials, visiting);
+        } else {
+            materials.set(ingredient.itemId, (materials.get(ingredient.itemId) || 0) + amount);
+        }
+    }
+
+    visiting.delete(recipe.resultItemId);
+    return materials;
+}
+
+function serverName(serverId) {
+    return KOREAN_SERVERS.find(s => s.id === serverId)?.name || `서버 #${serverId}`;
+}
+
+/**
+ * Universalis 응답의 NQ 매물
+ */
+function nqListingsOf(data) {
+    return (data?.listings || []).filter(listing => !listing.hq);
+}
+
+/**
+ * NQ 최저가 매물의 서버와 가격
+ *
+ * @returns {{ server: string, price: number }|null}
+ */
+function findCheapestNQ(data) {
+    let cheapest = null;
+    for (const listing of nqListingsOf(data)) {
+        if (!cheapest || listing.pricePerUnit < cheapest.price) {
+            cheapest = { server: serverName(listing.worldID), price: listing.pricePerUnit };
+        }
+    }
+    return cheapest;
+}
+
+/**
+ * 재료 목록과 완성품 시세를 다중 조회 한 번으로 가져오기
+ * 재료는 필요한 수량을 NQ 매물 묶음으로 채우는 구매 계획 (src/shopping.js 의 planItem), 완성품은 NQ 최저가
+ *
+ * @returns {Promise<{ priced: { itemId: number, name: string, amount: number, plan: object|null }[], product: object|null }>}
+ *   plan은 매물이 하나도 없으면 null
+ */
+async function priceMaterials(materials, productId) {
+    const marketData = await getKoreanMarketDataBulk([productId, ...materials.keys()]);
+
+    const priced = [];
+    for (const [itemId, amount] of materials) {
+        const { itemName } = findItemById(itemId);
+        const { plan } = planItem(nqListingsOf(marketData.get(itemId)), amount);
+        priced.push({ itemId, name: itemName, amount, plan: plan.bought > 0 ? plan : null });
+    }
+
+    return { priced, product: findCheapestNQ(marketData.get(productId)) };
+}
+
+/**
+ * 재료 한 줄 (서버별 구매 수량, 평균 단가, 소계)
+ */
+function formatMaterialLine(material) {
+    const { plan } = material;
+    const servers = [...plan.servers.keys()].map(serverName).join(', ');
+    const averagePrice = Math.round(plan.cost / plan.bought);
+    const notes = [];
+    if (!plan.fulfilled) notes.push(`⚠️ ${plan.bought.toLocaleString()}개만 있음`);
+    else if (plan.bought > material.amount) notes.push(`묶음 때문에 ${plan.bought.toLocaleString()}개 구매`);
+
+    return `**${material.name}** x${material.amount} — ${servers} 평균 ${averagePrice.toLocaleString()} 길 ` +
+        `(소계 ${plan.cost.toLocaleString()} 길${notes.length > 0 ? `, ${notes.join(', ')}` : ''})`;
+}
+
+/**
+ * 제작비 Embed 생성
+ */
+function createCraftCostEmbed(item, recipe, priced, product, { recursive, iconUrl = null }) {
+    const embed = new EmbedBuilder()
+        .setColor(0xADD8E6)
+        .setTitle(`🔨 ${item.name} 제작비`)
+        .setTimestamp();
+
+    if (iconUrl) {
+        embed.setThumbnail(iconUrl);
+    }
+
+    const craftType = CRAFT_TYPE_NAMES[recipe.craftType] || '제작';
+    const mode = recursive ? '기본 재료까지 전체 펼침' : '레시피 1단계';
+
+    let totalCost = 0;
+    const missing = [];
+    const short = [];
+    const lines = [];
+
+    for (const material of priced) {
+        if (!material.plan) {
+            missing.push(material.name);
+            lines.push(`**${material.name}** x${material.amount} — NQ 매물 없음`);
+            continue;
+        }
+        if (!material.plan.fulfilled) {
+            short.push(material.name);
+        }
+        totalCost += material.plan.cost;
+        lines.push(formatMaterialLine(material));
+    }
+
+    embed.setDescription(`${craftType} · 완성품 ${recipe.resultAmount}개 · ${mode}\n\n${lines.join('\n')}`);
+
+    embed.addFields({
+        name: '재료 구매 총액',
+        value: `${totalCost.toLocaleString()} 길${missing.length + short.length > 0 ? ' (매물 없는 재료 제외, 모자란 재료는 있는 만큼만)' : ''}`,
+        inline: true
+    });
+
+    if (product) {
+        const revenue = product.price * recipe.resultAmount;
+        const netRevenue = Math.floor(revenue * (1 - MARKET_TAX_RATE));
+        const profit = netRevenue - totalCost;
+        const margin = totalCost > 0 ? Math.round((profit / totalCost) * 100) : null;
+
+        embed.addFields(
+            {
+                name: '완성품 NQ 최저가',
+                value: `${product.server} ${product.price.toLocaleString()} 길${recipe.resultAmount > 1 ? ` x${recipe.resultAmount}` : ''}`,
+                inline: true
+            },
+            {
+                name: '예상 이익 (수수료 5% 제외)',
+                value: `${profit >= 0 ? '+' : ''}${profit.toLocaleString()} 길${margin !== null ? ` (${margin >= 0 ? '+' : ''}${margin}%)` : ''}`,
+                inline: true
+            }
+        );
+
+        embed.setColor(profit >= 0 ? 0x57F287 : 0xED4245);
+    } else {
+        embed.addFields({ name: '완성품 NQ 최저가', value: '매물 없음', inline: true });
+    }
+
+    const warnings = [];
+    if (missing.length > 0) warnings.push(`⚠️ NQ 매물이 없는 재료: ${missing.join(', ')}`);
+    if (short.length > 0) warnings.push(`⚠️ 매물이 필요한 수량보다 적은 재료: ${short.join(', ')}`);
+    if (warnings.length > 0) {
+        embed.setFooter({ text: warnings.join('\n') });
+    }
+
+    return embed;
+}
+
+/**
+ * !제작비 명령어 처리
+ * @param {import('discord.js').Message} message
+ * @param {string} argsText "!제작비" 뒤의 문자열
+ */
+async function handleCraftCostCommand(message, argsText) {
+    const tokens = argsText.split(/\s+/).filter(Boolean);
+    const recursive = tokens.length > 1 && tokens[tokens.length - 1] === '전체';
+    if (recursive) {
+        tokens.pop();
+    }
+    const itemName = tokens.join(' ');
+
+    if (!itemName) {
+        return message.reply('아이템 이름을 입력해주세요.\n예: `!제작비 염료: 순백색` 또는 `!제작비 염료: 순백색 전체` (중간 재료까지 펼침)');
+    }
+
+    if (recipeDB.size === 0) {
+        return message.reply('레시피 DB가 없어 제작비를 계산할 수 없습니다. 관리자에게 DB 업데이트를 요청해주세요.');
+    }
+
+    const searchMsg = await message.reply(`🔍 **${itemName}** 검색 중...`);
+
+    try {
+        const { item, iconUrl } = await findItemByName(itemName);
+        if (!item) {
+            return searchMsg.edit(`**${itemName}**을(를) 찾을 수 없습니다.`);
+        }
+
+        const recipe = getRecipe(item.id);
+        if (!recipe) {
+            return searchMsg.edit(`**${item.name}**은(는) 제작할 수 있는 아이템이 아닙니다.`);
+        }
+
+        const materials = expandRecipe(recipe, recipe.resultAmount, recursive);
+        await searchMsg.edit(`🔨 **${item.name}** 재료 ${materials.size}종 시세 조회 중...`);
+
+        const { priced, product } = await priceMaterials(materials, item.id);
+
+        const embed = createCraftCostEmbed(item, recipe, priced, product, { recursive, iconUrl });
+        await searchMsg.edit({ content: null, embeds: [embed] });
+    } catch (error) {
+        console.error('제작비 조회 오류:', error);
+        await searchMsg.edit(`오류가 발생했습니다: ${error.message}`);
+    }
+}
+
+module.exports = {
+    loadRecipeDB,
+    reloadRecipeDB,
+    priceMaterials,
+    handleCraftCostCommand,
+};
@@ -0,0 +1,369 @@
+/**
+ * 리테이너 가격 역전 알림
+ *
+ * !리테이너 등록 <리테이너이름> <서버>
+ * !리테이너 추가 [리테이너이름] <아이템>
+ * !리테이너 제외 [리테이너이름] <아이템>
+ * !리테이너 목록
+ * !리테이너 삭제 <리테이너이름>
+ *
+ * Universalis 매물 정보에는 판매 리테이너 이름(retainerName)이 들어 있어서, 등록한 아이템의
+ * Korea DC 시세를 주기적으로 확인해 내 리테이너 매물보다 싼 매물이 같은 서버에 올라오면 DM으로 알려줍니다.
+ * (Universalis에는 리테이너 이름으로 매물을 찾는 기능이 없으므로 확인할 아이템은 직접 추가해야 합니다)
+ *
+ * 등록 정보는 data/retainers.json 에 저장됩니다.
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const { findItemByName, isMarketable } = require('./items');
+const { KOREAN_SERVERS, getAllKoreanServerPrices } = require('./universalis');
+const { dataPath, loadJSON, saveJSON } = require('./json-store');
+
+const RETAINERS_PATH = dataPath('retainers.json');
+
+// 사용자당 최대 리테이너 수, 리테이너당 최대 아이템 수
+const MAX_RETAINERS_PER_USER = 10;
+const MAX_ITEMS_PER_RETAINER = 20;
+
+// 매물 확인 주기 (기본 10분, RETAINER_CHECK_INTERVAL_MINUTES 로 변경 가능)
+const RETAINER_CHECK_INTERVAL_MS = (parseInt(process.env.RETAINER_CHECK_INTERVAL_MINUTES, 10) || 10) * 60 * 1000;
+
+// 아이템별 조회 사이 대기 시간 (Universalis 부하 방지)
+const RETAINER_REQUEST_DELAY_MS = 1000;
+
+const USAGE_TEXT = [
+    '**리테이너 가격 역전 알림 사용법**',
+    '`!리테이너 등록 <리테이너이름> <서버>` - 예: `!리테이너 등록 모모 모그리`',
+    '`!리테이너 추가 [리테이너이름] <아이템>` - 확인할 아이템 추가 (리테이너가 하나면 이름 생략 가능)',
+    '`!리테이너 제외 [리테이너이름] <아이템>` - 확인할 아이템 빼기',
+    '`!리테이너 목록` - 내 리테이너와 아이템 목록',
+    '`!리테이너 삭제 <리테이너이름>` - 리테이너 등록 해제',
+].join('\n');
+
+// { nextId, retainers: [{ id, userId, guildId, channelId, name, server, createdAt,
+//                         items: [{ itemId, itemName, lastNotified: { NQ?: { ownPrice, competingPrice }, HQ?: ... } }] }] }
+let store = null;
+
+function getStore() {
+    if (!store) {
+        store = loadJSON(RETAINERS_PATH, { nextId: 1, retainers: [] });
+    }
+    return store;
+}
+
+function saveStore() {
+    try {
+        saveJSON(RETAINERS_PATH, getStore());
+    } catch (error) {
+        console.error('리테이너 저장 실패:', error.message);
+    }
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * 사용자의 리테이너 목록 (등록 순)
+ */
+function getUserRetainers(userId) {
+    return getStore().retainers
+        .filter(retainer => retainer.userId === userId)
+        .sort((a, b) => a.id - b.id);
+}
+
+/**
+ * 리테이너 이름은 대소문자를 가리지 않음 (게임 안에서 같은 이름을 대소문자만 바꿔 만들 수 없음)
+ */
+function isSameRetainerName(a, b) {
+    return (a || '').toLowerCase() === (b || '').toLowerCase();
+}
+
+/**
+ * !리테이너 추가/제외 인자에서 리테이너와 아이템 이름 나누기
+ * 첫 단어가 내 리테이너 이름이면 그 리테이너, 아니면 리테이너가 하나뿐일 때 그 리테이너
+ *
+ * @returns {{ retainer: object|null, itemName: string }}
+ */
+function resolveRetainerArgs(retainers, tokens) {
+    const named = retainers.find(retainer => isSameRetainerName(retainer.name, tokens[0]));
+    if (named && tokens.length > 1) {
+        return { retainer: named, itemName: tokens.slice(1).join(' ') };
+    }
+    return { retainer: retainers.length === 1 ? retainers[0] : null, itemName: tokens.join(' ') };
+}
+
+/**
+ * 리테이너 매물보다 싼 매물 찾기 (같은 서버, 같은 품질)
+ * 품질마다 내 최저가와 다른 판매자의 최저가를 비교
+ *
+ * @param {{ name: string, server: string }} retainer
+ * @param {object} data getAllKoreanServerPrices 결과
+ * @returns {{ quality: 'NQ'|'HQ', ownPrice: number, competingPrice: number, competingRetainer: string|null, competingQuantity: number }[]}
+ */
+function findUndercuts(retainer, data) {
+    const serverResult = data.servers.find(r => r.server === retainer.server);
+    if (!serverResult || serverResult.error || !serverResult.listings) {
+        return [];
+    }
+
+    const undercuts = [];
+    for (const hq of [false, true]) {
+        const listings = serverResult.listings.filter(l => l.hq === hq);
+        const own = listings.filter(l => isSameRetainerName(l.retainerName, retainer.name));
+        if (own.length === 0) continue;
+
+        const ownPrice = Math.min(...own.map(l => l.pricePerUnit));
+        const cheapest = listings
+            .filter(l => !isSameRetainerName(l.retainerName, retainer.name) && l.pricePerUnit < ownPrice)
+            .sort((a, b) => a.pricePerUnit - b.pricePerUnit)[0];
+
+        if (cheapest) {
+            undercuts.push({
+                quality: hq ? 'HQ' : 'NQ',
+                ownPrice,
+                competingPrice: cheapest.pricePerUnit,
+                competingRetainer: cheapest.retainerName,
+                competingQuantity: cheapest.quantity
+            });
+        }
+    }
+
+    return undercuts;
+}
+
+function createUndercutEmbed(retainer, item, undercut) {
+    const competitor = undercut.competingRetainer ? ` · ${undercut.competingRetainer}` : '';
+    return new EmbedBuilder()
+        .setColor(0xFF8C00)
+        .setTitle(`📉 가격 역전: ${item.itemName}`)
+        .setDescription(`**${retainer.name}** (${retainer.server}) 매물보다 싼 ${undercut.quality} 매물이 등록되었습니다.`)
+        .addFields(
+            { name: '내 가격', value: `${undercut.quality} ${undercut.ownPrice.toLocaleString()} 길`, inline: true },
+            { name: '더 싼 매물', value: `${undercut.quality} ${undercut.competingPrice.toLocaleString()} 길 × ${undercut.competingQuantity}${competitor}`, inline: true },
+            { name: '추천 판매가', value: `${Math.max(1, undercut.competingPrice - 1).toLocaleString()} 길`, inline: true }
+        )
+        .setFooter({ text: '알림 해제: !리테이너 제외 <아이템> 또는 !리테이너 삭제 <리테이너이름>' })
+        .setTimestamp();
+}
+
+/**
+ * 알림 전송
+ * DM이 막혀 있으면 리테이너를 등록한 채널로 대신 보냄
+ */
+async function sendUndercutNotification(client, retainer, embed) {
+    try {
+        const user = await client.users.fetch(retainer.userId);
+        await user.send({ embeds: [embed] });
+        return;
+    } catch (error) {
+        console.warn(`리테이너 알림 DM 전송 실패 (${retainer.userId}), 채널로 전송:`, error.message);
+    }
+
+    try {
+        const channel = await client.channels.fetch(retainer.channelId);
+        await channel.send({ content: `<@${retainer.userId}>`, embeds: [embed] });
+    } catch (error) {
+        console.error(`리테이너 알림 채널 전송 실패 (${retainer.channelId}):`, error.message);
+    }
+}
+
+/**
+ * 등록된 모든 리테이너 아이템 확인
+ * 같은 아이템은 한 번만 조회하고, 같은 역전 상황(내 가격, 경쟁 가격)은 한 번만 알림
+ */
+async function checkRetainers(client) {
+    const itemIds = [...new Set(getStore().retainers.flatMap(retainer => retainer.items.map(item => item.itemId)))];
+    let changed = false;
+
+    for (const itemId of itemIds) {
+        let data;
+        try {
+            data = await getAllKoreanServerPrices(itemId);
+        } catch (error) {
+            console.error(`리테이너 시세 조회 실패 (${itemId}):`, error.message);
+            continue;
+        }
+
+        // 조회하는 동안 삭제된 리테이너/아이템은 제외되도록 다시 읽음
+        for (const retainer of getStore().retainers) {
+            const item = retainer.items.find(i => i.itemId === itemId);
+            if (!item) continue;
+
+            const undercuts = findUndercuts(retainer, data);
+            const lastNotified = item.lastNotified || {};
+            const nextNotified = {};
+
+            for (const undercut of undercuts) {
+                const previous = lastNotified[undercut.quality];
+                nextNotified[undercut.quality] = { ownPrice: undercut.ownPrice, competingPrice: undercut.competingPrice };
+
+                // 내 가격이 그대로이고 경쟁 매물이 더 싸지지 않았으면 이미 알린 상황
+                if (previous && previous.ownPrice === undercut.ownPrice && undercut.competingPrice >= previous.competingPrice) {
+                    nextNotified[undercut.quality] = previous;
+                    continue;
+                }
+
+                await sendUndercutNotification(client, retainer, createUndercutEmbed(retainer, item, undercut));
+            }
+
+            // 역전이 풀리면 기록을 지워서 다음 역전 때 다시 알림
+            if (JSON.stringify(nextNotified) !== JSON.stringify(lastNotified)) {
+                item.lastNotified = nextNotified;
+                changed = true;
+            }
+        }
+
+        await sleep(RETAINER_REQUEST_DELAY_MS);
+    }
+
+    if (changed) {
+        saveStore();
+    }
+}
+
+/**
+ * 리테이너 확인 스케줄러 시작
+ * 이전 확인이 끝나지 않았으면 이번 주기는 건너뜀
+ */
+function startRetainerScheduler(client) {
+    let running = false;
+
+    return setInterval(async () => {
+        if (running) return;
+        running = true;
+        try {
+            await checkRetainers(client);
+        } catch (error) {
+            console.error('리테이너 확인 오류:', error);
+        } finally {
+            running = false;
+        }
+    }, RETAINER_CHECK_INTERVAL_MS);
+}
+
+/**
+ * !리테이너 명령어 처리
+ * @param {import('discord.js').Message} message
+ * @param {string} argsText "!리테이너" 뒤의 문자열
+ */
+async function handleRetainerCommand(message, argsText) {
+    const [subcommand, ...tokens] = argsText.split(/\s+/).filter(Boolean);
+    const retainers = getUserRetainers(message.author.id);
+
+    // !리테이너 등록 <리테이너이름> <서버>
+    if (subcommand === '등록') {
+        const [name, serverName] = tokens;
+        const server = KOREAN_SERVERS.find(s => s.name === serverName);
+        if (tokens.length !== 2 || !server) {
+            return message.reply(`${USAGE_TEXT}\n\n서버: ${KOREAN_SERVERS.map(s => s.name).join(', ')}`);
+        }
+        if (retainers.some(retainer => isSameRetainerName(retainer.name, name))) {
+            return message.reply(`**${name}**은(는) 이미 등록된 리테이너입니다.`);
+        }
+        if (retainers.length >= MAX_RETAINERS_PER_USER) {
+            return message.reply(`리테이너는 최대 ${MAX_RETAINERS_PER_USER}개까지 등록할 수 있습니다.`);
+        }
+
+        const currentStore = getStore();
+        currentStore.retainers.push({
+            id: currentStore.nextId++,
+            userId: message.author.id,
+            guildId: message.guild?.id || null,
+            channelId: message.channel.id,
+            name,
+            server: server.name,
+            items: [],
+            createdAt: Date.now()
+        });
+        saveStore();
+
+        return message.reply(`🧑‍💼 리테이너 **${name}** (${server.name})을(를) 등록했습니다. \`!리테이너 추가 ${name} <아이템>\`으로 확인할 아이템을 추가해주세요.`);
+    }
+
+    // !리테이너 추가/제외 [리테이너이름] <아이템>
+    if (subcommand === '추가' || subcommand === '제외') {
+        if (retainers.length === 0) {
+            return message.reply('등록된 리테이너가 없습니다. 먼저 `!리테이너 등록 <리테이너이름> <서버>`로 등록해주세요.');
+        }
+
+        const { retainer, itemName } = resolveRetainerArgs(retainers, tokens);
+        if (!itemName) {
+            return message.reply(USAGE_TEXT);
+        }
+        if (!retainer) {
+            return message.reply(`리테이너가 여러 개라서 이름을 함께 적어주세요. 예: \`!리테이너 ${subcommand} ${retainers[0].name} ${itemName}\``);
+        }
+
+        const { item } = await findItemByName(itemName);
+        if (!item) {
+            return message.reply(`**${itemName}**을(를) 찾을 수 없습니다.`);
+        }
+
+        if (subcommand === '제외') {
+            if (!retainer.items.some(i => i.itemId === item.id)) {
+                return message.reply(`**${retainer.name}**의 확인 목록에 **${item.name}**이(가) 없습니다.`);
+            }
+            retainer.items = retainer.items.filter(i => i.itemId !== item.id);
+            saveStore();
+            return message.reply(`🗑️ **${retainer.name}** 확인 목록에서 **${item.name}**을(를) 뺐습니다.`);
+        }
+
+        if (!isMarketable(item)) {
+            return message.reply(`**${item.name}**은(는) 장터에서 거래할 수 없는 아이템입니다.`);
+        }
+        if (retainer.items.some(i => i.itemId === item.id)) {
+            return message.reply(`**${item.name}**은(는) 이미 **${retainer.name}**의 확인 목록에 있습니다.`);
+        }
+        if (retainer.items.length >= MAX_ITEMS_PER_RETAINER) {
+            return message.reply(`리테이너 하나에 아이템은 최대 ${MAX_ITEMS_PER_RETAINER}개까지 추가할 수 있습니다.`);
+        }
+
+        retainer.items.push({ itemId: item.id, itemName: item.name, lastNotified: {} });
+        saveStore();
+
+        return message.reply(`📦 **${retainer.name}** (${retainer.server}) 매물 중 **${item.name}**보다 싼 매물이 올라오면 DM으로 알려드립니다.`);
+    }
+
+    // !리테이너 목록
+    if (subcommand === '목록') {
+        if (retainers.length === 0) {
+            return message.reply('등록된 리테이너가 없습니다.\n' + USAGE_TEXT);
+        }
+
+        const embed = new EmbedBuilder()
+            .setColor(0xADD8E6)
+            .setTitle(`🧑‍💼 내 리테이너 (${retainers.length}/${MAX_RETAINERS_PER_USER})`)
+            .addFields(retainers.map(retainer => ({
+                name: `${retainer.name} (${retainer.server})`,
+                value: retainer.items.length > 0
+                    ? retainer.items.map(item => `• ${item.itemName}${Object.keys(item.lastNotified || {}).length > 0 ? ' 📉' : ''}`).join('\n')
+                    : '확인할 아이템 없음'
+            })))
+            .setFooter({ text: '📉 현재 더 싼 매물이 있는 아이템' });
+
+        return message.reply({ embeds: [embed] });
+    }
+
+    // !리테이너 삭제 <리테이너이름>
+    if (subcommand === '삭제') {
+        const target = retainers.find(retainer => isSameRetainerName(retainer.name, tokens[0]));
+        if (!target) {
+            return message.reply('등록된 리테이너 이름을 입력해주세요. 이름은 `!리테이너 목록`에서 확인할 수 있습니다.');
+        }
+
+        const currentStore = getStore();
+        currentStore.retainers = currentStore.retainers.filter(retainer => retainer.id !== target.id);
+        saveStore();
+
+        return message.reply(`🗑️ 리테이너 **${target.name}** (${target.server}) 등록을 해제했습니다.`);
+    }
+
+    return message.reply(USAGE_TEXT);
+}
+
+module.exports = {
+    findUndercuts,
+    handleRetainerCommand,
+    startRetainerScheduler,
+};
@@ -0,0 +1,314 @@
+/**
+ * 한국어 아이템 이름 검색 인덱스
+ *
+ * loadKoreanItemDB 시점에 한 번 만들어 두고 검색마다 전체 목록을 훑지 않도록 합니다.
+ * - 공백/문장부호를 무시한 이름 ("염료순백색" → "염료: 순백색")
+ * - 초성 검색 ("ㅇㄹ ㅅㅂㅅ" → "염료: 순백색")
+ * - 위 방법으로 못 찾으면 자모 단위 편집 거리로 오타 보정 ("염료: 순백샥" → "염료: 순백색")
+ * - 아이템에 names(ko/en/ja)가 있으면 모든 언어 이름으로 검색 ("Pure White Dye" → "염료: 순백색")
+ */
+
+const CHOSUNG = ['ㄱ', 'ㄲ', 'ㄴ', 'ㄷ', 'ㄸ', 'ㄹ', 'ㅁ', 'ㅂ', 'ㅃ', 'ㅅ', 'ㅆ', 'ㅇ', 'ㅈ', 'ㅉ', 'ㅊ', 'ㅋ', 'ㅌ', 'ㅍ', 'ㅎ'];
+const JUNGSUNG = ['ㅏ', 'ㅐ', 'ㅑ', 'ㅒ', 'ㅓ', 'ㅔ', 'ㅕ', 'ㅖ', 'ㅗ', 'ㅘ', 'ㅙ', 'ㅚ', 'ㅛ', 'ㅜ', 'ㅝ', 'ㅞ', 'ㅟ', 'ㅠ', 'ㅡ', 'ㅢ', 'ㅣ'];
+const JONGSUNG = ['', 'ㄱ', 'ㄲ', 'ㄳ', 'ㄴ', 'ㄵ', 'ㄶ', 'ㄷ', 'ㄹ', 'ㄺ', 'ㄻ', 'ㄼ', 'ㄽ', 'ㄾ', 'ㄿ', 'ㅀ', 'ㅁ', 'ㅂ', 'ㅄ', 'ㅅ', 'ㅆ', 'ㅇ', 'ㅈ', 'ㅊ', 'ㅋ', 'ㅌ', 'ㅍ', 'ㅎ'];
+
+const HANGUL_START = 0xAC00;
+const HANGUL_END = 0xD7A3;
+
+// 초성만으로 된 글자 (호환용 자모 자음)
+const CHOSUNG_PATTERN = /[ㄱ-ㅎ]/;
+
+// 오타 보정 시 편집 거리를 계산할 최대 후보 수
+const FUZZY_CANDIDATE_LIMIT = 500;
+
+/**
+ * 비교용 이름: 소문자, 공백/문장부호 제거
+ */
+function normalizeName(name) {
+    return name.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+function isHangulSyllable(code) {
+    return code >= HANGUL_START && code <= HANGUL_END;
+}
+
+/**
+ * 한글 음절을 초성으로 바꿈 (그 외 문자는 그대로)
+ * 예: "염료순백색" → "ㅇㄹㅅㅂㅅ"
+ */
+function toChosung(text) {
+    let result = '';
+    for (const char of text) {
+        const code = char.charCodeAt(0);
+        result += isHangulSyllable(code) ? CHOSUNG[Math.floor((code - HANGUL_START) / 588)] : char;
+    }
+    return result;
+}
+
+/**
+ * 한글 음절을 자모로 분해 (오타 비교용)
+ * 예: "색" → ["ㅅ", "ㅐ", "ㄱ"]
+ */
+function toJamo(text) {
+    const result = [];
+    for (const char of text) {
+        const code = char.charCodeAt(0);
+        if (!isHangulSyllable(code)) {
+            result.push(char);
+            continue;
+        }
+        const offset = code - HANGUL_START;
+        result.push(CHOSUNG[Math.floor(offset / 588)], JUNGSUNG[Math.floor((offset % 588) / 28)]);
+        if (offset % 28 !== 0) {
+            result.push(JONGSUNG[offset % 28]);
+        }
+    }
+    return result;
+}
+
+/**
+ * 1글자 + 2글자 조각 목록 (중복 제거)
+ */
+function ngramsOf(text) {
+    const chars = [...text];
+    const grams = new Set(chars);
+    for (let i = 0; i < chars.length - 1; i++) {
+        grams.add(chars[i] + chars[i + 1]);
+    }
+    return grams;
+}
+
+/**
+ * 아이템의 검색용 이름 목록 (언어별 이름, 중복 제거)
+ */
+function namesOf(item) {
+    return [...new Set([item.name, ...Object.values(item.names || {})].filter(Boolean))];
+}
+
+function addPostings(postings, text, index) {
+    for (const gram of ngramsOf(text)) {
+        if (!postings.has(gram)) {
+            postings.set(gram, []);
+        }
+        postings.get(gram).push(index);
+    }
+}
+
+/**
+ * 이름이 정확히 일치하는 아이템 (대소문자, 공백/문장부호 무시)
+ *
+ * @returns {object|null}
+ */
+function findExact(index, query) {
+    return index.byName.get(query.trim().toLowerCase()) || index.byNormalized.get(normalizeName(query)) || null;
+}
+
+/**
+ * 검색 인덱스 생성
+ * 이름마다 항목을 하나씩 만들어서, 다른 언어 이름으로도 같은 아이템을 찾을 수 있게 함
+ *
+ * @param {{ id: number, name: string, names?: { ko?: string, en?: string, ja?: string } }[]} items
+ */
+function buildSearchIndex(items) {
+    const entries = [];
+    const byName = new Map();
+    const byNormalized = new Map();
+    const byId = new Map();
+    const postings = new Map();
+    const chosungPostings = new Map();
+
+    for (const item of items) {
+        byId.set(item.id, item);
+
+        for (const name of namesOf(item)) {
+            const normalized = normalizeName(name);
+            if (!normalized) continue;
+
+            const entry = {
+                item,
+                normalized,
+                chosung: toChosung(normalized),
+                length: name.length
+            };
+            const index = entries.push(entry) - 1;
+
+            if (!byName.has(name.toLowerCase())) {
+                byName.set(name.toLowerCase(), item);
+            }
+            if (!byNormalized.has(normalized)) {
+                byNormalized.set(normalized, item);
+            }
+
+            addPostings(postings, normalized, index);
+            addPostings(chosungPostings, entry.chosung, index);
+        }
+    }
+
+    return { entries, byName, byNormalized, byId, postings, chosungPostings };
+}
+
+/**
+ * 검색어 조각이 모두 들어 있는 항목 번호 (조각 목록 교집합)
+ */
+function candidatesFor(postings, query) {
+    const chars = [...query];
+    const grams = chars.length === 1
+        ? [query]
+        : chars.slice(0, -1).map((char, i) => char + chars[i + 1]);
+
+    const lists = [];
+    for (const gram of new Set(grams)) {
+        const list = postings.get(gram);
+        if (!list) return [];
+        lists.push(list);
+    }
+
+    lists.sort((a, b) => a.length - b.length);
+    let result = lists[0];
+    for (const list of lists.slice(1)) {
+        const set = new Set(list);
+        result = result.filter(index => set.has(index));
+    }
+    return result;
+}
+
+// 정렬: 이름 길이순, 같으면 ID 낮은 순
+function compareEntries(a, b) {
+    if (a.length !== b.length) {
+        return a.length - b.length;
+    }
+    return a.item.id - b.item.id;
+}
+
+/**
+ * 부분 일치 검색 (끝 일치 > 시작 일치 > 포함)
+ *
+ * @param {string} field 'normalized' 또는 'chosung'
+ */
+function substringMatches(index, postings, field, query) {
+    const endsWith = [];
+    const startsWith = [];
+    const contains = [];
+
+    for (const i of candidatesFor(postings, query)) {
+        const entry = index.entries[i];
+        const text = entry[field];
+        if (text.endsWith(query)) {
+            endsWith.push(entry);
+        } else if (text.startsWith(query)) {
+            startsWith.push(entry);
+        } else if (text.includes(query)) {
+            contains.push(entry);
+        }
+    }
+
+    return [
+        ...endsWith.sort(compareEntries),
+        ...startsWith.sort(compareEntries),
+        ...contains.sort(compareEntries)
+    ];
+}
+
+/**
+ * 검색어가 이름의 어느 부분과 가장 비슷한지 (자모 단위, 앞뒤는 무시하는 편집 거리)
+ */
+function substringEditDistance(query, text) {
+    let previous = new Array(text.length + 1).fill(0);
+
+    for (let i = 1; i <= query.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= text.length; j++) {
+            const cost = query[i - 1] === text[j - 1] ? 0 : 1;
+            current.push(Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost));
+        }
+        previous = current;
+    }
+
+    return Math.min(...previous);
+}
+
+/**
+ * 오타 보정 검색
+ * 검색어와 글자가 많이 겹치는 후보만 추려서 자모 편집 거리를 계산
+ */
+function fuzzyMatches(index, query) {
+    const queryChars = [...new Set(query)];
+    const overlap = new Map();
+
+    for (const char of queryChars) {
+        for (const i of index.postings.get(char) || []) {
+            overlap.set(i, (overlap.get(i) || 0) + 1);
+        }
+    }
+
+    const minOverlap = Math.max(1, Math.ceil(queryChars.length / 2));
+    const candidates = [...overlap.entries()]
+        .filter(([, count]) => count >= minOverlap)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, FUZZY_CANDIDATE_LIMIT);
+
+    const queryJamo = toJamo(query);
+    const maxDistance = Math.max(1, Math.floor(queryJamo.length * 0.25));
+
+    const scored = [];
+    for (const [i] of candidates) {
+        const entry = index.entries[i];
+        const distance = substringEditDistance(queryJamo, toJamo(entry.normalized));
+        if (distance <= maxDistance) {
+            scored.push({ entry, distance });
+        }
+    }
+
+    scored.sort((a, b) => a.distance - b.distance || compareEntries(a.entry, b.entry));
+    return scored.map(s => s.entry);
+}
+
+/**
+ * 아이템 검색
+ *
+ * 우선순위:
+ * 1. 정확히 일치 (공백/문장부호 무시 포함)
+ * 2. 검색어로 끝나는 것 > 시작하는 것 > 포함하는 것 (각각 짧은 이름 > 낮은 ID)
+ * 3. (초성이 섞인 검색어) 초성으로 끝/시작/포함
+ * 4. (위에서 못 찾으면) 자모 편집 거리가 가까운 순
+ * prefer가 있으면 정확히 일치한 아이템을 뺀 나머지는 prefer가 true인 아이템을 앞으로 (순서는 유지)
+ *
+ * @param {ReturnType<typeof buildSearchIndex>} index
+ * @param {string} query
+ * @param {number} limit 최대 결과 수
+ * @param {{ prefer?: (item: object) => boolean }} [options]
+ * @returns {object[]} 아이템 목록 (첫 번째가 가장 유력)
+ */
+function searchIndex(index, query, limit, { prefer = null } = {}) {
+    const normalized = normalizeName(query);
+    if (!normalized) {
+        return [];
+    }
+
+    const exact = findExact(index, query);
+
+    let matches = substringMatches(index, index.postings, 'normalized', normalized);
+
+    if (matches.length === 0 && CHOSUNG_PATTERN.test(normalized)) {
+        matches = substringMatches(index, index.chosungPostings, 'chosung', toChosung(normalized));
+    }
+
+    if (matches.length === 0 && !exact) {
+        matches = fuzzyMatches(index, normalized);
+    }
+
+    // 여러 언어 이름이 함께 일치한 아이템은 한 번만
+    let items = [...new Set(matches.map(entry => entry.item))].filter(item => item !== exact);
+    if (prefer) {
+        items = [...items.filter(item => prefer(item)), ...items.filter(item => !prefer(item))];
+    }
+    return (exact ? [exact, ...items] : items).slice(0, limit);
+}
+
+module.exports = {
+    normalizeName,
+    findExact,
+    toChosung,
+    buildSearchIndex,
+    searchIndex,
+};
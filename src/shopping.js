@@ -0,0 +1,370 @@
+/**
+ * 장보기 (여러 아이템 시세 + 서버별 구매 경로)
+ *
+ * !장보기
+ * 염료: 순백색 x3
+ * 불의 수정 x500
+ * 마테리아 XII 2개
+ *
+ * 아이템들을 한 번의 Universalis 다중 조회로 가져와서, 실제 매물 수량 기준으로
+ * 아이템별로 가장 싸게 살 수 있는 서버를 고르고 서버별로 묶어서 보여줍니다.
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const { findItemByName } = require('./items');
+const { KOREAN_SERVERS, getKoreanMarketDataBulk } = require('./universalis');
+
+// 한 번에 받을 수 있는 최대 품목 수
+const MAX_SHOPPING_ITEMS = 30;
+
+// Embed 설명 최대 길이(4096)보다 약간 여유 있게
+const EMBED_DESCRIPTION_LIMIT = 3800;
+
+// 이보다 많이 사면 매물 조합을 따지지 않고 싼 순서대로 구매
+// (조합 계산은 매물 수 × 수량에 비례하고 이벤트 루프를 막으므로, 보통 한 묶음 최대치인 999개까지만)
+const MAX_OPTIMIZED_QUANTITY = 999;
+
+// chooseCheapestTotal 에서 "사지 않음" 표시 (수량은 MAX_OPTIMIZED_QUANTITY 이하라 겹치지 않음)
+const NOT_TAKEN = 0xFFFF;
+
+const USAGE_TEXT = [
+    '**장보기 사용법** (한 줄에 한 아이템, 최대 30개)',
+    '```',
+    '!장보기',
+    '염료: 순백색 x3',
+    '불의 수정 x500',
+    '마테리아 XII 2개',
+    '```',
+].join('\n');
+
+/**
+ * 장보기 목록 파싱
+ * "아이템 x3", "아이템 * 3", "아이템 3개", "아이템" (1개) 형식 지원
+ *
+ * @returns {{ name: string, quantity: number }[]}
+ */
+function parseShoppingList(text) {
+    const entries = [];
+
+    for (const rawLine of text.split('\n')) {
+        const line = rawLine.replace(/^[-•*]\s*/, '').trim();
+        if (!line) continue;
+
+        const match = line.match(/^(.+?)\s*[xX×*]\s*(\d+)\s*개?$/) || line.match(/^(.+?)\s+(\d+)\s*개$/);
+        if (match) {
+            const quantity = parseInt(match[2], 10);
+            if (quantity > 0) {
+                entries.push({ name: match[1].trim(), quantity });
+            }
+        } else {
+            entries.push({ name: line, quantity: 1 });
+        }
+    }
+
+    return entries;
+}
+
+/**
+ * 개당 가격이 싼 순서대로 quantity개가 찰 때까지 고른 매물
+ */
+function chooseCheapestFirst(listings, quantity) {
+    const sorted = [...listings].sort((a, b) => a.pricePerUnit - b.pricePerUnit);
+    const chosen = [];
+    let bought = 0;
+
+    for (const listing of sorted) {
+        if (bought >= quantity) break;
+        chosen.push(listing);
+        bought += listing.quantity;
+    }
+
+    return chosen;
+}
+
+/**
+ * quantity개 이상을 가장 적은 총액으로 사는 매물 조합 (0/1 배낭 문제)
+ * 예: 1개가 필요할 때 [10길 x99, 15길 x1] 이면 990길 묶음 대신 15길 1개
+ *
+ * @param {object[]} listings 후보 매물
+ * @param {number} quantity MAX_OPTIMIZED_QUANTITY 이하
+ */
+function chooseCheapestTotal(listings, quantity) {
+    // minCost[q]: 지금까지 본 매물로 q개 이상(quantity 이상은 quantity로 묶음)을 사는 최소 총액
+    const minCost = new Array(quantity + 1).fill(Infinity);
+    minCost[0] = 0;
+    // from[i][q]: i번째 매물을 사서 q가 됐을 때 사기 전 수량 (사지 않았으면 NOT_TAKEN)
+    const from = listings.map(() => new Uint16Array(quantity + 1).fill(NOT_TAKEN));
+
+    listings.forEach((listing, i) => {
+        const total = listing.pricePerUnit * listing.quantity;
+        // 큰 수량부터 갱신해야 같은 매물을 두 번 사지 않음
+        for (let q = quantity - 1; q >= 0; q--) {
+            if (minCost[q] === Infinity) continue;
+            const next = Math.min(quantity, q + listing.quantity);
+            if (minCost[q] + total < minCost[next]) {
+                minCost[next] = minCost[q] + total;
+                from[i][next] = q;
+            }
+        }
+    });
+
+    const chosen = [];
+    let q = quantity;
+    for (let i = listings.length - 1; i >= 0; i--) {
+        if (from[i][q] !== NOT_TAKEN) {
+            chosen.push(listings[i]);
+            q = from[i][q];
+        }
+    }
+
+    return chosen;
+}
+
+/**
+ * quantity개를 채우는 구매 계획
+ * 장터 매물은 묶음 단위로만 살 수 있으므로 필요한 것보다 많이 살 수도 있음
+ * 매물이 모자라면 전부 구매
+ *
+ * @returns {{ cost: number, bought: number, fulfilled: boolean, servers: Map<number, { bought: number, cost: number }> }}
+ */
+function planPurchase(listings, quantity) {
+    let chosen = chooseCheapestFirst(listings, quantity);
+    const greedyBought = chosen.reduce((sum, listing) => sum + listing.quantity, 0);
+
+    // 싼 순서대로 사서 딱 맞게 채웠으면 그게 최소 총액이고, 모자라면 전부 사야 하므로
+    // 남는 수량이 생길 때만 조합을 다시 계산
+    if (greedyBought > quantity && quantity <= MAX_OPTIMIZED_QUANTITY) {
+        const greedyCost = chosen.reduce((sum, listing) => sum + listing.pricePerUnit * listing.quantity, 0);
+        // 묶음 하나 값이 이미 그 총액 이상인 매물은 더 싼 조합에 들어갈 수 없음
+        const candidates = listings.filter(listing => listing.pricePerUnit * listing.quantity < greedyCost);
+        if (candidates.length > 0) {
+            const optimized = chooseCheapestTotal(candidates, quantity);
+            const optimizedCost = optimized.reduce((sum, listing) => sum + listing.pricePerUnit * listing.quantity, 0);
+            const optimizedBought = optimized.reduce((sum, listing) => sum + listing.quantity, 0);
+            if (optimizedBought >= quantity && optimizedCost < greedyCost) {
+                chosen = optimized;
+            }
+        }
+    }
+
+    const servers = new Map();
+    let cost = 0;
+    let bought = 0;
+
+    for (const listing of chosen) {
+        const total = listing.pricePerUnit * listing.quantity;
+        cost += total;
+        bought += listing.quantity;
+
+        const server = servers.get(listing.worldID) || { bought: 0, cost: 0 };
+        server.bought += listing.quantity;
+        server.cost += total;
+        servers.set(listing.worldID, server);
+    }
+
+    return { cost, bought, fulfilled: bought >= quantity, servers };
+}
+
+/**
+ * 아이템 하나의 구매 계획
+ * 한 서버에서 다 살 수 있으면 그중 가장 싼 서버, 아니면 여러 서버 매물을 합쳐서 구매
+ *
+ * @returns {{ perServer: Map<number, object>, plan: object }}
+ */
+function planItem(listings, quantity) {
+    const perServer = new Map();
+    let best = null;
+
+    for (const server of KOREAN_SERVERS) {
+        const plan = planPurchase(listings.filter(l => l.worldID === server.id), quantity);
+        perServer.set(server.id, plan);
+
+        if (plan.fulfilled && (!best || plan.cost < best.cost)) {
+            best = plan;
+        }
+    }
+
+    return { perServer, plan: best || planPurchase(listings, quantity) };
+}
+
+function serverName(serverId) {
+    return KOREAN_SERVERS.find(s => s.id === serverId)?.name || `서버 #${serverId}`;
+}
+
+/**
+ * 줄 목록을 길이 제한에 맞게 여러 덩어리로 나눔
+ */
+function chunkLines(lines, maxLength) {
+    const chunks = [];
+    let current = '';
+
+    for (const line of lines) {
+        if (current && current.length + line.length + 1 > maxLength) {
+            chunks.push(current);
+            current = '';
+        }
+        current += (current ? '\n' : '') + line;
+    }
+    if (current) {
+        chunks.push(current);
+    }
+
+    return chunks;
+}
+
+/**
+ * 장보기 결과 Embed 목록 생성
+ *
+ * @param {{ name: string, quantity: number, item: object, listings: object[] }[]} resolved
+ * @param {string[]} unresolved 찾지 못한 아이템 이름
+ * @returns {EmbedBuilder[]}
+ */
+function createShoppingEmbeds(resolved, unresolved) {
+    // 서버 ID -> [{ name, quantity, bought, cost }]
+    const route = new Map();
+    const shortages = [];
+    let grandTotal = 0;
+
+    // 서버별로 전부 한 곳에서 살 때의 합계
+    const serverTotals = new Map(KOREAN_SERVERS.map(s => [s.id, { cost: 0, fulfilled: 0 }]));
+
+    for (const entry of resolved) {
+        const { perServer, plan } = planItem(entry.listings, entry.quantity);
+
+        for (const [serverId, serverPlan] of perServer) {
+            if (serverPlan.fulfilled) {
+                const total = serverTotals.get(serverId);
+                total.cost += serverPlan.cost;
+                total.fulfilled++;
+            }
+        }
+
+        if (!plan.fulfilled) {
+            shortages.push(`${entry.item.name} (필요 ${entry.quantity}개, 매물 ${plan.bought}개)`);
+        }
+
+        for (const [serverId, part] of plan.servers) {
+            if (!route.has(serverId)) {
+                route.set(serverId, []);
+            }
+            route.get(serverId).push({ name: entry.item.name, quantity: entry.quantity, ...part });
+            grandTotal += part.cost;
+        }
+    }
+
+    // 서버별 구매 목록 (구매 금액이 큰 서버부터)
+    const lines = [];
+    const sortedRoute = [...route.entries()].sort((a, b) => {
+        const sumA = a[1].reduce((sum, p) => sum + p.cost, 0);
+        const sumB = b[1].reduce((sum, p) => sum + p.cost, 0);
+        return sumB - sumA;
+    });
+
+    for (const [serverId, purchases] of sortedRoute) {
+        const subtotal = purchases.reduce((sum, p) => sum + p.cost, 0);
+        lines.push(`**${serverName(serverId)}** — ${subtotal.toLocaleString()} 길`);
+        for (const p of purchases) {
+            // 묶음 단위 구매로 더 사거나, 여러 서버에 나눠 사는 경우 필요 수량도 표시
+            const extra = p.bought !== p.quantity ? ` (필요 ${p.quantity}개)` : '';
+            lines.push(`• ${p.name} ${p.bought}개 — ${p.cost.toLocaleString()} 길${extra}`);
+        }
+        lines.push('');
+    }
+
+    if (lines.length === 0) {
+        lines.push('목록의 아이템 중 한국 서버에 등록된 매물이 없습니다.');
+    }
+
+    const embeds = chunkLines(lines, EMBED_DESCRIPTION_LIMIT).map((chunk, i, all) =>
+        new EmbedBuilder()
+            .setColor(0xADD8E6)
+            .setTitle(`🛒 장보기 경로${all.length > 1 ? ` (${i + 1}/${all.length})` : ''}`)
+            .setDescription(chunk)
+    );
+
+    // 요약은 별도 Embed로 (메시지당 Embed 글자 수 합계 6000자 제한)
+    const serverTotalLines = KOREAN_SERVERS.map(s => {
+        const total = serverTotals.get(s.id);
+        return `${s.name}: ${total.cost.toLocaleString()} 길 (${total.fulfilled}/${resolved.length} 품목)`;
+    });
+
+    const summary = new EmbedBuilder()
+        .setColor(0xADD8E6)
+        .setTitle('🛒 장보기 요약')
+        .addFields(
+            { name: '총액', value: `${grandTotal.toLocaleString()} 길 · ${route.size}개 서버 방문` },
+            { name: '한 서버에서 모두 살 때', value: serverTotalLines.join('\n') }
+        )
+        .setFooter({ text: 'Powered by Universalis API' })
+        .setTimestamp();
+
+    if (shortages.length > 0) {
+        summary.addFields({ name: '⚠️ 매물 부족', value: shortages.join('\n').slice(0, 1024) });
+    }
+    if (unresolved.length > 0) {
+        summary.addFields({ name: '❓ 찾을 수 없는 아이템', value: unresolved.join(', ').slice(0, 1024) });
+    }
+
+    embeds.push(summary);
+
+    return embeds;
+}
+
+/**
+ * !장보기 명령어 처리
+ * @param {import('discord.js').Message} message
+ * @param {string} argsText "!장보기" 뒤의 문자열 (여러 줄)
+ */
+async function handleShoppingCommand(message, argsText) {
+    const entries = parseShoppingList(argsText);
+
+    if (entries.length === 0) {
+        return message.reply(USAGE_TEXT);
+    }
+    if (entries.length > MAX_SHOPPING_ITEMS) {
+        return message.reply(`한 번에 최대 ${MAX_SHOPPING_ITEMS}개 품목까지 조회할 수 있습니다. (입력: ${entries.length}개)`);
+    }
+
+    const searchMsg = await message.reply(`🛒 ${entries.length}개 품목 검색 중...`);
+
+    try {
+        const resolved = [];
+        const unresolved = [];
+
+        for (const entry of entries) {
+            const { item } = await findItemByName(entry.name);
+            if (item) {
+                resolved.push({ ...entry, item });
+            } else {
+                unresolved.push(entry.name);
+            }
+        }
+
+        if (resolved.length === 0) {
+            return searchMsg.edit(`목록의 아이템을 하나도 찾을 수 없습니다: ${unresolved.join(', ')}`);
+        }
+
+        await searchMsg.edit(`🛒 ${resolved.length}개 품목 시세 조회 중...`);
+
+        const marketData = await getKoreanMarketDataBulk(resolved.map(entry => entry.item.id));
+        for (const entry of resolved) {
+            entry.listings = marketData.get(entry.item.id)?.listings || [];
+        }
+
+        const [first, ...rest] = createShoppingEmbeds(resolved, unresolved);
+        await searchMsg.edit({ content: null, embeds: [first] });
+        for (const embed of rest) {
+            await message.channel.send({ embeds: [embed] });
+        }
+    } catch (error) {
+        console.error('장보기 조회 오류:', error);
+        await searchMsg.edit(`오류가 발생했습니다: ${error.message}`);
+    }
+}
+
+module.exports = {
+    parseShoppingList,
+    planPurchase,
+    planItem,
+    handleShoppingCommand,
+};
@@ -0,0 +1,38 @@
+/**
+ * 슬래시 커맨드 정의
+ *
+ * 봇(index.js)과 등록 스크립트(scripts/register-commands.js)가 함께 사용합니다.
+ * 커맨드를 추가/수정한 뒤에는 `npm run register-commands`로 다시 등록해야 합니다.
+ */
+
+const { SlashCommandBuilder } = require('discord.js');
+
+const commands = [
+    new SlashCommandBuilder()
+        .setName('시세')
+        .setDescription('한국 서버 장터 시세를 조회합니다.')
+        .addStringOption(option =>
+            option
+                .setName('아이템')
+                .setDescription('아이템 이름 (한국어/영어/일본어)')
+                .setRequired(true)
+                .setAutocomplete(true)
+        ),
+    new SlashCommandBuilder()
+        .setName('시세id')
+        .setDescription('아이템 ID로 한국 서버 장터 시세를 조회합니다.')
+        .addIntegerOption(option =>
+            option
+                .setName('아이템id')
+                .setDescription('아이템 ID (예: 17534)')
+                .setRequired(true)
+                .setMinValue(1)
+        ),
+    new SlashCommandBuilder()
+        .setName('도움')
+        .setDescription('시세 봇 사용법을 표시합니다.'),
+];
+
+module.exports = {
+    commands: commands.map(command => command.toJSON()),
+};
@@ -0,0 +1,58 @@
+/**
+ * 판매 기록 통계 계산
+ */
+
+const SECONDS_PER_DAY = 24 * 60 * 60;
+
+// 장터 판매 수수료
+const MARKET_TAX_RATE = 0.05;
+
+/**
+ * 판매 기록 요약
+ * 평균은 판매 수량 가중 평균, 중앙값은 건당 개당 가격 기준
+ *
+ * @param {{ pricePerUnit: number, quantity: number }[]} entries
+ * @returns {{ average: number, median: number, min: number, volume: number, sales: number }|null}
+ */
+function summarizeSales(entries) {
+    if (entries.length === 0) {
+        return null;
+    }
+
+    const prices = entries.map(e => e.pricePerUnit).sort((a, b) => a - b);
+    const middle = Math.floor(prices.length / 2);
+    const median = prices.length % 2 === 0
+        ? Math.round((prices[middle - 1] + prices[middle]) / 2)
+        : prices[middle];
+
+    const volume = entries.reduce((sum, e) => sum + e.quantity, 0);
+    const totalGil = entries.reduce((sum, e) => sum + e.pricePerUnit * e.quantity, 0);
+
+    return {
+        average: Math.round(totalGil / volume),
+        median,
+        min: prices[0],
+        volume,
+        sales: entries.length
+    };
+}
+
+/**
+ * 판매 속도 (하루 판매 수량)
+ * sinceSeconds부터 지금까지 팔린 수량을 일수로 나눔 (기간이 하루보다 짧으면 하루로 계산)
+ *
+ * @param {{ quantity: number }[]} entries sinceSeconds 이후의 판매 기록
+ * @param {number} sinceSeconds 기간 시작 (초)
+ * @param {number} [now] 기준 시각 (ms)
+ */
+function calculateSaleVelocity(entries, sinceSeconds, now = Date.now()) {
+    const days = Math.max(1, (now / 1000 - sinceSeconds) / SECONDS_PER_DAY);
+    const volume = entries.reduce((sum, e) => sum + e.quantity, 0);
+    return volume / days;
+}
+
+module.exports = {
+    MARKET_TAX_RATE,
+    summarizeSales,
+    calculateSaleVelocity,
+};
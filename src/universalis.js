@@ -0,0 +1,472 @@
+/**
+ * Universalis API 시세 조회
+ */
+
+const { getCached, setCached, getOrFetch } = require('./cache');
+const { httpGet, isUpstreamUnavailable } = require('./http');
+const { summarizeSales, calculateSaleVelocity } = require('./stats');
+const { HOME_DATA_CENTER, getDataCenter, resolveScope } = require('./worlds');
+const { getLiveMarketData, seedLiveMarketData } = require('./market-stream');
+
+// 한국 서버 정보 (data/worlds.json 의 기본 데이터센터)
+const KOREAN_SERVERS = getDataCenter(HOME_DATA_CENTER).worlds;
+
+// 데이터센터 조회 시 함께 받는 최근 거래 내역 수 (판매 속도/평균가 계산용)
+const RECENT_HISTORY_ENTRIES = 50;
+
+/**
+ * 최저 매물보다 1길 싸게, 매물이 없으면 최근 거래 중앙값을 추천 판매가로
+ */
+function recommendUndercut(minListingPrice, medianSalePrice) {
+    if (minListingPrice !== null) {
+        return Math.max(1, minListingPrice - 1);
+    }
+    return medianSalePrice ?? null;
+}
+
+/**
+ * 서버별 결과에 넣을 매물 정보 (리테이너 가격 역전 확인용)
+ */
+function toListingSummary(listing) {
+    return {
+        pricePerUnit: listing.pricePerUnit,
+        quantity: listing.quantity,
+        hq: listing.hq,
+        retainerName: listing.retainerName || null
+    };
+}
+
+/**
+ * Universalis API를 통해 특정 서버의 아이템 시세 조회
+ * 응답에 조회 시각(fetchedAt, 캐시된 경우 원래 조회 시각)을 붙여서 반환
+ */
+async function getMarketData(serverId, itemId) {
+    const { value, fetchedAt } = await getOrFetch('market', `${serverId}/${itemId}`, async () => {
+        try {
+            // entries=5로 최근 거래 내역도 가져옴
+            const url = `https://universalis.app/api/v2/${serverId}/${itemId}?entries=5`;
+            const response = await httpGet(url, { timeout: 10000 });
+            return response.data;
+        } catch (error) {
+            if (error.response?.status === 404) {
+                return { hasData: false, listings: [], recentHistory: [] };
+            }
+            throw error;
+        }
+    });
+    return { ...value, fetchedAt };
+}
+
+/**
+ * Universalis 데이터센터(또는 지역) 응답을 서버별 최저가/판매 통계로 요약
+ * 판매 속도와 평균/중앙값은 함께 받은 최근 거래 내역(recentHistory)으로 계산
+ *
+ * @param {object} data Universalis 응답
+ * @param {object[]} [worlds] 응답에 포함된 월드 목록 (기본: 한국 서버)
+ */
+function summarizeDataCenterPrices(data, worlds = KOREAN_SERVERS) {
+    const results = [];
+    const history = data.recentHistory || [];
+    
+    // 최근 거래 내역이 덮는 기간의 시작 (판매 속도 계산 기준)
+    const historySince = history.length > 0 ? Math.min(...history.map(h => h.timestamp)) : null;
+    
+    // 서버별로 최저가 계산
+    for (const server of worlds) {
+        const serverListings = (data.listings || []).filter(l => l.worldID === server.id);
+        
+        let minPriceNQ = null;
+        let minPriceHQ = null;
+        let listingCount = serverListings.length;
+        
+        if (serverListings.length > 0) {
+            const nqListings = serverListings.filter(l => !l.hq);
+            const hqListings = serverListings.filter(l => l.hq);
+            
+            if (nqListings.length > 0) {
+                minPriceNQ = Math.min(...nqListings.map(l => l.pricePerUnit));
+            }
+            if (hqListings.length > 0) {
+                minPriceHQ = Math.min(...hqListings.map(l => l.pricePerUnit));
+            }
+        }
+        
+        // 서버별 판매 통계
+        const serverHistory = history.filter(h => h.worldID === server.id);
+        const saleSummary = summarizeSales(serverHistory);
+        
+        // 서버별 업데이트 시간
+        const worldUploadTime = data.worldUploadTimes?.[server.id] || null;
+        
+        results.push({
+            server: server.name,
+            serverId: server.id,
+            emoji: server.emoji,
+            hasData: listingCount > 0,
+            listingCount,
+            unitsForSale: serverListings.reduce((sum, l) => sum + l.quantity, 0),
+            minPriceNQ,
+            minPriceHQ,
+            saleVelocity: historySince !== null ? calculateSaleVelocity(serverHistory, historySince) : null,
+            // 품질별 판매 속도 (차익 계산에서 그 품질이 얼마나 팔리는지 볼 때 사용)
+            saleVelocityNQ: historySince !== null ? calculateSaleVelocity(serverHistory.filter(h => !h.hq), historySince) : null,
+            saleVelocityHQ: historySince !== null ? calculateSaleVelocity(serverHistory.filter(h => h.hq), historySince) : null,
+            averageSalePrice: saleSummary?.average ?? null,
+            medianSalePrice: saleSummary?.median ?? null,
+            // 품질별 중앙값 (HQ 거래가 NQ 판매가를 끌어올리지 않도록 차익 계산 등에서 사용)
+            medianSalePriceNQ: summarizeSales(serverHistory.filter(h => !h.hq))?.median ?? null,
+            medianSalePriceHQ: summarizeSales(serverHistory.filter(h => h.hq))?.median ?? null,
+            lastUploadTime: worldUploadTime,
+            listings: serverListings.map(toListingSummary)
+        });
+    }
+    
+    // 전체 서버 최근 거래 내역에서 최저가
+    let recentTradeMinNQ = null;
+    let recentTradeMinHQ = null;
+    
+    const nqHistory = history.filter(h => !h.hq);
+    const hqHistory = history.filter(h => h.hq);
+    
+    if (nqHistory.length > 0) {
+        recentTradeMinNQ = Math.min(...nqHistory.map(h => h.pricePerUnit));
+    }
+    if (hqHistory.length > 0) {
+        recentTradeMinHQ = Math.min(...hqHistory.map(h => h.pricePerUnit));
+    }
+    
+    // 서버 통합 통계 (Universalis가 계산한 값이 있으면 우선 사용)
+    const historySummary = summarizeSales(history);
+    const minOf = (values) => {
+        const valid = values.filter(v => v !== null);
+        return valid.length > 0 ? Math.min(...valid) : null;
+    };
+    
+    return {
+        servers: results,
+        recentTradeMinNQ,
+        recentTradeMinHQ,
+        saleVelocity: data.regularSaleVelocity ?? (historySince !== null ? calculateSaleVelocity(history, historySince) : null),
+        averageSalePrice: data.averagePrice || historySummary?.average || null,
+        medianSalePrice: historySummary?.median ?? null,
+        unitsForSale: results.reduce((sum, r) => sum + r.unitsForSale, 0),
+        recommendedPriceNQ: recommendUndercut(minOf(results.map(r => r.minPriceNQ)), summarizeSales(nqHistory)?.median),
+        recommendedPriceHQ: recommendUndercut(minOf(results.map(r => r.minPriceHQ)), summarizeSales(hqHistory)?.median),
+        dcName: data.dcName || data.regionName || HOME_DATA_CENTER
+    };
+}
+
+/**
+ * 데이터센터(또는 지역) 하나의 서버별 시세를 한번에 조회
+ * 조회에 실패하면 만료된 캐시라도 있으면 그것을 반환 (stale 표시), 없으면 에러
+ * 기본 데이터센터(Korea)는 실시간 시세(src/market-stream.js)가 있으면 조회하지 않고 그것을 사용 (live 표시)
+ *
+ * @param {string} scopeName 데이터센터/지역 이름 (예: "Korea", "Mana", "Japan")
+ * @param {number} itemId
+ */
+async function getDataCenterPrices(scopeName, itemId) {
+    const scope = resolveScope(scopeName);
+    if (!scope) {
+        throw new Error(`알 수 없는 데이터센터입니다: ${scopeName}`);
+    }
+
+    const isHome = scope.name === HOME_DATA_CENTER;
+    if (isHome) {
+        const live = getLiveMarketData(itemId);
+        if (live) {
+            return { ...summarizeDataCenterPrices(live, scope.worlds), fetchedAt: Date.now(), live: true };
+        }
+    }
+
+    const cacheKey = `${scope.name}/${itemId}`;
+    try {
+        const { value, fetchedAt } = await getOrFetch('market', cacheKey, async () => {
+            const url = `https://universalis.app/api/v2/${encodeURIComponent(scope.name)}/${itemId}?entries=${RECENT_HISTORY_ENTRIES}`;
+            const response = await httpGet(url, { timeout: 15000 });
+            // 새로 받은 응답부터 실시간 이벤트를 이어 붙임
+            if (isHome) {
+                seedLiveMarketData(itemId, response.data);
+            }
+            return response.data;
+        });
+        return { ...summarizeDataCenterPrices(value, scope.worlds), fetchedAt };
+
+    } catch (error) {
+        // 만료된 캐시라도 있으면 그것을 표시 (stale 표시)
+        const stale = getCached('market', cacheKey, { allowStale: true });
+        if (stale) {
+            console.warn(`${scope.name} 조회 실패, 저장된 데이터 사용 (${itemId}):`, error.message);
+            return { ...summarizeDataCenterPrices(stale.value, scope.worlds), fetchedAt: stale.fetchedAt, stale: true };
+        }
+        throw error;
+    }
+}
+
+/**
+ * 모든 한국 서버의 시세를 한번에 조회 (Korea 데이터센터 사용)
+ */
+async function getAllKoreanServerPrices(itemId) {
+    try {
+        return await getDataCenterPrices(HOME_DATA_CENTER, itemId);
+    } catch (error) {
+        // 점검/요청 제한 중이면 개별 서버 조회(5번 추가 요청)를 하지 않음
+        if (isUpstreamUnavailable(error)) {
+            throw error;
+        }
+        
+        // 데이터센터 조회 실패시 개별 서버 조회로 fallback
+        console.error('Korea DC 조회 실패, 개별 서버 조회 시도:', error.message);
+        return await getAllKoreanServerPricesFallback(itemId);
+    }
+}
+
+// Universalis 다중 아이템 조회 시 한 번에 요청할 수 있는 최대 아이템 수
+const BULK_ITEM_LIMIT = 100;
+
+/**
+ * 여러 아이템의 데이터센터 시세를 한번에 조회 (쉼표로 구분한 아이템 ID)
+ * 캐시에 있는 아이템은 빼고 요청하고, 100개가 넘으면 나눠서 요청
+ *
+ * @param {string} scopeName 데이터센터/지역 이름
+ * @param {number[]} itemIds
+ * @param {{ cache?: boolean }} [options] cache가 false면 캐시를 읽지도 저장하지도 않음
+ *   (차익 검색처럼 아이템 수천 개를 훑을 때 다른 명령어의 캐시를 밀어내지 않도록)
+ * @returns {Promise<Map<number, object>>} itemId -> Universalis 응답 (매물 없는 아이템은 빈 객체)
+ */
+async function getMarketDataBulk(scopeName, itemIds, { cache = true } = {}) {
+    const uniqueIds = [...new Set(itemIds)];
+    const results = new Map();
+    const missingIds = [];
+
+    for (const itemId of uniqueIds) {
+        const hit = cache ? getCached('market', `${scopeName}/${itemId}`) : null;
+        if (hit) {
+            results.set(itemId, hit.value);
+        } else {
+            missingIds.push(itemId);
+        }
+    }
+
+    for (let i = 0; i < missingIds.length; i += BULK_ITEM_LIMIT) {
+        const chunk = missingIds.slice(i, i + BULK_ITEM_LIMIT);
+        const url = `https://universalis.app/api/v2/${encodeURIComponent(scopeName)}/${chunk.join(',')}?entries=${RECENT_HISTORY_ENTRIES}`;
+        let data;
+        try {
+            const response = await httpGet(url, { timeout: 30000 });
+            data = response.data;
+        } catch (error) {
+            // 만료된 캐시로 전부 채울 수 있으면 그것을 사용
+            const staleEntries = chunk.map(itemId => cache ? getCached('market', `${scopeName}/${itemId}`, { allowStale: true }) : null);
+            if (staleEntries.some(entry => !entry)) {
+                throw error;
+            }
+            console.warn(`${scopeName} 다중 조회 실패, 저장된 데이터 사용:`, error.message);
+            chunk.forEach((itemId, index) => results.set(itemId, staleEntries[index].value));
+            continue;
+        }
+
+        for (const itemId of chunk) {
+            // 아이템이 하나면 다중 조회 형식이 아니라 단일 아이템 형식으로 응답함
+            const itemData = chunk.length === 1 ? data : (data.items?.[itemId] || {});
+            if (cache) {
+                setCached('market', `${scopeName}/${itemId}`, itemData);
+            }
+            results.set(itemId, itemData);
+        }
+    }
+
+    return results;
+}
+
+/**
+ * 여러 아이템의 Korea DC 시세를 한번에 조회
+ *
+ * @param {number[]} itemIds
+ * @returns {Promise<Map<number, object>>} itemId -> Universalis 응답
+ */
+function getKoreanMarketDataBulk(itemIds) {
+    return getMarketDataBulk(HOME_DATA_CENTER, itemIds);
+}
+
+/**
+ * 여러 아이템의 한국 서버별 최저가를 한번에 조회
+ *
+ * @param {number[]} itemIds
+ * @param {{ cache?: boolean }} [options] getMarketDataBulk 참고
+ * @returns {Promise<Map<number, object>>} itemId -> getAllKoreanServerPrices와 같은 형식
+ */
+async function getAllKoreanServerPricesBulk(itemIds, { cache = true } = {}) {
+    const marketData = await getMarketDataBulk(HOME_DATA_CENTER, itemIds, { cache });
+    const results = new Map();
+
+    for (const [itemId, data] of marketData) {
+        const cached = cache ? getCached('market', `${HOME_DATA_CENTER}/${itemId}`, { allowStale: true }) : null;
+        const fetchedAt = cached?.fetchedAt ?? Date.now();
+        results.set(itemId, { ...summarizeDataCenterPrices(data), fetchedAt });
+    }
+
+    return results;
+}
+
+/**
+ * 개별 서버 조회 (fallback)
+ */
+async function getAllKoreanServerPricesFallback(itemId) {
+    const results = [];
+    let fetchedAt = null;
+    
+    for (const server of KOREAN_SERVERS) {
+        try {
+            const data = await getMarketData(server.id, itemId);
+            
+            // 가장 오래된 서버 데이터 기준으로 데이터 나이 표시
+            if (fetchedAt === null || data.fetchedAt < fetchedAt) {
+                fetchedAt = data.fetchedAt;
+            }
+            
+            let minPriceNQ = null;
+            let minPriceHQ = null;
+            let listingCount = 0;
+            
+            if (data.listings && data.listings.length > 0) {
+                listingCount = data.listings.length;
+                
+                const nqListings = data.listings.filter(l => !l.hq);
+                const hqListings = data.listings.filter(l => l.hq);
+                
+                if (nqListings.length > 0) {
+                    minPriceNQ = Math.min(...nqListings.map(l => l.pricePerUnit));
+                }
+                if (hqListings.length > 0) {
+                    minPriceHQ = Math.min(...hqListings.map(l => l.pricePerUnit));
+                }
+            }
+            
+            // 서버 단위 조회는 Universalis가 계산한 서버별 통계를 그대로 사용
+            results.push({
+                server: server.name,
+                serverId: server.id,
+                emoji: server.emoji,
+                hasData: data.hasData,
+                listingCount,
+                unitsForSale: data.unitsForSale ?? (data.listings || []).reduce((sum, l) => sum + l.quantity, 0),
+                minPriceNQ,
+                minPriceHQ,
+                saleVelocity: data.regularSaleVelocity ?? null,
+                saleVelocityNQ: data.nqSaleVelocity ?? null,
+                saleVelocityHQ: data.hqSaleVelocity ?? null,
+                averageSalePrice: data.averagePrice || null,
+                medianSalePrice: summarizeSales(data.recentHistory || [])?.median ?? null,
+                medianSalePriceNQ: summarizeSales((data.recentHistory || []).filter(h => !h.hq))?.median ?? null,
+                medianSalePriceHQ: summarizeSales((data.recentHistory || []).filter(h => h.hq))?.median ?? null,
+                lastUploadTime: data.lastUploadTime,
+                listings: (data.listings || []).map(toListingSummary)
+            });
+        } catch (error) {
+            results.push({
+                server: server.name,
+                serverId: server.id,
+                emoji: server.emoji,
+                error: error.message
+            });
+        }
+    }
+    
+    return {
+        servers: results,
+        recentTradeMinNQ: null,
+        recentTradeMinHQ: null,
+        saleVelocity: null,
+        averageSalePrice: null,
+        medianSalePrice: null,
+        unitsForSale: results.reduce((sum, r) => sum + (r.unitsForSale || 0), 0),
+        recommendedPriceNQ: null,
+        recommendedPriceHQ: null,
+        dcName: HOME_DATA_CENTER,
+        fetchedAt: fetchedAt ?? Date.now()
+    };
+}
+
+/**
+ * Korea 데이터센터 판매 기록 조회
+ * 각 항목에 worldID/worldName이 포함되어 서버별로 나눌 수 있음
+ *
+ * @param {number} itemId
+ * @param {number} days 최근 며칠간의 기록
+ * @returns {Promise<object[]>} [{ hq, pricePerUnit, quantity, timestamp(초), worldID, worldName }]
+ */
+async function getSaleHistory(itemId, days) {
+    const { value } = await getOrFetch('history', `${HOME_DATA_CENTER}/${itemId}/${days}`, async () => {
+        try {
+            const entriesWithin = days * 24 * 60 * 60;
+            const url = `https://universalis.app/api/v2/history/${HOME_DATA_CENTER}/${itemId}?entriesToReturn=1800&entriesWithin=${entriesWithin}`;
+            const response = await httpGet(url, { timeout: 15000 });
+            return response.data.entries || [];
+        } catch (error) {
+            if (error.response?.status === 404) {
+                return [];
+            }
+            throw error;
+        }
+    });
+    return value;
+}
+
+/**
+ * 여러 아이템의 Korea DC 거래 내역 (한 번에 최대 BULK_ITEM_LIMIT개씩 조회)
+ * 데이터센터 조회에 딸려 오는 최근 거래는 RECENT_HISTORY_ENTRIES개뿐이라, 기간 안의 거래를 모두 세야 할 때 사용
+ *
+ * @param {number[]} itemIds
+ * @param {number} days 최근 며칠
+ * @returns {Promise<Map<number, object[]>>} itemId -> 거래 내역 (getSaleHistory 와 같은 형식)
+ */
+async function getSaleHistoryBulk(itemIds, days) {
+    const results = new Map();
+    const missingIds = [];
+
+    for (const itemId of new Set(itemIds)) {
+        const hit = getCached('history', `${HOME_DATA_CENTER}/${itemId}/${days}`);
+        if (hit) {
+            results.set(itemId, hit.value);
+        } else {
+            missingIds.push(itemId);
+        }
+    }
+
+    const entriesWithin = days * 24 * 60 * 60;
+    for (let i = 0; i < missingIds.length; i += BULK_ITEM_LIMIT) {
+        const chunk = missingIds.slice(i, i + BULK_ITEM_LIMIT);
+        const url = `https://universalis.app/api/v2/history/${HOME_DATA_CENTER}/${chunk.join(',')}?entriesToReturn=1800&entriesWithin=${entriesWithin}`;
+        let data = {};
+        try {
+            const response = await httpGet(url, { timeout: 30000 });
+            data = response.data;
+        } catch (error) {
+            if (error.response?.status !== 404) {
+                throw error;
+            }
+        }
+
+        for (const itemId of chunk) {
+            // 아이템이 하나면 다중 조회 형식이 아니라 단일 아이템 형식으로 응답함
+            const entries = (chunk.length === 1 ? data : data.items?.[itemId])?.entries || [];
+            setCached('history', `${HOME_DATA_CENTER}/${itemId}/${days}`, entries);
+            results.set(itemId, entries);
+        }
+    }
+
+    return results;
+}
+
+module.exports = {
+    BULK_ITEM_LIMIT,
+    KOREAN_SERVERS,
+    getMarketData,
+    getDataCenterPrices,
+    getAllKoreanServerPrices,
+    getMarketDataBulk,
+    getKoreanMarketDataBulk,
+    getAllKoreanServerPricesBulk,
+    getSaleHistory,
+    getSaleHistoryBulk,
+};
@@ -0,0 +1,321 @@
+/**
+ * 관심 목록 (자주 보는 아이템 모아 보기)
+ *
+ * !관심 추가 <아이템>        내 관심 목록에 추가
+ * !관심 삭제 <번호|아이템>
+ * !관심 목록
+ * !관심 공용 추가/삭제/목록   서버 공용 관심 목록 (추가/삭제는 서버 관리 권한 필요)
+ *
+ * !관심시세 [공용]
+ *   목록의 아이템을 한 번의 Universalis 다중 조회로 가져와서 아이템별 최저가 서버, NQ/HQ 최저가,
+ *   지난번 !관심시세 대비 변동을 페이지로 나눠 보여줍니다.
+ *
+ * 목록과 마지막으로 확인한 가격은 data/watchlists.json 에 저장됩니다.
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const { findItemByName, isMarketable } = require('./items');
+const { getAllKoreanServerPricesBulk } = require('./universalis');
+const { applyServerSettings, hasManagePermission } = require('./guild-settings');
+const { formatAge } = require('./cache');
+const { sendPaginated } = require('./pagination');
+const { dataPath, loadJSON, saveJSON } = require('./json-store');
+
+const WATCHLISTS_PATH = dataPath('watchlists.json');
+
+// 목록 하나의 최대 아이템 수 (Universalis 다중 조회 한 번에 들어가는 수보다 적게)
+const MAX_WATCHLIST_ITEMS = 50;
+
+// 대시보드 한 페이지의 아이템 수
+const PAGE_SIZE = 10;
+
+const USAGE_TEXT = [
+    '**관심 목록 사용법**',
+    '`!관심 추가 <아이템>` - 내 관심 목록에 추가 (최대 50개)',
+    '`!관심 삭제 <번호|아이템>` - 목록에서 삭제',
+    '`!관심 목록` - 내 관심 목록',
+    '`!관심 공용 추가/삭제/목록` - 서버 공용 관심 목록 (추가/삭제는 서버 관리 권한 필요)',
+    '`!관심시세 [공용]` - 관심 목록 시세 한 번에 보기',
+].join('\n');
+
+// { users: { [userId]: list }, guilds: { [guildId]: list } }
+// list: { items: [{ itemId, itemName }], lastPrices: { [itemId]: { nq, hq } }, lastCheckedAt }
+let store = null;
+
+function getStore() {
+    if (!store) {
+        store = loadJSON(WATCHLISTS_PATH, { users: {}, guilds: {} });
+    }
+    return store;
+}
+
+function saveStore() {
+    try {
+        saveJSON(WATCHLISTS_PATH, getStore());
+    } catch (error) {
+        console.error('관심 목록 저장 실패:', error.message);
+    }
+}
+
+/**
+ * 관심 목록 (없으면 만들어서 반환)
+ *
+ * @param {'users'|'guilds'} kind
+ */
+function getList(kind, id) {
+    const lists = getStore()[kind];
+    if (!lists[id]) {
+        lists[id] = { items: [], lastPrices: {}, lastCheckedAt: null };
+    }
+    return lists[id];
+}
+
+/**
+ * 서버 공용 관심 목록의 아이템 ID (일일 시세 요약용)
+ */
+function getGuildWatchlistItemIds(guildId) {
+    return (getStore().guilds[guildId]?.items || []).map(entry => entry.itemId);
+}
+
+/**
+ * 명령어 대상 목록 ("공용"이 붙으면 서버 공용 목록)
+ *
+ * @returns {{ list: object|null, shared: boolean, tokens: string[], error?: string }}
+ */
+function resolveTarget(message, tokens) {
+    if (tokens[0] !== '공용') {
+        return { list: getList('users', message.author.id), shared: false, tokens };
+    }
+    if (!message.guildId) {
+        return { list: null, shared: true, tokens: tokens.slice(1), error: '서버 공용 관심 목록은 서버 채널에서만 사용할 수 있습니다.' };
+    }
+    return { list: getList('guilds', message.guildId), shared: true, tokens: tokens.slice(1) };
+}
+
+/**
+ * 가격 변동 표시 (예: " ▼200", " ▲1,000", " (=)")
+ */
+function formatChange(current, previous) {
+    if (current === null || previous === null || previous === undefined) {
+        return '';
+    }
+    const diff = current - previous;
+    if (diff === 0) return ' (=)';
+    return diff < 0 ? ` ▼${(-diff).toLocaleString()}` : ` ▲${diff.toLocaleString()}`;
+}
+
+/**
+ * 아이템 하나의 대시보드 행 데이터
+ * 서버 설정의 표시 서버/품질 필터를 따름
+ *
+ * @param {{ itemId: number, itemName: string }} entry
+ * @param {object|undefined} data getAllKoreanServerPrices 형식 (조회 실패 시 undefined)
+ * @param {{ nq: number|null, hq: number|null }|undefined} previous 지난번 확인한 최저가
+ * @returns {{ itemName: string, nq: { price: number, server: string }|null, hq: { price: number, server: string }|null, previous: object|null, failed: boolean }}
+ */
+function summarizeWatchItem(entry, data, previous, settings) {
+    if (!data) {
+        return { itemName: entry.itemName, nq: null, hq: null, previous: previous || null, failed: true };
+    }
+
+    const servers = applyServerSettings(data.servers, settings).filter(r => !r.error);
+    const cheapest = (key) => {
+        const best = servers
+            .filter(r => r[key] !== null)
+            .sort((a, b) => a[key] - b[key])[0];
+        return best ? { price: best[key], server: best.server } : null;
+    };
+
+    return {
+        itemName: entry.itemName,
+        nq: settings.quality !== 'HQ' ? cheapest('minPriceNQ') : null,
+        hq: settings.quality !== 'NQ' ? cheapest('minPriceHQ') : null,
+        previous: previous || null,
+        failed: false
+    };
+}
+
+/**
+ * 대시보드 한 줄
+ * 제목 줄에 최저가 서버(NQ 기준, NQ 매물이 없으면 HQ), HQ 최저가 서버가 다르면 HQ 옆에 표시
+ */
+function formatWatchRow(row, index) {
+    if (row.failed) {
+        return `**${index}. ${row.itemName}**\n⚠️ 조회 실패`;
+    }
+
+    const headline = row.nq || row.hq;
+    const title = `**${index}. ${row.itemName}**${headline ? ` · ${headline.server}` : ''}`;
+    if (!headline) {
+        return `${title}\n매물 없음`;
+    }
+
+    const parts = [];
+    if (row.nq) {
+        parts.push(`NQ ${row.nq.price.toLocaleString()} 길${formatChange(row.nq.price, row.previous?.nq)}`);
+    }
+    if (row.hq) {
+        const server = row.hq.server !== headline.server ? ` (${row.hq.server})` : '';
+        parts.push(`HQ ${row.hq.price.toLocaleString()} 길${server}${formatChange(row.hq.price, row.previous?.hq)}`);
+    }
+    return `${title}\n${parts.join(' · ')}`;
+}
+
+/**
+ * 대시보드 한 페이지 Embed
+ */
+function renderDashboard(title, rows, page, lastCheckedAt) {
+    const pageCount = Math.max(1, Math.ceil(rows.length / PAGE_SIZE));
+    const start = page * PAGE_SIZE;
+    const lines = rows.slice(start, start + PAGE_SIZE).map((row, i) => formatWatchRow(row, start + i + 1));
+
+    const footer = [`${page + 1}/${pageCount} 페이지 · ${rows.length}개 아이템`];
+    footer.push(lastCheckedAt ? `▲▼ 지난 확인(${formatAge(lastCheckedAt, Date.now())}) 대비` : '다음 확인부터 가격 변동을 표시합니다');
+
+    const embed = new EmbedBuilder()
+        .setColor(0xADD8E6)
+        .setTitle(title)
+        .setDescription(lines.join('\n\n'))
+        .setFooter({ text: footer.join(' · ') })
+        .setTimestamp();
+
+    return { embeds: [embed] };
+}
+
+/**
+ * !관심시세 명령어 처리
+ * @param {import('discord.js').Message} message
+ * @param {string} argsText "!관심시세" 뒤의 문자열
+ * @param {object} settings getGuildSettings 결과
+ */
+async function handleWatchDashboardCommand(message, argsText, settings) {
+    const { list, shared, error } = resolveTarget(message, argsText.split(/\s+/).filter(Boolean));
+    if (error) {
+        return message.reply(error);
+    }
+    if (list.items.length === 0) {
+        return message.reply(`${shared ? '서버 공용' : '내'} 관심 목록이 비어 있습니다.\n${USAGE_TEXT}`);
+    }
+
+    const items = [...list.items];
+    const searchMsg = await message.reply(`📈 관심 목록 ${items.length}개 아이템 시세 조회 중...`);
+
+    let prices;
+    try {
+        prices = await getAllKoreanServerPricesBulk(items.map(entry => entry.itemId));
+    } catch (error) {
+        console.error('관심 시세 조회 오류:', error);
+        return searchMsg.edit(`오류가 발생했습니다: ${error.message}`);
+    }
+
+    const rows = items.map(entry => summarizeWatchItem(entry, prices.get(entry.itemId), list.lastPrices[entry.itemId], settings));
+    const previousCheckedAt = list.lastCheckedAt;
+
+    // 이번 가격을 다음 비교 기준으로 저장 (조회에 실패한 아이템은 이전 기준 유지)
+    rows.forEach((row, i) => {
+        if (!row.failed) {
+            list.lastPrices[items[i].itemId] = { nq: row.nq?.price ?? null, hq: row.hq?.price ?? null };
+        }
+    });
+    list.lastCheckedAt = Date.now();
+    saveStore();
+
+    const title = `📈 ${shared ? `${message.guild?.name || '서버'} 공용` : `${message.author.username || '내'}`} 관심 시세`;
+    await sendPaginated(searchMsg, {
+        authorId: message.author.id,
+        commandName: '!관심시세',
+        prefix: 'watchlist',
+        pageCount: Math.ceil(rows.length / PAGE_SIZE),
+        render: page => renderDashboard(title, rows, page, previousCheckedAt)
+    });
+}
+
+/**
+ * !관심 명령어 처리
+ * @param {import('discord.js').Message} message
+ * @param {string} argsText "!관심" 뒤의 문자열
+ */
+async function handleWatchlistCommand(message, argsText) {
+    const target = resolveTarget(message, argsText.split(/\s+/).filter(Boolean));
+    if (target.error) {
+        return message.reply(target.error);
+    }
+
+    const { list, shared } = target;
+    const [subcommand, ...tokens] = target.tokens;
+    const listName = shared ? '서버 공용 관심 목록' : '내 관심 목록';
+
+    if ((subcommand === '추가' || subcommand === '삭제') && shared && !hasManagePermission(message)) {
+        return message.reply('서버 공용 관심 목록은 **서버 관리하기** 권한이 있는 사람만 바꿀 수 있습니다.');
+    }
+
+    // !관심 추가 <아이템>
+    if (subcommand === '추가') {
+        const itemName = tokens.join(' ');
+        if (!itemName) {
+            return message.reply(USAGE_TEXT);
+        }
+        if (list.items.length >= MAX_WATCHLIST_ITEMS) {
+            return message.reply(`관심 목록에는 최대 ${MAX_WATCHLIST_ITEMS}개까지 넣을 수 있습니다.`);
+        }
+
+        const { item } = await findItemByName(itemName);
+        if (!item) {
+            return message.reply(`**${itemName}**을(를) 찾을 수 없습니다.`);
+        }
+        if (!isMarketable(item)) {
+            return message.reply(`**${item.name}**은(는) 장터에서 거래할 수 없는 아이템입니다.`);
+        }
+        if (list.items.some(entry => entry.itemId === item.id)) {
+            return message.reply(`**${item.name}**은(는) 이미 ${listName}에 있습니다.`);
+        }
+
+        list.items.push({ itemId: item.id, itemName: item.name });
+        saveStore();
+        return message.reply(`⭐ **${item.name}**을(를) ${listName}에 추가했습니다. (${list.items.length}/${MAX_WATCHLIST_ITEMS})`);
+    }
+
+    // !관심 삭제 <번호|아이템>
+    if (subcommand === '삭제') {
+        const query = tokens.join(' ');
+        let index = /^\d+$/.test(query) ? parseInt(query, 10) - 1 : -1;
+        if (index < 0 && query) {
+            const { item } = await findItemByName(query);
+            index = item ? list.items.findIndex(entry => entry.itemId === item.id) : -1;
+        }
+        if (index < 0 || index >= list.items.length) {
+            return message.reply(`${listName}에 없는 아이템입니다. 번호는 \`!관심 ${shared ? '공용 ' : ''}목록\`에서 확인할 수 있습니다.`);
+        }
+
+        const [removed] = list.items.splice(index, 1);
+        delete list.lastPrices[removed.itemId];
+        saveStore();
+        return message.reply(`🗑️ **${removed.itemName}**을(를) ${listName}에서 삭제했습니다.`);
+    }
+
+    // !관심 목록
+    if (subcommand === '목록') {
+        if (list.items.length === 0) {
+            return message.reply(`${listName}이 비어 있습니다.\n${USAGE_TEXT}`);
+        }
+
+        const embed = new EmbedBuilder()
+            .setColor(0xADD8E6)
+            .setTitle(`⭐ ${listName} (${list.items.length}/${MAX_WATCHLIST_ITEMS})`)
+            .setDescription(list.items.map((entry, i) => `${i + 1}. ${entry.itemName}`).join('\n'))
+            .setFooter({ text: `시세 보기: !관심시세${shared ? ' 공용' : ''} · 삭제: !관심 ${shared ? '공용 ' : ''}삭제 <번호>` });
+
+        return message.reply({ embeds: [embed] });
+    }
+
+    return message.reply(USAGE_TEXT);
+}
+
+module.exports = {
+    getGuildWatchlistItemIds,
+    formatChange,
+    summarizeWatchItem,
+    formatWatchRow,
+    handleWatchlistCommand,
+    handleWatchDashboardCommand,
+};
@@ -0,0 +1,108 @@
+/**
+ * 월드 / 데이터센터 / 지역 목록
+ *
+ * data/worlds.json 에서 읽어옵니다. Universalis는 월드 ID, 데이터센터 이름("Mana"),
+ * 지역 이름("Japan")을 모두 조회 범위로 받으므로 시세 조회 코드는 범위 이름만 넘기면 됩니다.
+ *
+ * {
+ *   home: "Korea",                       // 기본 시세 조회 데이터센터
+ *   compareDefaults: ["Mana", ...],      // !시세비교 기본 비교 대상
+ *   regions: [{ name, label, aliases, dataCenters: [{ name, label, aliases, worlds: [{ id, name, emoji }] }] }]
+ * }
+ */
+
+const { dataPath, loadJSON } = require('./json-store');
+
+const WORLDS_PATH = dataPath('worlds.json');
+
+function loadRegistry() {
+    const registry = loadJSON(WORLDS_PATH, null);
+    if (!registry?.regions?.length) {
+        throw new Error(`월드 목록을 읽을 수 없습니다: ${WORLDS_PATH}`);
+    }
+
+    const dataCenters = [];
+    for (const region of registry.regions) {
+        for (const dc of region.dataCenters) {
+            dc.region = region.name;
+            dc.worlds = dc.worlds.map(world => ({ emoji: '', ...world, dataCenter: dc.name }));
+            dataCenters.push(dc);
+        }
+    }
+
+    return { ...registry, dataCenters };
+}
+
+const registry = loadRegistry();
+
+// 기본 시세 조회 데이터센터 이름 (Korea)
+const HOME_DATA_CENTER = registry.home;
+
+const worldsById = new Map(registry.dataCenters.flatMap(dc => dc.worlds.map(world => [world.id, world])));
+
+function matchesName(entry, name) {
+    const lower = name.toLowerCase();
+    return entry.name.toLowerCase() === lower || (entry.aliases || []).some(alias => alias.toLowerCase() === lower);
+}
+
+/**
+ * 데이터센터 이름(또는 별칭)으로 찾기
+ */
+function getDataCenter(name) {
+    return registry.dataCenters.find(dc => matchesName(dc, name)) || null;
+}
+
+/**
+ * 월드 ID로 찾기
+ */
+function getWorldById(id) {
+    return worldsById.get(id) || null;
+}
+
+/**
+ * 조회 범위 이름 해석 (데이터센터 또는 지역, 한국어 별칭 포함)
+ *
+ * @returns {{ name: string, label: string, worlds: object[] }|null} name은 Universalis API 경로에 쓰는 이름
+ */
+function resolveScope(name) {
+    const dc = getDataCenter(name);
+    if (dc) {
+        return { name: dc.name, label: dc.label || dc.name, worlds: dc.worlds };
+    }
+
+    const region = registry.regions.find(r => matchesName(r, name));
+    if (region) {
+        return {
+            name: region.name,
+            label: region.label || region.name,
+            worlds: region.dataCenters.flatMap(d => d.worlds)
+        };
+    }
+
+    return null;
+}
+
+/**
+ * !시세비교 기본 비교 대상
+ */
+function getCompareDefaults() {
+    return registry.compareDefaults || [];
+}
+
+/**
+ * 비교 대상으로 쓸 수 있는 데이터센터/지역 이름 (안내 문구용)
+ */
+function listScopeNames() {
+    return registry.regions
+        .filter(region => region.dataCenters.every(dc => dc.name !== HOME_DATA_CENTER))
+        .map(region => `${region.name}: ${region.dataCenters.map(dc => dc.name).join(', ')}`);
+}
+
+module.exports = {
+    HOME_DATA_CENTER,
+    getDataCenter,
+    getWorldById,
+    resolveScope,
+    getCompareDefaults,
+    listScopeNames,
+};
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { isBotOwner, handleAdminCommand } = require('../src/admin');
+const { formatCountDelta } = require('../src/item-db-reload');
+
+function fakeClient(owner) {
+    return { application: { fetch: async () => ({ owner }) } };
+}
+
+test('BOT_OWNER_IDS 가 없으면 애플리케이션 소유자(팀이면 팀 멤버)를 소유자로 본다', async () => {
+    delete process.env.BOT_OWNER_IDS;
+    assert.strictEqual(await isBotOwner(fakeClient({ id: '1' }), '1'), true);
+    assert.strictEqual(await isBotOwner(fakeClient({ id: '1' }), '2'), false);
+    assert.strictEqual(await isBotOwner(fakeClient({ members: new Map([['3', {}]]) }), '3'), true);
+
+    process.env.BOT_OWNER_IDS = '4, 5';
+    assert.strictEqual(await isBotOwner(fakeClient({ id: '1' }), '5'), true);
+    assert.strictEqual(await isBotOwner(fakeClient({ id: '1' }), '1'), false);
+    delete process.env.BOT_OWNER_IDS;
+});
+
+test('소유자가 아니면 관리 명령어를 거부한다', async () => {
+    const replies = [];
+    const message = {
+        client: fakeClient({ id: 'owner' }),
+        author: { id: 'someone' },
+        reply: async content => replies.push(content),
+    };
+
+    await handleAdminCommand(message, 'db리로드');
+    assert.deepStrictEqual(replies, ['봇 소유자만 사용할 수 있는 명령어입니다.']);
+});
+
+test('아이템 수 변화 표시', () => {
+    assert.strictEqual(formatCountDelta(1000, 1006), '1,000개 → 1,006개 (+6)');
+    assert.strictEqual(formatCountDelta(10, 8), '10개 → 8개 (-2)');
+    assert.strictEqual(formatCountDelta(10, 10), '10개 → 10개 (±0)');
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseArbitrageArgs, findFlips } = require('../src/arbitrage');
+
+function server(name, minPriceNQ, saleVelocity, extra = {}) {
+    return {
+        server: name, minPriceNQ, minPriceHQ: null,
+        saleVelocity, saleVelocityNQ: saleVelocity, saleVelocityHQ: saleVelocity,
+        medianSalePriceNQ: null, medianSalePriceHQ: null,
+        ...extra
+    };
+}
+
+test('마지막 숫자는 최소이익, 나머지는 카테고리 이름', () => {
+    assert.deepStrictEqual(parseArbitrageArgs(''), { categoryName: null, minProfit: 1000 });
+    assert.deepStrictEqual(parseArbitrageArgs('염료 3,000'), { categoryName: '염료', minProfit: 3000 });
+    assert.deepStrictEqual(parseArbitrageArgs('손 보조구'), { categoryName: '손 보조구', minProfit: 1000 });
+    assert.deepStrictEqual(parseArbitrageArgs('5000'), { categoryName: null, minProfit: 5000 });
+});
+
+test('수수료 5%를 빼고 이익이 남는 판매 서버 중 이익 × 판매 속도가 가장 큰 곳을 고른다', () => {
+    const data = {
+        servers: [
+            server('카벙클', 1000, 1),
+            // 이익은 가장 크지만 거의 팔리지 않음
+            server('초코보', 5001, 0.1),
+            // 2000 → 1999 × 0.95 = 1899 - 1000 = 899
+            server('모그리', 2000, 10),
+            server('톤베리', 100000, 100, { error: 'timeout' }),
+            // 팔린 기록이 없는 서버는 제외
+            server('펜리르', 9000, null)
+        ]
+    };
+
+    assert.deepStrictEqual(findFlips(data, { minProfit: 500 }), [{
+        quality: 'NQ',
+        buyServer: '카벙클',
+        buyPrice: 1000,
+        sellServer: '모그리',
+        sellPrice: 1999,
+        fromSales: false,
+        profit: 899,
+        velocity: 10,
+        score: 8990
+    }]);
+
+    // 최소이익보다 적은 서버는 제외
+    assert.strictEqual(findFlips(data, { minProfit: 1000 })[0].sellServer, '초코보');
+    assert.deepStrictEqual(findFlips(data, { minProfit: 5000 }), []);
+});
+
+test('판매 서버에 매물이 없으면 같은 품질의 최근 거래 중앙값으로 계산하고 품질 필터를 따른다', () => {
+    const data = {
+        servers: [
+            server('카벙클', 1000, 2, { minPriceHQ: 3000 }),
+            // NQ/HQ를 섞은 중앙값(medianSalePrice)은 쓰지 않음
+            server('모그리', null, 4, { medianSalePrice: 4500, medianSalePriceNQ: 2000, medianSalePriceHQ: 5000 })
+        ]
+    };
+
+    const flips = findFlips(data, { minProfit: 100 });
+    assert.deepStrictEqual(flips.map(f => [f.quality, f.sellServer, f.sellPrice, f.fromSales, f.profit]), [
+        ['NQ', '모그리', 2000, true, 900],
+        ['HQ', '모그리', 5000, true, 1750]
+    ]);
+    assert.deepStrictEqual(findFlips(data, { minProfit: 100, quality: 'HQ' }).map(f => f.quality), ['HQ']);
+});
+
+test('판매 속도도 같은 품질의 거래만 센다', () => {
+    const data = {
+        servers: [
+            server('카벙클', 1000, 1, { minPriceHQ: 3000 }),
+            // NQ는 잘 팔리지만 HQ는 거의 안 팔림
+            server('모그리', 2000, 11, { minPriceHQ: 8000, saleVelocityNQ: 10, saleVelocityHQ: 1 }),
+            server('초코보', 2000, 5, { minPriceHQ: 6000, saleVelocityNQ: 1, saleVelocityHQ: 4 }),
+            // HQ 거래 기록이 없으면 HQ 판매 서버에서 제외
+            server('톤베리', 2000, 3, { minPriceHQ: 9000, saleVelocityNQ: 3, saleVelocityHQ: 0 })
+        ]
+    };
+
+    assert.deepStrictEqual(findFlips(data, { minProfit: 100 }).map(f => [f.quality, f.sellServer, f.velocity]), [
+        ['NQ', '모그리', 10],
+        ['HQ', '초코보', 4]
+    ]);
+});
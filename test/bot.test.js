@@ -0,0 +1,280 @@
+const test = require('node:test');
+const { mock } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+// DB 로드/dotenv 로그가 테스트 결과 출력(stdout)에 섞이지 않도록
+mock.method(console, 'log', () => {});
+
+const { loadKoreanItemDB, searchKoreanItem } = require('../src/items');
+const { getAllKoreanServerPrices, getSaleHistoryBulk } = require('../src/universalis');
+const { createResultEmbed, toCommandText, handleMessage, handleInteraction } = require('../index');
+const {
+    createFakeMessage,
+    createFakeInteraction,
+    loadUniversalisFixture,
+    mockUniversalis,
+} = require('./helpers/fake-discord');
+
+loadKoreanItemDB(path.join(__dirname, 'fixtures', 'items.json'));
+
+// 시세 캐시는 모듈 안에 남으므로 테스트마다 다른 아이템을 사용
+const KOREA_13114 = loadUniversalisFixture('korea-13114');
+const KOREA_13115_EMPTY = loadUniversalisFixture('korea-13115-empty');
+const WORLD_2077_5106 = loadUniversalisFixture('world-2077-5106');
+
+test('searchKoreanItem 은 한국어/영어/일본어 이름으로 찾는다', () => {
+    assert.strictEqual(searchKoreanItem('염료: 순백색').item.id, 13114);
+    assert.strictEqual(searchKoreanItem('copper ore').item.id, 5106);
+    assert.strictEqual(searchKoreanItem('銅鉱').item.id, 5106);
+
+    const { item, suggestions } = searchKoreanItem('염료');
+    assert.deepStrictEqual([item, ...suggestions].map(i => i.id).sort(), [13114, 13115]);
+    assert.strictEqual(searchKoreanItem('없는 아이템 이름').item, null);
+});
+
+test('getAllKoreanServerPrices 는 Korea DC 응답을 서버별로 나눠서 요약한다', async (t) => {
+    const http = mockUniversalis({ '/api/v2/Korea/13114': KOREA_13114 });
+    t.after(http.restore);
+
+    const data = await getAllKoreanServerPrices(13114);
+    assert.deepStrictEqual(http.requests, ['/api/v2/Korea/13114']);
+
+    const byServer = Object.fromEntries(data.servers.map(r => [r.server, r]));
+    assert.deepStrictEqual(Object.keys(byServer), ['카벙클', '초코보', '모그리', '톤베리', '펜리르']);
+    assert.strictEqual(byServer['모그리'].minPriceNQ, 4800);
+    assert.strictEqual(byServer['모그리'].listingCount, 2);
+    assert.strictEqual(byServer['모그리'].unitsForSale, 3);
+    assert.strictEqual(byServer['모그리'].lastUploadTime, 1760790000000);
+    assert.strictEqual(byServer['모그리'].medianSalePriceNQ, 4950);
+    assert.strictEqual(byServer['모그리'].medianSalePriceHQ, null);
+    assert.ok(byServer['모그리'].saleVelocityNQ > 0);
+    assert.strictEqual(byServer['모그리'].saleVelocityHQ, 0);
+    assert.strictEqual(byServer['카벙클'].minPriceNQ, 5000);
+    assert.strictEqual(byServer['펜리르'].hasData, false);
+    assert.strictEqual(byServer['펜리르'].minPriceHQ, null);
+
+    assert.strictEqual(data.recentTradeMinNQ, 4900);
+    assert.strictEqual(data.recentTradeMinHQ, null);
+    assert.strictEqual(data.saleVelocity, 2.5);
+    assert.strictEqual(data.averageSalePrice, 5100);
+    assert.strictEqual(data.unitsForSale, 7);
+    assert.strictEqual(data.recommendedPriceNQ, 4799);
+    assert.ok(data.fetchedAt > 0);
+});
+
+test('거래 내역 다중 조회는 아이템별 내역을 나누고 기록이 없는 아이템은 빈 목록으로 둔다', async (t) => {
+    const http = mockUniversalis({
+        '/api/v2/history/Korea/5106,13114': {
+            items: { 5106: { itemID: 5106, entries: [{ hq: false, pricePerUnit: 30, quantity: 99, timestamp: 1760790000 }] } }
+        },
+        '/api/v2/history/Korea/13115': 404,
+    });
+    t.after(http.restore);
+
+    const sales = await getSaleHistoryBulk([5106, 13114, 5106], 1);
+    assert.deepStrictEqual(http.requests, ['/api/v2/history/Korea/5106,13114']);
+    assert.strictEqual(sales.get(5106)[0].quantity, 99);
+    assert.deepStrictEqual(sales.get(13114), []);
+
+    assert.deepStrictEqual((await getSaleHistoryBulk([13115], 1)).get(13115), []);
+    // 두 번째 조회는 캐시 사용
+    await getSaleHistoryBulk([5106], 1);
+    assert.strictEqual(http.requests.length, 2);
+});
+
+test('Korea DC 조회에 실패하면 서버별로 따로 조회한다', async (t) => {
+    const http = mockUniversalis({
+        '/api/v2/Korea/5106': 400,
+        '/api/v2/2077/5106': WORLD_2077_5106,
+        '/api/v2/2080/5106': 400,
+    });
+    t.after(http.restore);
+
+    const data = await getAllKoreanServerPrices(5106);
+    assert.deepStrictEqual(http.requests, [
+        '/api/v2/Korea/5106',
+        '/api/v2/2075/5106',
+        '/api/v2/2076/5106',
+        '/api/v2/2077/5106',
+        '/api/v2/2078/5106',
+        '/api/v2/2080/5106',
+    ]);
+
+    const byServer = Object.fromEntries(data.servers.map(r => [r.server, r]));
+    assert.strictEqual(byServer['모그리'].minPriceNQ, 30);
+    assert.strictEqual(byServer['모그리'].saleVelocity, 120.5);
+    assert.strictEqual(byServer['모그리'].saleVelocityNQ, 120.5);
+    assert.strictEqual(byServer['모그리'].saleVelocityHQ, 0);
+    assert.strictEqual(byServer['모그리'].listings[0].retainerName, 'Momo');
+    // 404는 매물 없음, 그 밖의 실패는 서버별 오류
+    assert.strictEqual(byServer['카벙클'].hasData, false);
+    assert.strictEqual(byServer['카벙클'].error, undefined);
+    assert.match(byServer['펜리르'].error, /400/);
+
+    const embed = createResultEmbed('구리 광석', 5106, data).toJSON();
+    assert.match(embed.description, /⭐ NQ 최저 판매가: 30 길/);
+    assert.match(embed.description, /\*\*펜리르\*\*: ⚠️ 조회 실패/);
+});
+
+test('createResultEmbed 는 최저가 서버에 ⭐ 를 붙이고 통계와 조회 시각을 표시한다', async (t) => {
+    const http = mockUniversalis({ '/api/v2/Korea/13114': KOREA_13114 });
+    t.after(http.restore);
+
+    const embed = createResultEmbed('염료: 순백색', 13114, await getAllKoreanServerPrices(13114)).toJSON();
+
+    assert.notStrictEqual(embed.color, 0xFF0000);
+    assert.match(embed.title, /염료: 순백색/);
+    assert.match(embed.description, /⭐ NQ 최저 판매가: 4,800 길/);
+    assert.match(embed.description, /\*\*카벙클\*\*\nNQ 최저 판매가: 5,000 길/);
+    assert.ok(embed.fields.some(field => field.name === '📊 (서버 통합) 시장 통계' && /4,799/.test(field.value)));
+    assert.match(embed.footer.text, /조회한 데이터/);
+    // 픽스처의 업로드 시각은 모두 오래됐으므로 경고와 함께 전체 중 최저가에 ⭐
+    assert.match(embed.description, /\*\*모그리\*\*\n⭐ NQ 최저 판매가: 4,800 길[^]*?⚠️ \d+시간 전 업데이트 \(오래된 데이터/);
+});
+
+test('오래전에 업데이트된 서버는 더 싸도 ⭐ 최저가 표시에서 빠진다', async (t) => {
+    const http = mockUniversalis({ '/api/v2/Korea/13114': KOREA_13114 });
+    t.after(http.restore);
+
+    const data = await getAllKoreanServerPrices(13114);
+    const servers = data.servers.map(r => r.server === '카벙클' ? { ...r, lastUploadTime: Date.now() - 2 * 60 * 60 * 1000 } : r);
+    const embed = createResultEmbed('염료: 순백색', 13114, { ...data, servers }).toJSON();
+
+    assert.match(embed.description, /\*\*카벙클\*\*\n⭐ NQ 최저 판매가: 5,000 길[^]*?🕒 2시간 전 업데이트/);
+    assert.match(embed.description, /\*\*모그리\*\*\nNQ 최저 판매가: 4,800 길/);
+});
+
+test('매물과 거래 기록이 없으면 빨간 "시세 정보 없음" Embed', async (t) => {
+    const http = mockUniversalis({ '/api/v2/Korea/13115': KOREA_13115_EMPTY });
+    t.after(http.restore);
+
+    const embed = createResultEmbed('염료: 칠흑색', 13115, await getAllKoreanServerPrices(13115)).toJSON();
+    assert.strictEqual(embed.color, 0xFF0000);
+    assert.strictEqual(embed.description, '한국 서버에 등록된 시세 정보가 없습니다.');
+});
+
+test('!시세 명령어는 검색 중 메시지를 시세 Embed로 바꾼다', async (t) => {
+    const http = mockUniversalis({ '/api/v2/Korea/13114': KOREA_13114 });
+    t.after(http.restore);
+
+    const message = createFakeMessage('!시세 pure white dye', { userId: 'price-user' });
+    await handleMessage(message);
+
+    assert.strictEqual(message.replies.length, 1);
+    const [searchMsg] = message.replies;
+    assert.match(searchMsg.payload, /검색 중/);
+    assert.strictEqual(searchMsg.latest.content, null);
+    assert.match(searchMsg.latest.embeds[0].toJSON().title, /염료: 순백색/);
+    assert.strictEqual(searchMsg.latest.components.length, 1);
+});
+
+test('!시세 로 찾을 수 없는 아이템은 안내 문구로 바꾼다', async () => {
+    const message = createFakeMessage('!시세 없는 아이템 이름', { userId: 'missing-user' });
+    await handleMessage(message);
+
+    assert.match(message.replies[0].latest, /찾을 수 없습니다/);
+});
+
+test('장터에 올릴 수 없는 아이템은 Universalis를 조회하지 않는다', async (t) => {
+    const http = mockUniversalis({});
+    t.after(http.restore);
+
+    const message = createFakeMessage('!시세id 28', { userId: 'untradable-user' });
+    await handleMessage(message);
+
+    assert.deepStrictEqual(http.requests, []);
+    assert.strictEqual(message.replies[0].latest.embeds[0].toJSON().color, 0xFFA500);
+});
+
+test('명령어가 아니거나 봇이 보낸 메시지는 무시한다', async () => {
+    const chat = createFakeMessage('안녕하세요');
+    await handleMessage(chat);
+    assert.deepStrictEqual(chat.replies, []);
+
+    const fromBot = createFakeMessage('!시세도움');
+    fromBot.author.bot = true;
+    await handleMessage(fromBot);
+    assert.deepStrictEqual(fromBot.replies, []);
+
+    assert.strictEqual(toCommandText('?시세 포션', '?'), '!시세 포션');
+    assert.strictEqual(toCommandText('!시세설정 보기', '?'), '!시세설정 보기');
+    assert.strictEqual(toCommandText('!시세 포션', '?'), null);
+});
+
+test('/시세 커맨드는 응답을 미룬 뒤 시세 Embed로 답한다', async (t) => {
+    const http = mockUniversalis({ '/api/v2/Korea/13114': KOREA_13114 });
+    t.after(http.restore);
+
+    const interaction = createFakeInteraction('시세', { 아이템: '염료: 순백색' }, { userId: 'slash-user' });
+    await handleInteraction(interaction);
+
+    assert.strictEqual(interaction.deferred, true);
+    const [reply] = interaction.replies;
+    assert.match(reply.embeds[0].toJSON().title, /염료: 순백색/);
+    // 정확히 일치하면 추천 목록은 생략
+    assert.doesNotMatch(reply.embeds[0].toJSON().footer.text, /다른 아이템을 찾으셨나요/);
+});
+
+test('!염료 는 염료 전체를 한 번에 조회해서 비싼 순 시세표로 보여준다', async (t) => {
+    const http = mockUniversalis({
+        // 앞선 테스트에서 캐시된 아이템은 빼고 요청하므로 어느 경우든 응답할 수 있게
+        '/api/v2/Korea/13114,13115': { items: { 13114: KOREA_13114, 13115: KOREA_13115_EMPTY } },
+        '/api/v2/Korea/13114': KOREA_13114,
+        '/api/v2/Korea/13115': KOREA_13115_EMPTY,
+    });
+    t.after(http.restore);
+
+    const message = createFakeMessage('!염료', { userId: 'dye-user' });
+    await handleMessage(message);
+
+    assert.ok(http.requests.length <= 1);
+    const embed = message.replies[0].latest.embeds[0].toJSON();
+    assert.match(embed.title, /염료 시세/);
+    assert.strictEqual(embed.description, [
+        '1. **염료: 순백색** · 4,800 길 (모그리) · 등록 7개',
+        '2. 염료: 칠흑색 · 매물 없음'
+    ].join('\n'));
+    assert.deepStrictEqual(message.replies[0].latest.components, []);
+});
+
+test('!차익 은 백그라운드로 분류 아이템을 캐시 없이 조회하고 끝나면 결과를 올린다', { timeout: 5000 }, async (t) => {
+    const http = mockUniversalis({
+        '/api/v2/Korea/13114,13115': { items: { 13114: KOREA_13114, 13115: KOREA_13115_EMPTY } },
+    });
+    t.after(http.restore);
+
+    const message = createFakeMessage('!차익 염료 100', { userId: 'flip-user' });
+    await handleMessage(message);
+    assert.match(message.replies[0].payload, /\*\*염료\*\* 아이템 2개의 차익 거래를 검색합니다/);
+
+    // 진행 중에는 새 검색을 시작하지 않음
+    const second = createFakeMessage('!차익', { userId: 'flip-user-2' });
+    await handleMessage(second);
+    assert.match(second.replies[0].payload, /다른 사용자의 차익 검색이 진행 중/);
+
+    while (message.replies.length < 2) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    assert.deepStrictEqual(http.requests, ['/api/v2/Korea/13114,13115']);
+    assert.match(message.replies[0].latest, /검색 완료 \(2개 아이템\)/);
+    assert.match(message.replies[1].payload.embeds[0].toJSON().title, /서버 간 차익 거래 · 염료 \(개당 100 길 이상\)/);
+});
+
+test('!채집추천 은 직업별 채집 아이템을 하루 판매 길 순으로 보여준다', async (t) => {
+    const http = mockUniversalis({ '/api/v2/Korea/5106': KOREA_13114 });
+    t.after(http.restore);
+
+    const message = createFakeMessage('!채집추천 광부', { userId: 'gather-user' });
+    await handleMessage(message);
+
+    assert.deepStrictEqual(http.requests, ['/api/v2/Korea/5106']);
+    const embed = message.replies[0].latest.embeds[0].toJSON();
+    assert.match(embed.title, /광부 채집 추천/);
+    // 추천 판매가 4,799 × 0.95 = 4,559, 하루 2.5개
+    assert.strictEqual(embed.description, '1. **구리 광석** Lv.5 · 개당 4,559 길 · 하루 2.5개 판매 → 약 11,398 길/일');
+
+    const unknownJob = createFakeMessage('!채집추천 어부', { userId: 'gather-user-2' });
+    await handleMessage(unknownJob);
+    assert.match(unknownJob.replies[0].payload, /채집 추천 사용법/);
+});
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getGuildSettings } = require('../src/guild-settings');
+const { parseMateriaGrade, summarizeGroupItem, sortGroupRows } = require('../src/category-prices');
+
+test('마테리아 등급은 숫자와 로마 숫자로 입력할 수 있다', () => {
+    assert.strictEqual(parseMateriaGrade('12'), 12);
+    assert.strictEqual(parseMateriaGrade('xi'), 11);
+    assert.strictEqual(parseMateriaGrade('10등급'), 10);
+    assert.strictEqual(parseMateriaGrade('최고'), null);
+});
+
+test('아이템별로 표시 서버 중 가장 싼 매물의 서버를 찾는다', () => {
+    const data = {
+        servers: [
+            { server: '카벙클', minPriceNQ: 500, minPriceHQ: null, unitsForSale: 3 },
+            { server: '모그리', minPriceNQ: 700, minPriceHQ: 400, unitsForSale: 5 },
+            { server: '톤베리', minPriceNQ: 1, minPriceHQ: null, unitsForSale: 1, error: 'timeout' }
+        ]
+    };
+
+    assert.deepStrictEqual(summarizeGroupItem(1, data, getGuildSettings(null)), {
+        itemId: 1, itemName: '아이템 #1', price: 400, server: '모그리', unitsForSale: 8, failed: false
+    });
+
+    const carbuncleOnly = summarizeGroupItem(1, data, { ...getGuildSettings(null), worlds: ['카벙클'] });
+    assert.strictEqual(carbuncleOnly.server, '카벙클');
+    assert.strictEqual(carbuncleOnly.unitsForSale, 3);
+
+    assert.strictEqual(summarizeGroupItem(1, undefined, getGuildSettings(null)).failed, true);
+});
+
+test('비싼 순으로 정렬하고 가격이 없는 아이템은 뒤로 보낸다', () => {
+    const row = (itemName, price) => ({ itemName, price });
+    const sorted = sortGroupRows([row('다', null), row('가', 100), row('나', null), row('라', 300)]);
+    assert.deepStrictEqual(sorted.map(r => r.itemName), ['라', '가', '나', '다']);
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { toKST, parseTime, isDigestDue, buildDigest } = require('../src/digest');
+
+const HOUR = 60 * 60 * 1000;
+
+// 2025-10-18 09:30 KST
+const NOW = Date.UTC(2025, 9, 18, 0, 30);
+
+test('날짜와 시각은 한국 시간 기준', () => {
+    assert.deepStrictEqual(toKST(NOW), { date: '2025-10-18', time: '09:30' });
+    assert.deepStrictEqual(toKST(Date.UTC(2025, 9, 18, 15, 0)), { date: '2025-10-19', time: '00:00' });
+
+    assert.strictEqual(parseTime('9:05'), '09:05');
+    assert.strictEqual(parseTime('23:59'), '23:59');
+    assert.strictEqual(parseTime('24:00'), null);
+    assert.strictEqual(parseTime('아침'), null);
+});
+
+test('예약 시각이 지났고 오늘 아직 올리지 않았을 때만 요약을 올린다', () => {
+    const config = { channelId: '1', time: '09:00', lastPostedDate: '2025-10-17' };
+    assert.strictEqual(isDigestDue(config, NOW), true);
+    assert.strictEqual(isDigestDue({ ...config, time: '10:00' }, NOW), false);
+    assert.strictEqual(isDigestDue({ ...config, lastPostedDate: '2025-10-18' }, NOW), false);
+    assert.strictEqual(isDigestDue({ ...config, channelId: null }, NOW), false);
+});
+
+test('전날 스냅샷 대비 가격 변동, 판매량 급증, 서버별 갱신 상태를 계산한다', () => {
+    const nowSeconds = NOW / 1000;
+    const marketData = new Map([
+        [1, {
+            listings: [{ pricePerUnit: 1200, hq: false }, { pricePerUnit: 900, hq: true }],
+            regularSaleVelocity: 2,
+            // 판매량은 데이터센터 응답의 최근 거래(개수 제한 있음)가 아니라 따로 받은 하루 거래 내역으로 셈
+            recentHistory: [{ timestamp: nowSeconds - 3600, quantity: 5 }],
+            worldUploadTimes: { 2075: NOW - HOUR, 2077: NOW - 30 * HOUR }
+        }],
+        [2, {
+            listings: [{ pricePerUnit: 1020, hq: false }],
+            regularSaleVelocity: 10,
+            worldUploadTimes: { 2075: NOW - 2 * HOUR }
+        }],
+        [3, { listings: [{ pricePerUnit: 500, hq: false }] }],
+        // NQ 매물이 다 팔려 HQ 최저가만 남음
+        [5, { listings: [{ pricePerUnit: 3000, hq: true }] }]
+    ]);
+    const recentSales = new Map([
+        [1, [
+            { timestamp: nowSeconds - 3600, quantity: 5 },
+            { timestamp: nowSeconds - 7200, quantity: 3 },
+            // 24시간보다 오래된 거래는 제외
+            { timestamp: nowSeconds - 30 * 3600, quantity: 100 }
+        ]],
+        [2, [{ timestamp: nowSeconds - 60, quantity: 12 }]]
+    ]);
+    const snapshots = {
+        1: { takenAt: NOW - 24 * HOUR, quality: 'NQ', minPrice: 1000, saleVelocity: 2 },
+        // 5% 미만 변동은 제외
+        2: { takenAt: NOW - 24 * HOUR, quality: 'NQ', minPrice: 1000, saleVelocity: 10 },
+        // 너무 최근 스냅샷은 비교에 쓰지 않고 갱신도 하지 않음
+        3: { takenAt: NOW - HOUR, quality: 'NQ', minPrice: 100, saleVelocity: null },
+        // 오래된 스냅샷은 삭제
+        4: { takenAt: NOW - 8 * 24 * HOUR, quality: 'NQ', minPrice: 1, saleVelocity: 1 },
+        // 품질이 바뀌면 비교하지 않음
+        5: { takenAt: NOW - 24 * HOUR, quality: 'NQ', minPrice: 1000, saleVelocity: null }
+    };
+
+    const digest = buildDigest(marketData, recentSales, snapshots, NOW);
+
+    assert.deepStrictEqual(digest.movers, [{ itemId: 1, quality: 'NQ', previousPrice: 1000, price: 1200, change: 0.2 }]);
+    assert.deepStrictEqual(digest.spikes, [{ itemId: 1, sold24h: 8, saleVelocity: 2, ratio: 4 }]);
+
+    const byServer = Object.fromEntries(digest.worlds.map(w => [w.server, w]));
+    assert.deepStrictEqual(byServer['카벙클'], { server: '카벙클', latestUpload: NOW - HOUR, outdatedCount: 2, stale: false });
+    assert.strictEqual(byServer['모그리'].stale, true);
+    assert.strictEqual(byServer['모그리'].outdatedCount, 4);
+    assert.deepStrictEqual(byServer['펜리르'], { server: '펜리르', latestUpload: null, outdatedCount: 4, stale: true });
+
+    assert.deepStrictEqual(Object.keys(digest.snapshots).sort(), ['1', '2', '3', '5']);
+    assert.deepStrictEqual(digest.snapshots[1], { takenAt: NOW, quality: 'NQ', minPrice: 1200, saleVelocity: 2 });
+    assert.deepStrictEqual(digest.snapshots[5], { takenAt: NOW, quality: 'HQ', minPrice: 3000, saleVelocity: null });
+    assert.strictEqual(digest.snapshots[3].minPrice, 100);
+});
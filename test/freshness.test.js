@@ -0,0 +1,41 @@
+const test = require('node:test');
+const { mock } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+// DB 로드 로그가 테스트 결과 출력(stdout)에 섞이지 않도록
+mock.method(console, 'log', () => {});
+
+const { loadKoreanItemDB } = require('../src/items');
+const { STALE_UPLOAD_MS, isStaleUpload, summarizeWorldFreshness, collectSampleItemIds } = require('../src/freshness');
+
+loadKoreanItemDB(path.join(__dirname, 'fixtures', 'items.json'));
+
+const HOUR = 60 * 60 * 1000;
+const NOW = Date.UTC(2025, 9, 18, 0, 30);
+
+test('업로드 기록이 없거나 기준보다 오래되면 오래된 데이터', () => {
+    assert.strictEqual(isStaleUpload(NOW - HOUR, NOW), false);
+    assert.strictEqual(isStaleUpload(NOW - STALE_UPLOAD_MS - 1, NOW), true);
+    assert.strictEqual(isStaleUpload(null, NOW), true);
+    assert.strictEqual(isStaleUpload(0, NOW), true);
+});
+
+test('서버별 최근 업로드, 중앙값, 오래된 아이템 수를 계산한다', () => {
+    const marketData = new Map([
+        [1, { worldUploadTimes: { 2075: NOW - HOUR, 2077: NOW - 50 * HOUR } }],
+        [2, { worldUploadTimes: { 2075: NOW - 3 * HOUR, 2077: NOW - 60 * HOUR } }],
+        [3, { worldUploadTimes: { 2075: NOW - 30 * HOUR } }]
+    ]);
+
+    const byServer = Object.fromEntries(summarizeWorldFreshness(marketData, NOW).map(w => [w.server, w]));
+    assert.deepStrictEqual(byServer['카벙클'], { server: '카벙클', latestUpload: NOW - HOUR, medianUpload: NOW - 3 * HOUR, staleCount: 1, itemCount: 3 });
+    // 기록이 없는 아이템은 가장 오래된 것으로 보고 중앙값 계산
+    assert.strictEqual(byServer['모그리'].medianUpload, NOW - 60 * HOUR);
+    assert.strictEqual(byServer['모그리'].staleCount, 3);
+    assert.deepStrictEqual(byServer['펜리르'], { server: '펜리르', latestUpload: null, medianUpload: null, staleCount: 3, itemCount: 3 });
+});
+
+test('확인할 아이템은 최근 업로드와 상관없는 마테리아/염료 목록에서 고른다', () => {
+    assert.deepStrictEqual(collectSampleItemIds(null), [13114, 13115]);
+});
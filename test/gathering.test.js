@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { scoreGatheringItem } = require('../src/gathering');
+
+const entry = { itemId: 1, level: 50, stars: 1 };
+
+test('수수료 5%를 뺀 판매가 × 하루 판매 수량으로 점수를 매긴다', () => {
+    assert.deepStrictEqual(scoreGatheringItem(entry, { recommendedPriceNQ: 1000, saleVelocity: 2.5 }), {
+        itemId: 1,
+        itemName: '아이템 #1',
+        level: 50,
+        stars: 1,
+        netPrice: 950,
+        velocity: 2.5,
+        gilPerDay: 2375
+    });
+});
+
+test('판매가나 판매 기록이 없으면 추천하지 않는다', () => {
+    assert.strictEqual(scoreGatheringItem(entry, { recommendedPriceNQ: null, saleVelocity: 3 }), null);
+    assert.strictEqual(scoreGatheringItem(entry, { recommendedPriceNQ: 1000, saleVelocity: 0 }), null);
+    assert.strictEqual(scoreGatheringItem(entry, undefined), null);
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getGuildSettings, isChannelAllowed, applyServerSettings, parseWorldList } = require('../src/guild-settings');
+
+const servers = ['카벙클', '초코보', '모그리', '톤베리', '펜리르'].map(server => ({ server }));
+const names = list => list.map(r => r.server);
+
+test('설정이 없으면 기본값을 쓴다', () => {
+    const settings = getGuildSettings(null);
+    assert.strictEqual(settings.prefix, '!');
+    assert.strictEqual(settings.quality, 'all');
+    assert.deepStrictEqual(names(applyServerSettings(servers, settings)), names(servers));
+});
+
+test('홈 서버를 맨 앞으로 옮긴다', () => {
+    const settings = { ...getGuildSettings(null), homeWorld: '모그리' };
+    assert.deepStrictEqual(names(applyServerSettings(servers, settings)), ['모그리', '카벙클', '초코보', '톤베리', '펜리르']);
+});
+
+test('표시할 서버만 남긴다', () => {
+    const settings = { ...getGuildSettings(null), worlds: ['초코보', '펜리르'], homeWorld: '펜리르' };
+    assert.deepStrictEqual(names(applyServerSettings(servers, settings)), ['펜리르', '초코보']);
+});
+
+test('서버 목록은 쉼표나 공백으로 구분하고 모르는 이름은 따로 돌려준다', () => {
+    assert.deepStrictEqual(parseWorldList('모그리, 초코보'), { worlds: ['초코보', '모그리'], unknown: [] });
+    assert.deepStrictEqual(parseWorldList('모그리 시바'), { worlds: ['모그리'], unknown: ['시바'] });
+});
+
+test('채널 목록이 비어 있으면 모든 채널을 허용한다', () => {
+    assert.strictEqual(isChannelAllowed({ channels: [] }, '1'), true);
+    assert.strictEqual(isChannelAllowed({ channels: ['1'] }, '1'), true);
+    assert.strictEqual(isChannelAllowed({ channels: ['1'] }, '2'), false);
+});
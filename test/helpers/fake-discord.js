@@ -0,0 +1,147 @@
+/**
+ * 테스트용 가짜 Discord 메시지/인터랙션과 Universalis 응답
+ *
+ * 실제 Discord에 접속하지 않고 index.js 의 handleMessage / handleInteraction 을 호출할 수 있도록
+ * 핸들러가 쓰는 속성과 메서드만 흉내 냅니다. 보낸 내용은 replies / edits 에 순서대로 쌓입니다.
+ */
+
+const EventEmitter = require('events');
+const path = require('path');
+const axios = require('axios');
+
+/**
+ * 봇이 보낸 메시지 (reply 결과)
+ */
+function createSentMessage(payload) {
+    const sent = {
+        payload,
+        edits: [],
+        async edit(next) {
+            sent.edits.push(next);
+            return sent;
+        },
+        createMessageComponentCollector() {
+            return new EventEmitter();
+        },
+        // 마지막으로 보이는 내용 (수정했으면 마지막 수정 내용)
+        get latest() {
+            return sent.edits.length > 0 ? sent.edits[sent.edits.length - 1] : sent.payload;
+        },
+    };
+    return sent;
+}
+
+/**
+ * 가짜 메시지
+ *
+ * @param {string} content
+ * @param {{ userId?: string, guildId?: string|null, channelId?: string }} [options]
+ */
+function createFakeMessage(content, { userId = 'user-1', guildId = null, channelId = 'channel-1' } = {}) {
+    const message = {
+        content,
+        author: { id: userId, bot: false },
+        guildId,
+        guild: guildId ? { id: guildId } : null,
+        channelId,
+        channel: { id: channelId },
+        member: null,
+        replies: [],
+        async reply(payload) {
+            const sent = createSentMessage(payload);
+            message.replies.push(sent);
+            return sent;
+        },
+    };
+    return message;
+}
+
+/**
+ * 가짜 슬래시 커맨드 인터랙션
+ *
+ * @param {string} commandName
+ * @param {{ [name: string]: string|number }} [options] 커맨드 옵션 값
+ */
+function createFakeInteraction(commandName, options = {}, { userId = 'user-1', guildId = null, channelId = 'channel-1' } = {}) {
+    const interaction = {
+        commandName,
+        user: { id: userId },
+        guildId,
+        channelId,
+        replies: [],
+        deferred: false,
+        isAutocomplete: () => false,
+        isChatInputCommand: () => true,
+        options: {
+            getString: name => options[name] ?? null,
+            getInteger: name => options[name] ?? null,
+        },
+        async reply(payload) {
+            interaction.replies.push(payload);
+        },
+        async deferReply() {
+            interaction.deferred = true;
+        },
+        async editReply(payload) {
+            interaction.replies.push(payload);
+            return createSentMessage(payload);
+        },
+    };
+    return interaction;
+}
+
+/**
+ * 저장해 둔 Universalis 응답 읽기 (test/fixtures/universalis)
+ */
+function loadUniversalisFixture(name) {
+    return require(path.join(__dirname, '..', 'fixtures', 'universalis', `${name}.json`));
+}
+
+/**
+ * HTTP 응답 에러 (axios 에러와 같은 모양)
+ */
+function httpError(status) {
+    const error = new Error(`Request failed with status code ${status}`);
+    error.response = { status, headers: {} };
+    return error;
+}
+
+/**
+ * axios.get 을 가짜로 바꾸기
+ * routes 는 URL 경로(쿼리 제외)에 대한 응답 데이터 또는 HTTP 상태 코드, 없는 경로는 404
+ *
+ * @param {{ [pathname: string]: object|number }} routes 예: { '/api/v2/Korea/13114': fixture, '/api/v2/2075/5106': 404 }
+ * @returns {{ requests: string[], restore: () => void }}
+ */
+function mockUniversalis(routes) {
+    const originalGet = axios.get;
+    const requests = [];
+
+    axios.get = async (url) => {
+        const { pathname } = new URL(url);
+        requests.push(decodeURIComponent(pathname));
+
+        const route = routes[decodeURIComponent(pathname)];
+        if (route === undefined) {
+            throw httpError(404);
+        }
+        if (typeof route === 'number') {
+            throw httpError(route);
+        }
+        return { status: 200, data: route };
+    };
+
+    return {
+        requests,
+        restore() {
+            axios.get = originalGet;
+        },
+    };
+}
+
+module.exports = {
+    createFakeMessage,
+    createFakeInteraction,
+    loadUniversalisFixture,
+    mockUniversalis,
+};
@@ -0,0 +1,247 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { parseCSVRows } = require('../src/csv');
+const {
+    downloadFile,
+    parseItemCSV,
+    parseNameTableCSV,
+    parseRecipeCSV,
+    parseMateriaCSV,
+    parseGatheringItemCSV,
+    parseGatheringPointCSV,
+    parseGatheringLevelCSV,
+    buildGatheringGroups,
+    buildItemGroups,
+    mergeItemNames,
+    validateItems,
+    validateRecipes,
+    diffItems,
+    formatDiffSummary,
+    buildItemDB,
+} = require('../src/item-db-builder');
+
+const fixturePath = name => path.join(__dirname, 'fixtures', 'csv', name);
+const readFixture = name => fs.readFileSync(fixturePath(name), 'utf-8');
+
+test('CSV 파서는 따옴표 안의 쉼표, 줄바꿈, 이스케이프된 따옴표를 처리한다', () => {
+    assert.deepStrictEqual(
+        parseCSVRows('\uFEFFa,"b, c","d ""e"""\r\n"여러\n줄",,\r\n\r\nx'),
+        [['a', 'b, c', 'd "e"'], ['여러\n줄', '', ''], ['x']]
+    );
+    assert.throws(() => parseCSVRows('a,"b\n'), /따옴표/);
+});
+
+test('Item.csv 는 컬럼 이름으로 이름, 아이콘, 메타데이터를 읽는다', () => {
+    const items = parseItemCSV(readFixture('Item_ko.csv'));
+
+    // 이름이 없는 행은 제외, 여러 줄 설명이 있어도 행이 밀리지 않음
+    assert.deepStrictEqual(items.map(item => item.id), [1, 5057, 5729]);
+    assert.deepStrictEqual(items[2], {
+        id: 5729,
+        name: '염료: 순백색',
+        icon: '/i/022000/022001.png',
+        uiCategory: 55,
+        searchCategory: 54,
+        itemLevel: 1,
+        stackSize: 999,
+        untradable: false,
+        vendorPrice: 216,
+        vendorSellPrice: 10
+    });
+    assert.strictEqual(items[0].untradable, true);
+
+    assert.strictEqual(parseItemCSV(readFixture('Item_en.csv')).find(item => item.id === 8000).name, 'Only "English", item');
+});
+
+test('필수 컬럼이 없으면 고정 위치로 추측하지 않고 에러를 낸다', () => {
+    assert.throws(() => parseItemCSV(readFixture('Item_no_name.csv')), /Name 컬럼/);
+    assert.throws(() => parseItemCSV('key,0\n'), /헤더 3줄/);
+});
+
+test('분류와 레시피 CSV를 파싱한다', () => {
+    assert.deepStrictEqual(parseNameTableCSV(readFixture('ItemUICategory.csv')), { 48: '광석', 55: '염료' });
+    assert.deepStrictEqual(parseRecipeCSV(readFixture('Recipe.csv')), [
+        { id: 1, craftType: 1, resultItemId: 5729, resultAmount: 3, ingredients: [{ itemId: 5057, amount: 2 }] }
+    ]);
+});
+
+test('마테리아 CSV는 Item[n] 컬럼을 n+1 등급으로 읽는다', () => {
+    assert.deepStrictEqual(parseMateriaCSV(readFixture('Materia.csv')), {
+        1: [5604, 5609],
+        2: [5605, 5610],
+        3: [5606]
+    });
+});
+
+test('아이템 묶음에는 장터에서 거래할 수 있는 마테리아와 염료만 들어간다', () => {
+    const item = (id, searchCategory, untradable = false) => ({ id, name: `#${id}`, names: {}, searchCategory, untradable });
+    const items = [item(5604, 57), item(5605, 57), item(5609, 57, true), item(5729, 54), item(5730, 54, true), item(5057, 47)];
+
+    assert.deepStrictEqual(buildItemGroups(items, { materia: { 1: [5604, 5609], 2: [5605, 5610], 3: [9999] } }), {
+        materia: { 1: [5604], 2: [5605] },
+        dyes: [5729],
+        gathering: {}
+    });
+    // Materia.csv를 읽지 못한 경우
+    assert.deepStrictEqual(buildItemGroups(items).materia, {});
+});
+
+test('채집 CSV로 직업별 채집 아이템과 레벨을 만든다', () => {
+    const gatheringItems = parseGatheringItemCSV(readFixture('GatheringItem.csv'));
+    assert.deepStrictEqual(gatheringItems.get(3), { itemId: 5729, levelKey: 55, hidden: false });
+    assert.strictEqual(gatheringItems.get(4).hidden, true);
+
+    const points = parseGatheringPointCSV(readFixture('GatheringPointBase.csv'));
+    assert.deepStrictEqual(points[0], { gatheringType: 0, gatheringItemIds: [1, 2] });
+
+    const levels = parseGatheringLevelCSV(readFixture('GatheringItemLevelConvertTable.csv'));
+    assert.deepStrictEqual(levels[55], { level: 50, stars: 2 });
+
+    // 채석(1)도 광부, 벌목(2)은 원예가, 작살 낚시(5)와 숨겨진 아이템은 제외
+    assert.deepStrictEqual(buildGatheringGroups(gatheringItems, points, levels), {
+        miner: [{ itemId: 5106, level: 5, stars: 0 }, { itemId: 5057, level: 10, stars: 0 }],
+        botanist: [{ itemId: 5729, level: 50, stars: 2 }]
+    });
+    // 레벨 변환표가 없으면 GatheringItemLevel 값을 레벨로 사용
+    assert.deepStrictEqual(buildGatheringGroups(gatheringItems, points).botanist, [{ itemId: 5729, level: 55, stars: 0 }]);
+});
+
+test('언어별 이름을 아이템 ID 기준으로 합친다', () => {
+    const items = mergeItemNames({
+        ko: parseItemCSV(readFixture('Item_ko.csv')),
+        en: parseItemCSV(readFixture('Item_en.csv'))
+    });
+
+    const dye = items.find(item => item.id === 5729);
+    assert.deepStrictEqual(dye.names, { ko: '염료: 순백색', en: 'General-purpose Snow White Dye' });
+    assert.strictEqual(dye.name, '염료: 순백색');
+
+    // 한국어 이름이 없으면 영어 이름을 표시 이름으로
+    const englishOnly = items.find(item => item.id === 8000);
+    assert.strictEqual(englishOnly.name, 'Only "English", item');
+    assert.strictEqual(englishOnly.untradable, true);
+
+    assert.deepStrictEqual(validateItems(items), []);
+});
+
+test('스키마 검사는 잘못된 아이템과 레시피를 찾아낸다', () => {
+    const errors = validateItems([
+        { id: 1, name: '길', names: { ko: '길' } },
+        { id: 1, name: '중복', names: { ko: '중복' } },
+        { id: 2, name: '', names: {} },
+        { id: 3, name: '아이콘', names: { ko: '아이콘' }, icon: 'icon.png', stackSize: -1 },
+        { id: 'x', name: '문자 ID' }
+    ]);
+    assert.strictEqual(errors.length, 6);
+    assert.match(errors[0], /중복/);
+
+    assert.deepStrictEqual(validateItems([]), ['아이템이 하나도 없습니다.']);
+    assert.strictEqual(validateRecipes([{ id: 1, resultItemId: 2, resultAmount: 1, ingredients: [] }]).length, 1);
+});
+
+test('이전 DB와 비교해서 추가/삭제/이름 변경을 찾는다', () => {
+    // 이전 DB는 한국어 이름만 있는 형식
+    const previous = [
+        { id: 1, name: '길' },
+        { id: 2, name: '삭제될 아이템' },
+        { id: 5729, name: '순백색 염료' }
+    ];
+    const next = [
+        { id: 1, name: '길', names: { ko: '길', en: 'Gil' } },
+        { id: 5729, name: '염료: 순백색', names: { ko: '염료: 순백색' } },
+        { id: 8000, name: 'New', names: { en: 'New' } }
+    ];
+
+    const diff = diffItems(previous, next);
+    assert.deepStrictEqual(diff.added.map(item => item.id), [8000]);
+    assert.deepStrictEqual(diff.removed.map(item => item.id), [2]);
+    assert.deepStrictEqual(diff.renamed, [{ id: 5729, language: 'ko', from: '순백색 염료', to: '염료: 순백색' }]);
+
+    const summary = formatDiffSummary(diff);
+    assert.match(summary, /추가 1개 · 삭제 1개 · 이름 변경 1개/);
+    assert.match(summary, /~ 5729 \(ko\): 순백색 염료 → 염료: 순백색/);
+});
+
+test('로컬 CSV 경로로 DB를 만들고 dry-run 이면 파일을 쓰지 않는다', async () => {
+    const result = await buildItemDB({
+        sources: {
+            ko: fixturePath('Item_ko.csv'),
+            en: fixturePath('Item_en.csv'),
+            ja: fixturePath('없는파일.csv'),
+            'ui-category': fixturePath('ItemUICategory.csv'),
+            'search-category': fixturePath('ItemUICategory.csv'),
+            recipe: fixturePath('Recipe.csv'),
+            materia: fixturePath('Materia.csv'),
+            'gathering-item': fixturePath('GatheringItem.csv'),
+            'gathering-point': fixturePath('GatheringPointBase.csv'),
+            'gathering-level': fixturePath('GatheringItemLevelConvertTable.csv')
+        },
+        dryRun: true,
+        log: () => {}
+    });
+
+    assert.strictEqual(result.written, false);
+    assert.deepStrictEqual(result.items.map(item => item.id), [1, 5057, 5729, 8000]);
+    assert.strictEqual(result.recipes.length, 1);
+    assert.strictEqual(result.categories.ui[55], '염료');
+    assert.deepStrictEqual(result.groups.dyes, [5729]);
+    // Item.csv에 없는 채집 아이템(5106)은 제외
+    assert.deepStrictEqual(result.groups.gathering, {
+        miner: [{ itemId: 5057, level: 10, stars: 0 }],
+        botanist: [{ itemId: 5729, level: 50, stars: 2 }]
+    });
+});
+
+test('필수 소스를 읽지 못하면 실패한다', async () => {
+    await assert.rejects(
+        buildItemDB({ sources: { ko: fixturePath('Item_no_name.csv'), recipe: fixturePath('Recipe.csv') }, dryRun: true, log: () => {} }),
+        /\[ko\] Item CSV에서 Name 컬럼/
+    );
+});
+
+/**
+ * 테스트용 로컬 HTTP 서버 (끝나면 닫음)
+ */
+async function startServer(t, handler) {
+    const server = http.createServer(handler);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => {
+        server.closeAllConnections();
+        server.close();
+    });
+    return `http://127.0.0.1:${server.address().port}`;
+}
+
+test('다운로드는 307/308 리다이렉트를 따라가고 상대 경로도 처리한다', async (t) => {
+    const base = await startServer(t, (req, res) => {
+        if (req.url === '/old') {
+            res.writeHead(307, { Location: '/moved' });
+            return res.end();
+        }
+        if (req.url === '/moved') {
+            res.writeHead(308, { Location: `${base}/Item.csv` });
+            return res.end();
+        }
+        res.writeHead(200);
+        res.end('key,0');
+    });
+
+    assert.strictEqual(await downloadFile(`${base}/old`), 'key,0');
+});
+
+test('응답이 멈춘 다운로드는 시간 초과로 실패한다', async (t) => {
+    const base = await startServer(t, (req, res) => {
+        if (req.url === '/partial') {
+            // 헤더와 일부만 보내고 멈춤
+            res.writeHead(200);
+            res.write('key,0');
+        }
+        // 그 외에는 응답하지 않음
+    });
+
+    await assert.rejects(downloadFile(`${base}/stalled`, { timeoutMs: 100 }), /시간 초과/);
+    await assert.rejects(downloadFile(`${base}/partial`, { timeoutMs: 100 }));
+});
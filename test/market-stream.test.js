@@ -0,0 +1,139 @@
+const test = require('node:test');
+const { mock } = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+const { once } = require('events');
+const { WebSocketServer } = require('ws');
+const { BSON } = require('bson');
+const { createMarketStream, reconnectDelay } = require('../src/market-stream');
+
+// 접속 로그가 테스트 결과 출력(stdout)에 섞이지 않도록
+mock.method(console, 'log', () => {});
+
+/**
+ * 로컬 가짜 Universalis WebSocket 서버
+ */
+async function startMockServer() {
+    const server = new WebSocketServer({ host: '127.0.0.1', port: 0 });
+    await once(server, 'listening');
+
+    const subscriptions = [];
+    server.on('connection', (socket) => {
+        socket.on('message', raw => subscriptions.push(BSON.deserialize(raw)));
+    });
+
+    return {
+        server,
+        subscriptions,
+        url: `ws://127.0.0.1:${server.address().port}`,
+        broadcast(message) {
+            for (const client of server.clients) {
+                client.send(BSON.serialize(message));
+            }
+        },
+        close: () => new Promise(resolve => server.close(resolve)),
+    };
+}
+
+function waitFor(condition, timeoutMs = 2000) {
+    return new Promise((resolve, reject) => {
+        const startedAt = Date.now();
+        const timer = setInterval(() => {
+            if (condition()) {
+                clearInterval(timer);
+                resolve();
+            } else if (Date.now() - startedAt > timeoutMs) {
+                clearInterval(timer);
+                reject(new Error('시간 초과'));
+            }
+        }, 10);
+    });
+}
+
+const REST_DATA = {
+    listings: [
+        { listingID: 'a', worldID: 2077, pricePerUnit: 1000, quantity: 1, hq: false, retainerName: 'Momo' },
+        { listingID: 'b', worldID: 2075, pricePerUnit: 1500, quantity: 2, hq: false, retainerName: 'Nana' },
+        // 구독하지 않은 월드의 매물은 무시
+        { listingID: 'c', worldID: 70, pricePerUnit: 1, quantity: 1, hq: false, retainerName: 'Far' }
+    ],
+    recentHistory: [{ worldID: 2077, pricePerUnit: 1100, quantity: 1, hq: false, timestamp: 100 }],
+    worldUploadTimes: { 2077: 1 },
+    // 이벤트로 갱신할 수 없는 Universalis 계산값
+    regularSaleVelocity: 99,
+    averagePrice: 5000
+};
+
+test('재접속 대기 시간은 두 배씩 늘어나고 최대값을 넘지 않는다', () => {
+    assert.deepStrictEqual([0, 1, 2, 3, 10].map(n => reconnectDelay(n, 1000, 5000)), [1000, 2000, 4000, 5000, 5000]);
+});
+
+test('월드별로 구독하고 이벤트를 실시간 매물 목록에 반영한다', async () => {
+    const upstream = await startMockServer();
+    const emitter = new EventEmitter();
+    const stream = createMarketStream({ url: upstream.url, worldIds: [2075, 2077], emitter });
+
+    try {
+        stream.start();
+        await once(emitter, 'open');
+        await waitFor(() => upstream.subscriptions.length === 6);
+        assert.deepStrictEqual(upstream.subscriptions[0], { event: 'subscribe', channel: 'listings/add{world=2075}' });
+
+        // 조회(seed)하지 않은 아이템은 실시간 목록이 없음
+        assert.strictEqual(stream.getMarketData(5729), null);
+        stream.seed(5729, REST_DATA);
+        assert.deepStrictEqual(stream.getMarketData(5729).listings.map(l => l.listingID), ['a', 'b']);
+
+        const received = [];
+        emitter.on('listings/add', payload => received.push(payload));
+
+        upstream.broadcast({ event: 'listings/remove', item: 5729, world: 2077, listings: [{ listingID: 'a' }] });
+        upstream.broadcast({ event: 'listings/add', item: 5729, world: 2077, listings: [{ listingID: 'd', pricePerUnit: 900, quantity: 3, hq: true, retainerName: 'Momo' }] });
+        upstream.broadcast({ event: 'sales/add', item: 5729, world: 2075, sales: [{ pricePerUnit: 1400, quantity: 1, hq: false, timestamp: 200 }] });
+        // 다른 아이템 이벤트도 전달은 되지만 목록에는 저장하지 않음
+        upstream.broadcast({ event: 'listings/add', item: 1, world: 2075, listings: [{ listingID: 'x', pricePerUnit: 1, quantity: 1, hq: false }] });
+
+        await waitFor(() => received.length === 2);
+        assert.deepStrictEqual(received.map(p => p.itemId), [5729, 1]);
+
+        const live = stream.getMarketData(5729);
+        assert.deepStrictEqual(live.listings.map(l => [l.listingID, l.worldID]), [['d', 2077], ['b', 2075]]);
+        assert.deepStrictEqual(live.recentHistory.map(h => [h.timestamp, h.worldID]), [[200, 2075], [100, 2077]]);
+        assert.ok(live.worldUploadTimes[2077] > 1);
+        // 판매 속도/평균가는 조회 시점 값을 계속 쓰지 않고 최근 거래 내역으로 다시 계산하도록 비워 둠
+        assert.strictEqual(live.regularSaleVelocity, undefined);
+        assert.strictEqual(live.averagePrice, undefined);
+        assert.strictEqual(stream.getMarketData(1), null);
+    } finally {
+        stream.stop();
+        await upstream.close();
+    }
+});
+
+test('연결이 끊기면 실시간 목록을 비우고 다시 접속한다', async () => {
+    const upstream = await startMockServer();
+    const emitter = new EventEmitter();
+    const stream = createMarketStream({ url: upstream.url, worldIds: [2077], emitter, reconnectInitialDelayMs: 20 });
+
+    try {
+        stream.start();
+        await once(emitter, 'open');
+        stream.seed(5729, REST_DATA);
+        assert.ok(stream.getMarketData(5729));
+
+        for (const client of upstream.server.clients) {
+            client.terminate();
+        }
+        await once(emitter, 'close');
+        assert.strictEqual(stream.isConnected(), false);
+        assert.strictEqual(stream.getMarketData(5729), null);
+
+        await once(emitter, 'open');
+        assert.strictEqual(stream.isConnected(), true);
+        // 다시 조회하기 전까지는 실시간 목록 없음
+        assert.strictEqual(stream.getMarketData(5729), null);
+    } finally {
+        stream.stop();
+        await upstream.close();
+    }
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const { mock } = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+const { sendPaginated } = require('../src/pagination');
+
+/**
+ * 페이지 메시지 (edit 결과와 버튼 collector를 테스트에서 꺼내 쓸 수 있도록)
+ */
+function createTarget() {
+    const target = {
+        edits: [],
+        collector: new EventEmitter(),
+        async edit(payload) {
+            target.edits.push(payload);
+            return target;
+        },
+        createMessageComponentCollector() {
+            return target.collector;
+        },
+    };
+    return target;
+}
+
+const options = {
+    authorId: 'user-1',
+    commandName: '!염료',
+    prefix: 'dyes',
+    pageCount: 2,
+    render: page => ({ embeds: [{ page }] })
+};
+
+test('명령어를 입력한 사람은 다음 페이지로 넘길 수 있다', async () => {
+    const target = createTarget();
+    await sendPaginated(target, options);
+
+    let updated = null;
+    target.collector.emit('collect', {
+        user: { id: 'user-1' },
+        customId: 'dyes:next',
+        update: async payload => { updated = payload; }
+    });
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.deepStrictEqual(updated.embeds, [{ page: 1 }]);
+});
+
+test('다른 사람에게 보내는 안내가 실패해도 처리되지 않은 오류를 남기지 않는다', async (t) => {
+    const errors = mock.method(console, 'error', () => {});
+    t.after(() => errors.mock.restore());
+
+    const target = createTarget();
+    await sendPaginated(target, options);
+
+    const unhandled = [];
+    const onUnhandled = reason => unhandled.push(reason);
+    process.on('unhandledRejection', onUnhandled);
+    t.after(() => process.off('unhandledRejection', onUnhandled));
+
+    target.collector.emit('collect', {
+        user: { id: 'user-2' },
+        customId: 'dyes:next',
+        reply: async () => { throw new Error('Unknown interaction'); }
+    });
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.deepStrictEqual(unhandled, []);
+    assert.strictEqual(errors.mock.callCount(), 1);
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { priceMaterials } = require('../src/recipes');
+const { loadUniversalisFixture, mockUniversalis } = require('./helpers/fake-discord');
+
+const KOREA_13114 = loadUniversalisFixture('korea-13114');
+const KOREA_13115_EMPTY = loadUniversalisFixture('korea-13115-empty');
+
+test('재료는 필요한 수량을 실제 NQ 매물 묶음으로 채운 비용으로 계산한다', async (t) => {
+    const http = mockUniversalis({
+        '/api/v2/Korea/13115,13114': { items: { 13114: KOREA_13114, 13115: KOREA_13115_EMPTY } }
+    });
+    t.after(http.restore);
+
+    const { priced, product } = await priceMaterials(new Map([[13114, 5]]), 13115);
+    // 재료와 완성품을 한 번에 조회
+    assert.deepStrictEqual(http.requests, ['/api/v2/Korea/13115,13114']);
+
+    // 4,800길 1개짜리 매물만 보고 5개 값을 매기지 않음: 카벙클 5,000 x3 + 모그리 5,200 x2
+    const [material] = priced;
+    assert.strictEqual(material.plan.cost, 25400);
+    assert.strictEqual(material.plan.bought, 5);
+    assert.strictEqual(material.plan.fulfilled, true);
+    assert.strictEqual(product, null);
+});
+
+test('완성품은 NQ 최저가 기준', async (t) => {
+    const http = mockUniversalis({
+        '/api/v2/Korea/13114,13115': { items: { 13114: KOREA_13114, 13115: KOREA_13115_EMPTY } }
+    });
+    t.after(http.restore);
+
+    const { priced, product } = await priceMaterials(new Map([[13115, 1]]), 13114);
+    assert.deepStrictEqual(product, { server: '모그리', price: 4800 });
+    assert.strictEqual(priced[0].plan, null);
+});
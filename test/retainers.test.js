@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { findUndercuts } = require('../src/retainers');
+
+function listing(pricePerUnit, retainerName, hq = false, quantity = 1) {
+    return { pricePerUnit, quantity, hq, retainerName };
+}
+
+const data = {
+    servers: [
+        {
+            server: '모그리',
+            listings: [
+                listing(900, 'Other', false, 5),
+                listing(950, 'Momo'),
+                listing(1200, 'MOMO'),
+                listing(2000, 'Momo', true),
+                listing(2500, 'Other', true)
+            ]
+        },
+        // 다른 서버의 더 싼 매물은 역전이 아님
+        { server: '초코보', listings: [listing(100, 'Cheap')] },
+        { server: '톤베리', error: 'timeout' }
+    ]
+};
+
+test('같은 서버, 같은 품질에서 내 최저가보다 싼 매물을 찾는다', () => {
+    assert.deepStrictEqual(findUndercuts({ name: 'momo', server: '모그리' }, data), [
+        { quality: 'NQ', ownPrice: 950, competingPrice: 900, competingRetainer: 'Other', competingQuantity: 5 }
+    ]);
+});
+
+test('내 매물이 없거나 조회에 실패한 서버면 역전이 없다', () => {
+    assert.deepStrictEqual(findUndercuts({ name: 'Nobody', server: '모그리' }, data), []);
+    assert.deepStrictEqual(findUndercuts({ name: 'Momo', server: '톤베리' }, data), []);
+    // NQ는 Other가 최저가, HQ는 Momo가 더 쌈
+    assert.deepStrictEqual(findUndercuts({ name: 'Other', server: '모그리' }, data).map(u => u.quality), ['HQ']);
+});
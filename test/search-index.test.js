@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const items = require('./fixtures/items_ko.json');
+const { normalizeName, toChosung, buildSearchIndex, searchIndex } = require('../src/search-index');
+
+const index = buildSearchIndex(items);
+const names = (query, limit = 10) => searchIndex(index, query, limit).map(item => item.name);
+
+test('normalizeName은 공백과 문장부호를 지운다', () => {
+    assert.strictEqual(normalizeName('염료: 순백색'), '염료순백색');
+    assert.strictEqual(normalizeName('Hi-Potion'), 'hipotion');
+});
+
+test('toChosung은 한글 음절을 초성으로 바꾼다', () => {
+    assert.strictEqual(toChosung('염료순백색'), 'ㅇㄹㅅㅂㅅ');
+    assert.strictEqual(toChosung('g8'), 'g8');
+});
+
+test('정확히 일치하는 이름이 가장 먼저 나온다', () => {
+    assert.strictEqual(names('포션')[0], '포션');
+    assert.strictEqual(names('포션')[1], '하이포션');
+});
+
+test('공백이나 콜론이 빠져도 찾는다', () => {
+    assert.strictEqual(names('염료순백색')[0], '염료: 순백색');
+    assert.strictEqual(names('불의결정')[0], '불의 결정');
+});
+
+test('이름 일부로 찾는다', () => {
+    assert.deepStrictEqual(names('주괴'), ['구리 주괴', '청동 주괴']);
+    assert.deepStrictEqual(names('광석'), ['구리 광석']);
+    assert.deepStrictEqual(names('크리'), ['불의 크리스탈']);
+});
+
+test('같은 우선순위에서는 짧은 이름, 낮은 ID 순으로 정렬한다', () => {
+    assert.deepStrictEqual(names('결정', 3), ['불의 결정', '땅의 결정', '물의 결정']);
+});
+
+test('초성으로 검색한다', () => {
+    assert.strictEqual(names('ㅇㄹ ㅅㅂㅅ')[0], '염료: 순백색');
+    assert.strictEqual(names('ㅂㄱㅇ ㄱㅈ')[0], '번개의 결정');
+    assert.deepStrictEqual(names('ㅋㄹㅅㅌ'), ['불의 크리스탈', '불의 클러스터']);
+});
+
+test('오타가 있어도 자모가 비슷한 이름을 찾는다', () => {
+    assert.strictEqual(names('염료: 순백샥')[0], '염료: 순백색');
+    assert.strictEqual(names('하이포선')[0], '하이포션');
+});
+
+test('비슷한 이름이 없으면 빈 목록을 반환한다', () => {
+    assert.deepStrictEqual(names('엑스칼리버'), []);
+    assert.deepStrictEqual(names('  :  '), []);
+});
+
+test('byId로 아이템을 찾을 수 있다', () => {
+    assert.strictEqual(index.byId.get(13115).name, '염료: 칠흑색');
+});
+
+test('영어/일본어 이름으로도 같은 아이템을 찾는다', () => {
+    const multilingual = buildSearchIndex([
+        { id: 5729, name: '염료: 순백색', names: { ko: '염료: 순백색', en: 'Pure White Dye', ja: '染料:ピュアホワイト' } },
+        { id: 13115, name: '염료: 칠흑색', names: { ko: '염료: 칠흑색', en: 'Jet Black Dye', ja: '染料:ジェットブラック' } },
+        { id: 39000, name: 'New Patch Item', names: { en: 'New Patch Item' } },
+    ]);
+    const ids = query => searchIndex(multilingual, query, 10).map(item => item.id);
+
+    assert.deepStrictEqual(ids('pure white dye'), [5729]);
+    assert.deepStrictEqual(ids('ピュアホワイト'), [5729]);
+    assert.deepStrictEqual(ids('dye'), [13115, 5729]);
+    assert.deepStrictEqual(ids('new patch'), [39000]);
+    // 한국어 이름과 다른 언어 이름이 함께 일치해도 한 번만
+    assert.deepStrictEqual(ids('염료'), [5729, 13115]);
+});
+
+test('prefer를 주면 정확히 일치하지 않는 결과에서 우선 아이템을 앞으로 보낸다', () => {
+    const marketable = item => item.id !== 5057;
+    const ids = searchIndex(index, '주괴', 10, { prefer: marketable }).map(item => item.id);
+    assert.deepStrictEqual(ids, [5058, 5057]);
+    // 정확히 일치하면 우선 여부와 관계없이 첫 번째
+    assert.strictEqual(searchIndex(index, '구리 주괴', 10, { prefer: marketable })[0].id, 5057);
+});
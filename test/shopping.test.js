@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseShoppingList, planPurchase } = require('../src/shopping');
+
+const listing = (pricePerUnit, quantity, worldID = 2075) => ({ pricePerUnit, quantity, worldID });
+
+test('장보기 목록은 한 줄에 한 아이템과 수량을 읽는다', () => {
+    assert.deepStrictEqual(parseShoppingList('염료: 순백색 x3\n- 불의 수정 * 500\n마테리아 XII 2개\n흑요석'), [
+        { name: '염료: 순백색', quantity: 3 },
+        { name: '불의 수정', quantity: 500 },
+        { name: '마테리아 XII', quantity: 2 },
+        { name: '흑요석', quantity: 1 }
+    ]);
+});
+
+test('개당 가격보다 필요한 수량의 총액이 싼 매물을 고른다', () => {
+    const plan = planPurchase([listing(10, 99), listing(15, 1)], 1);
+    assert.strictEqual(plan.cost, 15);
+    assert.strictEqual(plan.bought, 1);
+    assert.strictEqual(plan.fulfilled, true);
+});
+
+test('작은 묶음 여러 개를 합치는 편이 싸면 합쳐서 산다', () => {
+    // 5개: 8길 x10 (80길) 대신 9길 x2 + 9길 x3 (45길)
+    const plan = planPurchase([listing(8, 10), listing(9, 2, 2077), listing(9, 3)], 5);
+    assert.strictEqual(plan.cost, 45);
+    assert.strictEqual(plan.bought, 5);
+    assert.deepStrictEqual(plan.servers.get(2077), { bought: 2, cost: 18 });
+    assert.deepStrictEqual(plan.servers.get(2075), { bought: 3, cost: 27 });
+});
+
+test('수량이 많으면 조합을 따지지 않고 싼 순서대로 산다', () => {
+    // 1000개: 조합으로는 5길 x1000 (5000길)이 더 싸지만 계산하지 않음
+    const plan = planPurchase([listing(4, 999), listing(5, 1000), listing(4, 999, 2077)], 1000);
+    assert.strictEqual(plan.cost, 7992);
+    assert.strictEqual(plan.bought, 1998);
+});
+
+test('매물이 모자라면 있는 매물을 전부 산다', () => {
+    const plan = planPurchase([listing(10, 2), listing(20, 1)], 5);
+    assert.strictEqual(plan.cost, 40);
+    assert.strictEqual(plan.bought, 3);
+    assert.strictEqual(plan.fulfilled, false);
+});
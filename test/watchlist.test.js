@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getGuildSettings } = require('../src/guild-settings');
+const { formatChange, summarizeWatchItem, formatWatchRow } = require('../src/watchlist');
+
+const entry = { itemId: 13114, itemName: '염료: 순백색' };
+
+const data = {
+    servers: [
+        { server: '카벙클', minPriceNQ: 5000, minPriceHQ: null },
+        { server: '모그리', minPriceNQ: 4800, minPriceHQ: 9000 },
+        { server: '초코보', minPriceNQ: 5200, minPriceHQ: 8500 },
+        // 조회에 실패한 서버는 제외
+        { server: '톤베리', minPriceNQ: 1, minPriceHQ: 1, error: 'timeout' }
+    ]
+};
+
+test('가격 변동은 지난번 가격 대비 ▲/▼ 로 표시하고, 비교할 가격이 없으면 생략한다', () => {
+    assert.strictEqual(formatChange(4800, 5000), ' ▼200');
+    assert.strictEqual(formatChange(6000, 5000), ' ▲1,000');
+    assert.strictEqual(formatChange(5000, 5000), ' (=)');
+    assert.strictEqual(formatChange(5000, undefined), '');
+    assert.strictEqual(formatChange(5000, null), '');
+    assert.strictEqual(formatChange(null, 5000), '');
+});
+
+test('NQ/HQ 최저가 서버를 찾고 서버 설정의 표시 서버와 품질 필터를 따른다', () => {
+    const row = summarizeWatchItem(entry, data, { nq: 5000, hq: 8500 }, getGuildSettings(null));
+    assert.deepStrictEqual(row.nq, { price: 4800, server: '모그리' });
+    assert.deepStrictEqual(row.hq, { price: 8500, server: '초코보' });
+    assert.strictEqual(
+        formatWatchRow(row, 1),
+        '**1. 염료: 순백색** · 모그리\nNQ 4,800 길 ▼200 · HQ 8,500 길 (초코보) (=)'
+    );
+
+    const limited = summarizeWatchItem(entry, data, undefined, { ...getGuildSettings(null), worlds: ['카벙클', '초코보'], quality: 'NQ' });
+    assert.deepStrictEqual(limited.nq, { price: 5000, server: '카벙클' });
+    assert.strictEqual(limited.hq, null);
+    assert.strictEqual(formatWatchRow(limited, 2), '**2. 염료: 순백색** · 카벙클\nNQ 5,000 길');
+});
+
+test('매물이 없거나 조회에 실패한 아이템도 행으로 표시한다', () => {
+    const settings = getGuildSettings(null);
+    const empty = summarizeWatchItem(entry, { servers: [{ server: '모그리', minPriceNQ: null, minPriceHQ: null }] }, undefined, settings);
+    assert.strictEqual(formatWatchRow(empty, 3), '**3. 염료: 순백색**\n매물 없음');
+
+    const failed = summarizeWatchItem(entry, undefined, { nq: 5000, hq: null }, settings);
+    assert.strictEqual(failed.failed, true);
+    assert.strictEqual(formatWatchRow(failed, 4), '**4. 염료: 순백색**\n⚠️ 조회 실패');
+});
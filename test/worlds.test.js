@@ -0,0 +1,46 @@
+const test = require('node:test');
+const { mock } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+// DB 로드 로그가 테스트 결과 출력(stdout)에 섞이지 않도록
+mock.method(console, 'log', () => {});
+
+const { HOME_DATA_CENTER, getDataCenter, getWorldById, resolveScope } = require('../src/worlds');
+const { loadKoreanItemDB } = require('../src/items');
+const { parseCompareArgs } = require('../src/compare');
+
+loadKoreanItemDB(path.join(__dirname, 'fixtures', 'items.json'));
+
+test('data/worlds.json 에서 한국 데이터센터를 읽는다', () => {
+    assert.strictEqual(HOME_DATA_CENTER, 'Korea');
+    assert.deepStrictEqual(getDataCenter('Korea').worlds.map(w => w.id), [2075, 2076, 2077, 2078, 2080]);
+    assert.strictEqual(getWorldById(2077).name, '모그리');
+    assert.strictEqual(getWorldById(70).dataCenter, 'Mana');
+});
+
+test('데이터센터/지역 이름은 대소문자와 한국어 별칭을 가리지 않는다', () => {
+    assert.strictEqual(resolveScope('mana').name, 'Mana');
+    assert.strictEqual(resolveScope('카오스').name, 'Chaos');
+    assert.strictEqual(resolveScope('일본').name, 'Japan');
+    assert.strictEqual(resolveScope('일본').worlds.length, 32);
+    assert.strictEqual(resolveScope('없는곳'), null);
+});
+
+test('시세비교 인자는 뒤에서부터 데이터센터 이름을 떼어낸다', () => {
+    assert.deepStrictEqual(parseCompareArgs('염료: 순백색 Mana 카오스'), { itemName: '염료: 순백색', scopes: ['Mana', 'Chaos'] });
+    assert.deepStrictEqual(parseCompareArgs('염료: 순백색'), { itemName: '염료: 순백색', scopes: [] });
+    // 아이템 이름 자체는 남김
+    assert.deepStrictEqual(parseCompareArgs('Mana'), { itemName: 'Mana', scopes: [] });
+});
+
+test('데이터센터 이름으로 끝나는 아이템 이름은 떼어내지 않는다', () => {
+    // Crystal(크리스탈), Materia(마테리아)는 북미/오세아니아 데이터센터 이름이기도 함
+    assert.deepStrictEqual(parseCompareArgs('불의 크리스탈'), { itemName: '불의 크리스탈', scopes: [] });
+    assert.deepStrictEqual(parseCompareArgs('Fire Crystal'), { itemName: 'Fire Crystal', scopes: [] });
+    assert.deepStrictEqual(parseCompareArgs('불의 크리스탈 Mana 크리스탈'), { itemName: '불의 크리스탈', scopes: ['Mana', 'Crystal'] });
+    assert.deepStrictEqual(parseCompareArgs('투명한 마테리아'), { itemName: '투명한 마테리아', scopes: [] });
+    assert.deepStrictEqual(parseCompareArgs('Clear Materia Chaos'), { itemName: 'Clear Materia', scopes: ['Chaos'] });
+    // 이름 일부만 입력하면 지금처럼 데이터센터 이름을 전부 떼어냄
+    assert.deepStrictEqual(parseCompareArgs('순백색 Materia'), { itemName: '순백색', scopes: ['Materia'] });
+});